@@ -0,0 +1,98 @@
+// ark.js
+// Parsers for ARK server RCON output (ASE and ASA print the same shapes). Pure functions, no I/O,
+// so they can be checked against captured output.
+//
+// parseListPlayers(text) -> [{ index, name, id }]
+//   "0. Bob, 76561198000000000" per player; "No Players Connected" when empty.
+//
+// parseGameLog(text) -> [{ kind: "tribe", at, tribeName, tribeId, message }
+//                      | { kind: "join" | "leave", at, name }]
+//   GetGameLog lines, optionally prefixed with the server's "2024.05.01_12.34.56: " timestamp
+//   (read as UTC; null when absent). Tribe log lines look like
+//   "Tribe Dino Kings, ID 1234567890: Day 12, 08:15:02: Bob demolished a 'Wooden Wall'!"
+//   and may carry <RichColor ...>...</> markup, which is stripped. Other lines are skipped.
+//
+// findPlayerTribe(entries, name) -> { tribeName, tribeId, at } from the newest tribe log line
+//   that mentions the player, or null.
+// findLastSeen(entries, name) -> epoch ms of the player's newest join/leave line, or null.
+//
+// findDestructionEvents(entries) -> [{ tribeName, tribeId, at, structure, message }]
+//   Tribe log lines where the log's tribe destroyed someone else's structure, e.g.
+//   "Tribe Raiders, ID 22: Day 5, 10:00:00: Bob destroyed their 'Metal Wall (Locked)' (Dino Kings)!"
+
+const TIMESTAMP_RE = /^(\d{4})\.(\d{2})\.(\d{2})_(\d{2})\.(\d{2})\.(\d{2}):\s*/;
+const TRIBE_LINE_RE = /^Tribe (.+?), ID (\d+):\s*(?:Day \d+, \d{1,2}:\d{2}:\d{2}:\s*)?(.*)$/;
+const JOIN_LEAVE_RE = /^(.+?) (joined|left) this ARK!?$/;
+const DESTROYED_THEIR_RE = /destroyed their '([^']+)'/i;
+const PLAYER_LINE_RE = /^\s*(\d+)\.\s+(.+),\s*([0-9a-f]+)\s*$/i;
+
+function stripRichText(text) {
+  return text.replace(/<\/?RichColor[^>]*>|<\/>/gi, "").trim();
+}
+
+function parseListPlayers(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((line) => PLAYER_LINE_RE.exec(line))
+    .filter(Boolean)
+    .map(([, index, name, id]) => ({ index: Number(index), name: name.trim(), id }));
+}
+
+function parseGameLog(text) {
+  const entries = [];
+  for (const raw of String(text || "").split(/\r?\n/)) {
+    let line = raw.trim();
+    if (!line) continue;
+
+    let at = null;
+    const ts = TIMESTAMP_RE.exec(line);
+    if (ts) {
+      const [, y, mo, d, h, mi, s] = ts.map(Number);
+      at = Date.UTC(y, mo - 1, d, h, mi, s);
+      line = line.slice(ts[0].length);
+    }
+
+    const tribe = TRIBE_LINE_RE.exec(line);
+    if (tribe) {
+      entries.push({ kind: "tribe", at, tribeName: tribe[1].trim(), tribeId: tribe[2], message: stripRichText(tribe[3]) });
+      continue;
+    }
+
+    const joinLeave = JOIN_LEAVE_RE.exec(line);
+    if (joinLeave) entries.push({ kind: joinLeave[2] === "joined" ? "join" : "leave", at, name: joinLeave[1].trim() });
+  }
+  return entries;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function findPlayerTribe(entries, name) {
+  const needle = String(name || "").trim();
+  if (!needle) return null;
+
+  // Whole-name match, so "Bob" doesn't match "Bobby"
+  const re = new RegExp(`(^|[^\\p{L}\\p{N}_])${escapeRegExp(needle)}($|[^\\p{L}\\p{N}_])`, "iu");
+  // The log prints oldest first, so the last mention is the newest
+  const match = entries.filter((e) => e.kind === "tribe" && re.test(e.message)).pop();
+  return match ? { tribeName: match.tribeName, tribeId: match.tribeId, at: match.at } : null;
+}
+
+function findLastSeen(entries, name) {
+  const needle = String(name || "").trim().toLowerCase();
+  const seen = entries.filter((e) => (e.kind === "join" || e.kind === "leave") && e.name.toLowerCase() === needle && e.at);
+  return seen.length ? Math.max(...seen.map((e) => e.at)) : null;
+}
+
+function findDestructionEvents(entries) {
+  return entries
+    .filter((e) => e.kind === "tribe")
+    .map((e) => {
+      const m = DESTROYED_THEIR_RE.exec(e.message);
+      return m ? { tribeName: e.tribeName, tribeId: e.tribeId, at: e.at, structure: m[1], message: e.message } : null;
+    })
+    .filter(Boolean);
+}
+
+module.exports = { parseListPlayers, parseGameLog, findPlayerTribe, findLastSeen, findDestructionEvents };
@@ -0,0 +1,824 @@
+// command-definitions.js
+// Slash command definitions for the White Flag bot — the single source of truth.
+//
+// Used by both the bot's startup registration (index.js) and the deploy script (commands.js).
+//
+// - buildCommands()                 -> command JSON bodies to PUT
+// - diffCommands(local, remote)     -> { added, removed, changed } by command name
+// - registerCommands({ rest, ... }) -> PUTs the commands (optionally only when they differ)
+//
+// `rest` is anything with discord.js REST's get(route) / put(route, { body }) shape,
+// so a fake can be passed in place of the real client.
+
+const { Routes, SlashCommandBuilder } = require("discord.js");
+
+const BUTTON_STYLE_CHOICES = [
+  { name: "Blue (primary)", value: "primary" },
+  { name: "Grey (secondary)", value: "secondary" },
+  { name: "Green (success)", value: "success" },
+  { name: "Red (danger)", value: "danger" },
+];
+
+// Upper bound for configured durations (expiry is a persisted job, so there's no timer cap)
+const MAX_DURATION_DAYS = 90;
+
+// Bounty tiers, lowest first (refreshing a bounty escalates it to the next one)
+const BOUNTY_TIERS = ["minor", "major", "kos"];
+const BOUNTY_TIER_CHOICES = [
+  { name: "Minor", value: "minor" },
+  { name: "Major", value: "major" },
+  { name: "Kill on sight", value: "kos" },
+];
+
+// Named admin capabilities, each granted to roles with /permissions (labels are shown in replies)
+const CAPABILITIES = {
+  review: "Review applications",
+  end_early: "End early",
+  bounties: "Manage bounties",
+  intel: "View intel",
+  configure: "Configure",
+};
+const CAPABILITY_CHOICES = Object.entries(CAPABILITIES).map(([value, name]) => ({ name, value }));
+
+// Filters shared by the /whiteflags and /bounties list views
+function addListOptions(sc, { timed = true } = {}) {
+  sc.addStringOption((opt) =>
+    opt.setName("server").setDescription("Only this server type").setRequired(false).setAutocomplete(true)
+  ).addStringOption((opt) =>
+    opt.setName("map").setDescription("Only this map").setRequired(false)
+  );
+  if (timed) {
+    sc.addNumberOption((opt) =>
+      opt
+        .setName("ending_within")
+        .setDescription("Only those ending within this many hours")
+        .setRequired(false)
+        .setMinValue(0.5)
+        .setMaxValue(MAX_DURATION_DAYS * 24)
+    ).addStringOption((opt) =>
+      opt
+        .setName("sort")
+        .setDescription("Order (default: ending soonest)")
+        .setRequired(false)
+        .addChoices(
+          { name: "Ending soonest", value: "ending" },
+          { name: "Newest", value: "newest" },
+          { name: "Tribe name", value: "tribe" }
+        )
+    );
+  }
+  return sc.addIntegerOption((opt) =>
+    opt.setName("page").setDescription("Page number (10 per page)").setRequired(false).setMinValue(1)
+  );
+}
+
+function buildCommands() {
+  return [
+  new SlashCommandBuilder()
+    .setName("setup")
+    .setDescription("Post rules + apply panels and configure channels/roles for White Flag.")
+    .addChannelOption((opt) =>
+      opt
+        .setName("rules_channel")
+        .setDescription("Channel to post the rules panel")
+        .setRequired(true)
+    )
+    .addChannelOption((opt) =>
+      opt
+        .setName("apply_channel")
+        .setDescription("Channel to post the application panel")
+        .setRequired(true)
+    )
+    .addChannelOption((opt) =>
+      opt
+        .setName("admin_channel")
+        .setDescription("Channel where admin reviews go")
+        .setRequired(true)
+    )
+    .addChannelOption((opt) =>
+      opt
+        .setName("announce_channel")
+        .setDescription("Channel to announce OPEN SEASON pings")
+        .setRequired(true)
+    )
+    .addRoleOption((opt) =>
+      opt
+        .setName("admin_role")
+        .setDescription("Role to ping for new applications")
+        .setRequired(true)
+    )
+    .addRoleOption((opt) =>
+      opt
+        .setName("open_season_role")
+        .setDescription("Role to ping when ending early (OPEN SEASON)")
+        .setRequired(true)
+    ),
+  new SlashCommandBuilder()
+    .setName("rules")
+    .setDescription("Show the White Flag rules (ephemeral)."),
+  new SlashCommandBuilder()
+    .setName("whiteflags")
+    .setDescription("White Flag utilities.")
+    .addSubcommand((sc) =>
+      addListOptions(sc.setName("active").setDescription("Show all approved + active White Flags."))
+    )
+    .addSubcommand((sc) =>
+      addListOptions(
+        sc.setName("pending").setDescription("Show applications waiting for review, oldest first."),
+        { timed: false }
+      )
+    ),
+  new SlashCommandBuilder()
+    .setName("whiteflag")
+    .setDescription("Manage a single White Flag (admins).")
+    .addSubcommand((sc) =>
+      sc
+        .setName("extend")
+        .setDescription("Extend an active White Flag.")
+        .addStringOption((opt) =>
+          opt.setName("id").setDescription("Request ID (from the review message footer)").setRequired(true)
+        )
+        .addNumberOption((opt) =>
+          opt
+            .setName("hours")
+            .setDescription("Hours to add to the current end time")
+            .setRequired(true)
+            .setMinValue(1)
+            .setMaxValue(MAX_DURATION_DAYS * 24)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("lookup")
+        .setDescription("Re-check the applicant's IGN and tribe on the game server (RCON).")
+        .addStringOption((opt) =>
+          opt.setName("id").setDescription("Request ID (from the review message footer)").setRequired(true)
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("bounties")
+    .setDescription("Bounty utilities.")
+    .addSubcommand((sc) =>
+      addListOptions(sc.setName("active").setDescription("Show all active bounties."))
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("leaderboard")
+        .setDescription("Rank hunter tribes by verified bounty claims.")
+        .addStringOption((opt) =>
+          opt.setName("season").setDescription("A past season (default: current)").setRequired(false).setAutocomplete(true)
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("bounty")
+    .setDescription("Create or remove bounties.")
+    .addSubcommand((sc) =>
+      sc
+        .setName("add")
+        .setDescription("Add/refresh a bounty for a tribe.")
+        .addStringOption((opt) =>
+          opt.setName("tribe").setDescription("Tribe name").setRequired(true)
+        )
+        .addStringOption((opt) =>
+          opt.setName("ign").setDescription("IGN (optional)").setRequired(false)
+        )
+        .addStringOption((opt) =>
+          opt.setName("server").setDescription("Server (optional)").setRequired(false)
+        )
+        .addStringOption((opt) =>
+          opt.setName("reason").setDescription("Reason (optional)").setRequired(false)
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("tier")
+            .setDescription("Tier (default: minor; refreshing escalates one tier)")
+            .setRequired(false)
+            .addChoices(...BOUNTY_TIER_CHOICES)
+        )
+        .addStringOption((opt) =>
+          opt
+            .setName("reward")
+            .setDescription("Reward promised to the hunters, e.g. 10k element (kept on refresh)")
+            .setRequired(false)
+            .setMaxLength(200)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("remove")
+        .setDescription("Remove an active bounty by tribe or by ID.")
+        .addStringOption((opt) =>
+          opt.setName("tribe").setDescription("Tribe name").setRequired(false)
+        )
+        .addStringOption((opt) =>
+          opt.setName("id").setDescription("Bounty record ID").setRequired(false)
+        )
+    ),
+  new SlashCommandBuilder()
+    .setName("tribe")
+    .setDescription("Tribe intelligence (admins).")
+    .addSubcommand((sc) =>
+      sc
+        .setName("status")
+        .setDescription("Show a tribe's active White Flag and bounty.")
+        .addStringOption((opt) =>
+          opt.setName("tribe").setDescription("Tribe name").setRequired(true).setAutocomplete(true)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("history")
+        .setDescription("Show every White Flag / bounty record for a tribe.")
+        .addStringOption((opt) =>
+          opt.setName("tribe").setDescription("Tribe name").setRequired(true).setAutocomplete(true)
+        )
+        .addIntegerOption((opt) =>
+          opt.setName("page").setDescription("Page number (10 per page)").setRequired(false).setMinValue(1)
+        )
+        .addStringOption((opt) =>
+          opt.setName("season").setDescription("A past season (default: current)").setRequired(false).setAutocomplete(true)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("record")
+        .setDescription("Show full details (who/when) for one record.")
+        .addStringOption((opt) =>
+          opt.setName("id").setDescription("Record ID").setRequired(true)
+        )
+    )
+    .addSubcommand((sc) =>
+      sc
+        .setName("rename")
+        .setDescription("Change a tribe's canonical name (the old name stays an alias).")
+        .addStringOption((opt) =>
+          opt.setName("tribe").setDescription("Tribe name or alias").setRequired(true).setAutocomplete(true)
+        )
+        .addStringOption((opt) =>
+          opt.setName("name").setDescription("New canonical name").setRequired(true).setMaxLength(100)
+        )
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("alias")
+        .setDescription("Manage the other names a tribe goes by.")
+        .addSubcommand((sc) =>
+          sc
+            .setName("add")
+            .setDescription("Add an alias (merges the tribe using that name, if any).")
+            .addStringOption((opt) =>
+              opt.setName("tribe").setDescription("Tribe name or alias").setRequired(true).setAutocomplete(true)
+            )
+            .addStringOption((opt) =>
+              opt.setName("alias").setDescription("Other name for the same tribe").setRequired(true).setMaxLength(100)
+            )
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("remove")
+            .setDescription("Remove an alias that no record was filed under.")
+            .addStringOption((opt) =>
+              opt.setName("alias").setDescription("Alias to remove").setRequired(true)
+            )
+        )
+    )
+    .addSubcommandGroup((group) =>
+      group
+        .setName("member")
+        .setDescription("Manage a tribe's known members.")
+        .addSubcommand((sc) =>
+          sc
+            .setName("add")
+            .setDescription("Add a member by Discord user and/or IGN.")
+            .addStringOption((opt) =>
+              opt.setName("tribe").setDescription("Tribe name or alias").setRequired(true).setAutocomplete(true)
+            )
+            .addUserOption((opt) => opt.setName("user").setDescription("Discord user").setRequired(false))
+            .addStringOption((opt) => opt.setName("ign").setDescription("In-game name").setRequired(false))
+        )
+        .addSubcommand((sc) =>
+          sc
+            .setName("remove")
+            .setDescription("Remove a member by Discord user and/or IGN.")
+            .addStringOption((opt) =>
+              opt.setName("tribe").setDescription("Tribe name or alias").setRequired(true).setAutocomplete(true)
+            )
+            .addUserOption((opt) => opt.setName("user").setDescription("Discord user").setRequired(false))
+            .addStringOption((opt) => opt.setName("ign").setDescription("In-game name").setRequired(false))
+        )
+    ),
+    new SlashCommandBuilder()
+      .setName("durations")
+      .setDescription("Configure White Flag / bounty durations per server type (admins).")
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Set White Flag and/or bounty duration for a server type.")
+          .addStringOption((opt) =>
+            opt
+              .setName("server")
+              .setDescription("Server type")
+              .setRequired(true)
+              .setAutocomplete(true)
+          )
+          .addNumberOption((opt) =>
+            opt
+              .setName("flag_days")
+              .setDescription("White Flag duration in days")
+              .setRequired(false)
+              .setMinValue(0.25)
+              .setMaxValue(MAX_DURATION_DAYS)
+          )
+          .addNumberOption((opt) =>
+            opt
+              .setName("bounty_days")
+              .setDescription("Bounty duration in days")
+              .setRequired(false)
+              .setMinValue(0.25)
+              .setMaxValue(MAX_DURATION_DAYS)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc.setName("show").setDescription("Show current durations for every server type.")
+      ),
+    new SlashCommandBuilder()
+      .setName("appeal")
+      .setDescription("Appeal a denied or ended-early White Flag (once per request).")
+      .addStringOption((opt) =>
+        opt
+          .setName("id")
+          .setDescription("Your request (pick from the list)")
+          .setRequired(true)
+          .setAutocomplete(true)
+      ),
+    new SlashCommandBuilder()
+      .setName("audit")
+      .setDescription("Audit trail of White Flag / bounty actions.")
+      .addSubcommand((sc) =>
+        sc
+          .setName("log")
+          .setDescription("Search audit events (admins); optionally export them.")
+          .addStringOption((opt) =>
+            opt.setName("tribe").setDescription("Only this tribe").setRequired(false).setAutocomplete(true)
+          )
+          .addUserOption((opt) =>
+            opt.setName("admin").setDescription("Only actions by this admin").setRequired(false)
+          )
+          .addStringOption((opt) =>
+            opt.setName("from").setDescription("From date, YYYY-MM-DD (UTC)").setRequired(false)
+          )
+          .addStringOption((opt) =>
+            opt.setName("to").setDescription("To date, YYYY-MM-DD (UTC, inclusive)").setRequired(false)
+          )
+          .addStringOption((opt) =>
+            opt.setName("season").setDescription("Only during this season").setRequired(false).setAutocomplete(true)
+          )
+          .addStringOption((opt) =>
+            opt
+              .setName("format")
+              .setDescription("Show here or export as a file")
+              .setRequired(false)
+              .addChoices(
+                { name: "Embed", value: "embed" },
+                { name: "CSV file", value: "csv" },
+                { name: "JSON file", value: "json" }
+              )
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("channel")
+          .setDescription("Set the channel audit events are posted to (admins).")
+          .addChannelOption((opt) =>
+            opt.setName("channel").setDescription("Leave empty to stop posting").setRequired(false)
+          )
+      ),
+    new SlashCommandBuilder()
+      .setName("board")
+      .setDescription("Public auto-updating board of active White Flags and bounties.")
+      .addSubcommand((sc) =>
+        sc
+          .setName("channel")
+          .setDescription("Post the board in a channel (admins).")
+          .addChannelOption((opt) =>
+            opt.setName("channel").setDescription("Leave empty to remove the board").setRequired(false)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc.setName("refresh").setDescription("Re-render the board now (admins).")
+      ),
+    new SlashCommandBuilder()
+      .setName("rcon")
+      .setDescription("Run in-game commands over RCON on White Flag events (admins).")
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Set the RCON connection for a server type.")
+          .addStringOption((opt) =>
+            opt.setName("server").setDescription("Server type").setRequired(true).setAutocomplete(true)
+          )
+          .addStringOption((opt) =>
+            opt.setName("host").setDescription("Game server host or IP").setRequired(true).setMaxLength(255)
+          )
+          .addIntegerOption((opt) =>
+            opt.setName("port").setDescription("RCON port").setRequired(true).setMinValue(1).setMaxValue(65535)
+          )
+          .addStringOption((opt) =>
+            opt.setName("password").setDescription("RCON / admin password").setRequired(true).setMaxLength(200)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("clear")
+          .setDescription("Stop using RCON for a server type.")
+          .addStringOption((opt) =>
+            opt.setName("server").setDescription("Server type").setRequired(true).setAutocomplete(true)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("template")
+          .setDescription("Edit the commands run for an event (one per line).")
+          .addStringOption((opt) =>
+            opt
+              .setName("event")
+              .setDescription("When to run them")
+              .setRequired(true)
+              .addChoices(
+                { name: "White Flag approved", value: "approved" },
+                { name: "White Flag expired", value: "expired" },
+                { name: "White Flag ended early", value: "ended_early" }
+              )
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("test")
+          .setDescription("Check that the bot can connect and log in.")
+          .addStringOption((opt) =>
+            opt.setName("server").setDescription("Server type").setRequired(true).setAutocomplete(true)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc.setName("show").setDescription("Show RCON connections and command templates.")
+      ),
+    new SlashCommandBuilder()
+      .setName("reminders")
+      .setDescription("Configure pre-expiry reminders for White Flags and bounties (admins).")
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Set how many hours before the end to remind.")
+          .addStringOption((opt) =>
+            opt
+              .setName("hours")
+              .setDescription("Comma-separated hours, e.g. 24, 1 (none turns reminders off)")
+              .setRequired(true)
+          )
+      )
+      .addSubcommand((sc) => sc.setName("show").setDescription("Show the current reminder schedule.")),
+    new SlashCommandBuilder()
+      .setName("season")
+      .setDescription("Start / end a season; ending one archives all White Flags and bounties (admins).")
+      .addSubcommand((sc) =>
+        sc
+          .setName("start")
+          .setDescription("Start a new season.")
+          .addStringOption((opt) =>
+            opt.setName("name").setDescription("Season name, e.g. Wipe 12").setRequired(true).setMaxLength(60)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("end")
+          .setDescription("End the season: archive every record, cancel timers and announce the wipe.")
+          .addBooleanOption((opt) =>
+            opt
+              .setName("reset_rules_role")
+              .setDescription("Also remove the Rules Accepted role from everyone")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sc) => sc.setName("list").setDescription("List past and current seasons.")),
+    new SlashCommandBuilder()
+      .setName("eligibility")
+      .setDescription("Configure who may apply for a White Flag (admins).")
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Change one or more eligibility rules (0 turns a rule off).")
+          .addIntegerOption((opt) =>
+            opt
+              .setName("max_flags_per_wipe")
+              .setDescription("Approved White Flags a tribe may get per wipe")
+              .setRequired(false)
+              .setMinValue(0)
+              .setMaxValue(100)
+          )
+          .addNumberOption((opt) =>
+            opt
+              .setName("cooldown_hours")
+              .setDescription("Wait after a White Flag expires before reapplying")
+              .setRequired(false)
+              .setMinValue(0)
+              .setMaxValue(MAX_DURATION_DAYS * 24)
+          )
+          .addNumberOption((opt) =>
+            opt
+              .setName("ended_early_block_hours")
+              .setDescription("Wait after a White Flag is ended early (Open Season) before reapplying")
+              .setRequired(false)
+              .setMinValue(0)
+              .setMaxValue(MAX_DURATION_DAYS * 24)
+          )
+          .addBooleanOption((opt) =>
+            opt
+              .setName("block_during_bounty")
+              .setDescription("Refuse applications while the tribe has an active bounty")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("wipe")
+          .setDescription("Mark the start of a wipe (resets the per-wipe White Flag count).")
+          .addStringOption((opt) =>
+            opt.setName("date").setDescription("Wipe date YYYY-MM-DD (UTC); defaults to now").setRequired(false)
+          )
+      )
+      .addSubcommand((sc) => sc.setName("show").setDescription("Show the current eligibility rules.")),
+    new SlashCommandBuilder()
+      .setName("servers")
+      .setDescription("Manage the server types on the apply panel (admins).")
+      .addSubcommand((sc) =>
+        sc
+          .setName("add")
+          .setDescription("Add a server type (adds an Apply button).")
+          .addStringOption((opt) =>
+            opt.setName("key").setDescription("Short ID, e.g. 25x or chaos").setRequired(true).setMaxLength(32)
+          )
+          .addStringOption((opt) =>
+            opt.setName("label").setDescription("Button / display name").setRequired(true).setMaxLength(60)
+          )
+          .addStringOption((opt) =>
+            opt
+              .setName("style")
+              .setDescription("Button color")
+              .setRequired(false)
+              .addChoices(...BUTTON_STYLE_CHOICES)
+          )
+          .addStringOption((opt) =>
+            opt.setName("maps").setDescription("Comma-separated map list (optional)").setRequired(false)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("edit")
+          .setDescription("Edit a server type.")
+          .addStringOption((opt) =>
+            opt.setName("key").setDescription("Server type").setRequired(true).setAutocomplete(true)
+          )
+          .addStringOption((opt) =>
+            opt.setName("label").setDescription("New display name").setRequired(false).setMaxLength(60)
+          )
+          .addStringOption((opt) =>
+            opt
+              .setName("style")
+              .setDescription("Button color")
+              .setRequired(false)
+              .addChoices(...BUTTON_STYLE_CHOICES)
+          )
+          .addStringOption((opt) =>
+            opt
+              .setName("maps")
+              .setDescription("Comma-separated map list, or \"none\" to allow any map")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("remove")
+          .setDescription("Remove a server type (removes its Apply button).")
+          .addStringOption((opt) =>
+            opt.setName("key").setDescription("Server type").setRequired(true).setAutocomplete(true)
+          )
+      )
+      .addSubcommand((sc) => sc.setName("list").setDescription("List server types.")),
+    new SlashCommandBuilder()
+      .setName("form")
+      .setDescription("Customize application questions per server type (admins).")
+      .addSubcommand((sc) =>
+        sc
+          .setName("set")
+          .setDescription("Add or edit a question (max 5 per form).")
+          .addStringOption((opt) =>
+            opt.setName("server").setDescription("Server type").setRequired(true).setAutocomplete(true)
+          )
+          .addStringOption((opt) =>
+            opt
+              .setName("field")
+              .setDescription("Question ID, e.g. platform (ign / tribe / map are built in)")
+              .setRequired(true)
+              .setAutocomplete(true)
+              .setMaxLength(32)
+          )
+          .addStringOption((opt) =>
+            opt.setName("label").setDescription("Question shown to the player").setRequired(false).setMaxLength(45)
+          )
+          .addStringOption((opt) =>
+            opt
+              .setName("style")
+              .setDescription("Input style")
+              .setRequired(false)
+              .addChoices({ name: "Short (one line)", value: "short" }, { name: "Paragraph", value: "paragraph" })
+          )
+          .addBooleanOption((opt) =>
+            opt.setName("required").setDescription("Must be answered").setRequired(false)
+          )
+          .addIntegerOption((opt) =>
+            opt
+              .setName("max_length")
+              .setDescription("Max answer length")
+              .setRequired(false)
+              .setMinValue(1)
+              .setMaxValue(4000)
+          )
+          .addStringOption((opt) =>
+            opt
+              .setName("pattern")
+              .setDescription("Validation regex, or \"none\" to clear")
+              .setRequired(false)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("remove")
+          .setDescription("Remove a question.")
+          .addStringOption((opt) =>
+            opt.setName("server").setDescription("Server type").setRequired(true).setAutocomplete(true)
+          )
+          .addStringOption((opt) =>
+            opt.setName("field").setDescription("Question ID").setRequired(true).setAutocomplete(true)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("reset")
+          .setDescription("Go back to the default questions (IGN, Tribe Name, Map).")
+          .addStringOption((opt) =>
+            opt.setName("server").setDescription("Server type").setRequired(true).setAutocomplete(true)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("list")
+          .setDescription("Show the questions for a server type.")
+          .addStringOption((opt) =>
+            opt.setName("server").setDescription("Server type").setRequired(true).setAutocomplete(true)
+          )
+      ),
+    new SlashCommandBuilder()
+      .setName("permissions")
+      .setDescription("Choose which roles hold each admin capability (Administrator).")
+      .addSubcommand((sc) =>
+        sc
+          .setName("grant")
+          .setDescription("Give a role a capability.")
+          .addStringOption((opt) =>
+            opt.setName("capability").setDescription("Capability").setRequired(true).addChoices(...CAPABILITY_CHOICES)
+          )
+          .addRoleOption((opt) => opt.setName("role").setDescription("Role").setRequired(true))
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("revoke")
+          .setDescription("Take a capability away from a role.")
+          .addStringOption((opt) =>
+            opt.setName("capability").setDescription("Capability").setRequired(true).addChoices(...CAPABILITY_CHOICES)
+          )
+          .addRoleOption((opt) => opt.setName("role").setDescription("Role").setRequired(true))
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("reset")
+          .setDescription("Go back to the default roles for a capability.")
+          .addStringOption((opt) =>
+            opt.setName("capability").setDescription("Capability").setRequired(true).addChoices(...CAPABILITY_CHOICES)
+          )
+      )
+      .addSubcommand((sc) =>
+        sc
+          .setName("end_early_confirm")
+          .setDescription("Require a second admin to confirm End Early (Open Season).")
+          .addBooleanOption((opt) =>
+            opt.setName("required").setDescription("Two-person End Early on / off").setRequired(true)
+          )
+          .addIntegerOption((opt) =>
+            opt
+              .setName("expires_minutes")
+              .setDescription("How long a proposal waits for the second admin (default 30)")
+              .setRequired(false)
+              .setMinValue(1)
+              .setMaxValue(24 * 60)
+          )
+      )
+      .addSubcommand((sc) => sc.setName("show").setDescription("Show which roles hold each capability.")),
+  ].map((c) => c.toJSON());
+}
+
+// -------------------- Diff --------------------
+// Discord echoes commands back with ids, versions and defaults filled in.
+// Reduce both sides to the fields we define, with Discord's defaults applied.
+function normalizeOption(opt) {
+  const out = {
+    type: opt.type,
+    name: opt.name,
+    description: opt.description,
+    required: opt.required ?? false,
+    autocomplete: opt.autocomplete ?? false,
+  };
+  if (opt.choices?.length) out.choices = opt.choices.map((c) => ({ name: c.name, value: c.value }));
+  if (opt.channel_types?.length) out.channel_types = [...opt.channel_types].sort();
+  for (const k of ["min_value", "max_value", "min_length", "max_length"]) {
+    if (opt[k] !== undefined && opt[k] !== null) out[k] = opt[k];
+  }
+  if (opt.options?.length) out.options = opt.options.map(normalizeOption);
+  return out;
+}
+
+function normalizeCommand(cmd) {
+  return {
+    name: cmd.name,
+    type: cmd.type ?? 1,
+    description: cmd.description,
+    default_member_permissions: cmd.default_member_permissions ?? null,
+    nsfw: cmd.nsfw ?? false,
+    options: (cmd.options || []).map(normalizeOption),
+  };
+}
+
+function diffCommands(local, remote) {
+  const localByName = new Map(local.map((c) => [c.name, normalizeCommand(c)]));
+  const remoteByName = new Map(remote.map((c) => [c.name, normalizeCommand(c)]));
+
+  const added = [...localByName.keys()].filter((n) => !remoteByName.has(n));
+  const removed = [...remoteByName.keys()].filter((n) => !localByName.has(n));
+  const changed = [...localByName.keys()].filter(
+    (n) =>
+      remoteByName.has(n) &&
+      JSON.stringify(localByName.get(n)) !== JSON.stringify(remoteByName.get(n))
+  );
+
+  return { added, removed, changed, unchanged: !added.length && !removed.length && !changed.length };
+}
+
+// e.g. "added: tribe; changed: bounty"
+function formatCommandDiff(diff) {
+  if (!diff) return "full PUT";
+  if (diff.unchanged) return "no changes";
+  const parts = [];
+  if (diff.added.length) parts.push(`added: ${diff.added.join(", ")}`);
+  if (diff.removed.length) parts.push(`removed: ${diff.removed.join(", ")}`);
+  if (diff.changed.length) parts.push(`changed: ${diff.changed.join(", ")}`);
+  return parts.join("; ");
+}
+
+// -------------------- Registration --------------------
+function commandsRoute(clientId, guildId) {
+  return guildId ? Routes.applicationGuildCommands(clientId, guildId) : Routes.applicationCommands(clientId);
+}
+
+async function fetchRegisteredCommands({ rest, clientId, guildId = null }) {
+  return rest.get(commandsRoute(clientId, guildId));
+}
+
+/**
+ * PUT the local command set. With skipIfUnchanged, fetches what Discord has first
+ * and skips the PUT when nothing differs.
+ *
+ * Returns { registered: boolean, diff: object|null }.
+ */
+async function registerCommands({ rest, clientId, guildId = null, skipIfUnchanged = false }) {
+  const commands = buildCommands();
+
+  let diff = null;
+  if (skipIfUnchanged) {
+    const remote = await fetchRegisteredCommands({ rest, clientId, guildId });
+    diff = diffCommands(commands, remote);
+    if (diff.unchanged) return { registered: false, diff };
+  }
+
+  await rest.put(commandsRoute(clientId, guildId), { body: commands });
+  return { registered: true, diff };
+}
+
+module.exports = {
+  MAX_DURATION_DAYS,
+  BOUNTY_TIERS,
+  CAPABILITIES,
+  buildCommands,
+  diffCommands,
+  formatCommandDiff,
+  fetchRegisteredCommands,
+  registerCommands,
+};
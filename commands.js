@@ -2,6 +2,7 @@
 // Slash command deploy script for the White Flag bot (Discord.js v14).
 //
 // Use this if you prefer registering commands separately from index.js.
+// Command definitions live in command-definitions.js (the bot registers the same set on startup).
 //
 // Env:
 //   DISCORD_TOKEN (required)
@@ -9,14 +10,23 @@
 //   GUILD_ID     (optional) - if set, registers to that guild instantly; otherwise registers globally
 //
 // Run:
-//   node commands.js
+//   node commands.js                      # PUT all commands
+//   node commands.js --diff               # show what differs from Discord, change nothing
+//   node commands.js --skip-if-unchanged  # only PUT when something differs
 //
 // Notes:
 // - Global command updates can take up to ~1 hour to appear in Discord.
 // - /setup is still guarded in the bot code to require Administrator.
 
 require("dotenv").config();
-const { REST, Routes, SlashCommandBuilder } = require("discord.js");
+const { REST } = require("discord.js");
+const {
+  buildCommands,
+  diffCommands,
+  formatCommandDiff,
+  fetchRegisteredCommands,
+  registerCommands,
+} = require("./command-definitions");
 
 const TOKEN = process.env.DISCORD_TOKEN;
 const CLIENT_ID = process.env.CLIENT_ID;
@@ -27,94 +37,37 @@ if (!TOKEN || !CLIENT_ID) {
   process.exit(1);
 }
 
-const commands = [
-  new SlashCommandBuilder()
-    .setName("setup")
-    .setDescription("Post rules + apply panels and configure channels/roles for White Flag.")
-    .addChannelOption((opt) =>
-      opt
-        .setName("rules_channel")
-        .setDescription("Channel to post the rules panel")
-        .setRequired(true)
-    )
-    .addChannelOption((opt) =>
-      opt
-        .setName("apply_channel")
-        .setDescription("Channel to post the application panel")
-        .setRequired(true)
-    )
-    .addChannelOption((opt) =>
-      opt
-        .setName("admin_channel")
-        .setDescription("Channel where admin reviews go")
-        .setRequired(true)
-    )
-    .addChannelOption((opt) =>
-      opt
-        .setName("announce_channel")
-        .setDescription("Channel to announce OPEN SEASON pings")
-        .setRequired(true)
-    )
-    .addRoleOption((opt) =>
-      opt
-        .setName("admin_role")
-        .setDescription("Role to ping for new applications")
-        .setRequired(true)
-    )
-    .addRoleOption((opt) =>
-      opt
-        .setName("open_season_role")
-        .setDescription("Role to ping when ending early (OPEN SEASON)")
-        .setRequired(true)
-    ),
-  new SlashCommandBuilder()
-    .setName("rules")
-    .setDescription("Show the White Flag rules (ephemeral)."),
-  new SlashCommandBuilder()
-    .setName("whiteflags")
-    .setDescription("White Flag utilities.")
-    .addSubcommand((sc) =>
-      sc.setName("active").setDescription("Show all approved + active White Flags.")
-    ),
-  new SlashCommandBuilder()
-    .setName("bounties")
-    .setDescription("Bounty utilities.")
-    .addSubcommand((sc) =>
-      sc.setName("active").setDescription("Show all active bounties (2 weeks).")
-    ),
-  new SlashCommandBuilder()
-    .setName("bounty")
-    .setDescription("Create or remove bounties.")
-    .addSubcommand((sc) =>
-      sc
-        .setName("add")
-        .setDescription("Add/refresh a bounty for a tribe (2 weeks).")
-        .addStringOption((opt) => opt.setName("tribe").setDescription("Tribe name").setRequired(true))
-        .addStringOption((opt) => opt.setName("ign").setDescription("IGN (optional)").setRequired(false))
-        .addStringOption((opt) => opt.setName("server").setDescription("Server (optional)").setRequired(false))
-        .addStringOption((opt) => opt.setName("reason").setDescription("Reason (optional)").setRequired(false))
-    )
-    .addSubcommand((sc) =>
-      sc
-        .setName("remove")
-        .setDescription("Remove an active bounty by tribe or by ID.")
-        .addStringOption((opt) => opt.setName("tribe").setDescription("Tribe name").setRequired(false))
-        .addStringOption((opt) => opt.setName("id").setDescription("Bounty record ID").setRequired(false))
-    ),
-].map((c) => c.toJSON());
-
+const args = new Set(process.argv.slice(2));
 const rest = new REST({ version: "10" }).setToken(TOKEN);
+const target = GUILD_ID ? `guild ${GUILD_ID}` : "global";
 
 (async () => {
   try {
+    if (args.has("--diff")) {
+      const remote = await fetchRegisteredCommands({ rest, clientId: CLIENT_ID, guildId: GUILD_ID });
+      const diff = diffCommands(buildCommands(), remote);
+      console.log(`Slash commands (${target}) vs local definitions: ${formatCommandDiff(diff)}`);
+      process.exitCode = diff.unchanged ? 0 : 2;
+      return;
+    }
+
     console.log("Registering slash commands...");
 
-    if (GUILD_ID) {
-      await rest.put(Routes.applicationGuildCommands(CLIENT_ID, GUILD_ID), { body: commands });
-      console.log(`✅ Commands registered to guild ${GUILD_ID}`);
+    const { registered, diff } = await registerCommands({
+      rest,
+      clientId: CLIENT_ID,
+      guildId: GUILD_ID,
+      skipIfUnchanged: args.has("--skip-if-unchanged"),
+    });
+
+    if (!registered) {
+      console.log(`✅ Commands (${target}) already up to date; nothing registered.`);
+    } else if (GUILD_ID) {
+      console.log(`✅ Commands registered to guild ${GUILD_ID} (${formatCommandDiff(diff)})`);
     } else {
-      await rest.put(Routes.applicationCommands(CLIENT_ID), { body: commands });
-      console.log("✅ Commands registered globally (can take up to ~1 hour to appear).");
+      console.log(
+        `✅ Commands registered globally (${formatCommandDiff(diff)}; can take up to ~1 hour to appear).`
+      );
     }
   } catch (err) {
     console.error("❌ Failed to register commands:", err);
@@ -14,7 +14,9 @@ export default [
         console: "readonly",
         Buffer: "readonly",
         setTimeout: "readonly",
-        clearTimeout: "readonly"
+        clearTimeout: "readonly",
+        setInterval: "readonly",
+        clearInterval: "readonly"
       }
     },
     rules: {
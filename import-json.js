@@ -0,0 +1,50 @@
+// import-json.js
+// One-shot import of the old JSON files (data/state.json + data/requests.json) into SQLite.
+//
+// Env:
+//   DATA_DIR  (optional) defaults ./data
+//   DB_PATH   (optional) defaults $DATA_DIR/whiteflag.db
+//   GUILD_ID  (optional) - guild to assign single-guild data to if state.json has no guildId
+//
+// Run:
+//   npm run import-json
+//
+// Notes:
+// - Runs in one transaction: a corrupt file aborts the import and nothing is written.
+// - On success the JSON files are renamed to *.imported so the import never runs twice.
+
+require("dotenv").config();
+const fs = require("fs");
+const path = require("path");
+const { openStore, importLegacyJson } = require("./storage");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+const DB_PATH = process.env.DB_PATH || path.join(DATA_DIR, "whiteflag.db");
+const STATE_PATH = path.join(DATA_DIR, "state.json");
+const REQUESTS_PATH = path.join(DATA_DIR, "requests.json");
+
+if (!fs.existsSync(STATE_PATH) && !fs.existsSync(REQUESTS_PATH)) {
+  console.log(`Nothing to import (no state.json / requests.json in ${DATA_DIR}).`);
+  process.exit(0);
+}
+
+const store = openStore(DB_PATH);
+
+try {
+  const counts = importLegacyJson(store, {
+    statePath: STATE_PATH,
+    requestsPath: REQUESTS_PATH,
+    defaultGuildId: process.env.GUILD_ID || null,
+  });
+
+  for (const p of [STATE_PATH, REQUESTS_PATH]) {
+    if (fs.existsSync(p)) fs.renameSync(p, `${p}.imported`);
+  }
+
+  console.log(`✅ Imported ${counts.guilds} guild config(s) and ${counts.requests} request(s) into ${DB_PATH}`);
+} catch (err) {
+  console.error("❌ Import failed (nothing was written):", err.message);
+  process.exitCode = 1;
+} finally {
+  store.close();
+}
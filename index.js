@@ -1,18 +1,36 @@
 // index.js
-// Production-ready Discord.js v14 bot for White Flag system using JSON storage.
+// Production-ready Discord.js v14 bot for White Flag system using SQLite storage (storage.js).
 //
 // Features:
 // - /setup posts rules + apply panel (button-based modal form)
 // - Rules must be accepted before form can submit (role gate)
-// - Two separate application forms:
-//    • 25x PVP
-//    • 100x PVP Chaos
+// - One application form per server type (25x PVP / 100x PVP Chaos by default; managed with /servers)
 // - On submit: pings admin role in admin channel with Approve/Deny buttons
-// - Approve: starts 7-day timer (no Open Season ping on expiry)
+// - Approve: starts White Flag timer (7 days by default; no Open Season ping on expiry)
+// - Expiry and reminders are persisted jobs (scheduler.js), caught up after downtime
 // - Admin can end early via button -> cancels timer + pings Open Season role in announce channel
+// - Deny / End Early ask for a reason (+ evidence links), stored and sent to the tribe
+// - Optional two-person End Early: one admin proposes, a different admin confirms before it runs
+// - Tribes can appeal a denial / early end once (DM button or /appeal); admins uphold or overturn
 // - /rules shows rules
-// - /whiteflags active shows all approved + active White Flags
+// - /whiteflags active / pending and /bounties active: paged lists with server, map and "ending within" filters
+// - /durations sets White Flag / bounty length per server type
+// - /form customizes the application questions per server type
+// - Approved White Flags can be extended (Extend button or /whiteflag extend)
+// - /reminders sets pre-expiry reminders (e.g. 24h + 1h) for White Flags and bounties
+// - /eligibility sets intake rules: flags per wipe, cooldown after expiry, blocks after Open Season / during bounties
+// - Every state change is written to an append-only audit trail (/audit log, optional audit channel)
+// - Bounties carry a tier (minor / major / kill-on-sight, escalating on refresh) and a promised reward
+// - Bounty announcements have a Claim button; admins verify claims (evidence links), /bounties leaderboard ranks hunters
+// - /board keeps a public, auto-updating list of active White Flags and bounties in a channel
+// - /rcon: per-server-type RCON connection; command templates run in-game on approve, expiry and end early
+// - With RCON set, new applications are checked in-game (online / last seen, tribe ID, tribe name mismatch)
+// - Tribe logs (watched files or a webhook) are scanned for raids by flagged tribes; admins get an End Early / Dismiss alert
+// - /season start|end: ending a season (wipe) archives every record and cancels timers; history stays queryable
+// - /permissions grants admin capabilities (review, end early, bounties, intel, configure) to roles
 // - Enforces: only 1 active White Flag per tribe (across both modes)
+// - Tribe registry: names resolve through admin-managed aliases (/tribe alias); likely duplicates are flagged on review
+// - Multi-guild: each server that runs /setup keeps its own config + requests
 //
 // Requirements: discord.js v14, Node 18+
 // Env:
@@ -20,13 +38,32 @@
 //   CLIENT_ID      (required)  - your application's client id
 //   GUILD_ID       (recommended) - if set, registers commands to this guild instantly
 //   DATA_DIR       (optional) defaults ./data
+//   DB_PATH        (optional) defaults $DATA_DIR/whiteflag.db
+//   LOG_WATCH_FILES    (optional) tribe log files to follow: "guildId=/path/to/log,guildId=/other/log"
+//   LOG_WEBHOOK_PORT   (optional) port for POST /tribe-log/<guildId> with the log text as the body
+//   LOG_WEBHOOK_TOKENS (required with LOG_WEBHOOK_PORT) one token per guild: "guildId=token,guildId=token",
+//                      sent as "Authorization: Bearer <token>"; a guild without a token can't be posted to
 //
-// Install: npm i discord.js dotenv
+// Upgrading from JSON storage: npm run import-json (one-shot, imports data/*.json)
+//
+// Install: npm i discord.js dotenv better-sqlite3
 // Run: node index.js
 
 require("dotenv").config();
 const fs = require("fs");
 const path = require("path");
+const { openStore, normalizeTribeName } = require("./storage");
+const {
+  registerCommands,
+  formatCommandDiff,
+  MAX_DURATION_DAYS,
+  BOUNTY_TIERS,
+  CAPABILITIES,
+} = require("./command-definitions");
+const { createScheduler } = require("./scheduler");
+const { runRconCommands } = require("./rcon");
+const { parseListPlayers, parseGameLog, findPlayerTribe, findLastSeen, findDestructionEvents } = require("./ark");
+const { createLogIngest } = require("./log-ingest");
 const {
   Client,
   GatewayIntentBits,
@@ -41,9 +78,8 @@ const {
   TextInputStyle,
   InteractionType,
   ChannelType,
+  AttachmentBuilder,
   REST,
-  Routes,
-  SlashCommandBuilder,
 } = require("discord.js");
 
 const TOKEN = process.env.DISCORD_TOKEN;
@@ -61,32 +97,20 @@ if (!CLIENT_ID) {
 
 // -------------------- Storage --------------------
 const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
-const STATE_PATH = path.join(DATA_DIR, "state.json");
-const REQUESTS_PATH = path.join(DATA_DIR, "requests.json");
+const DB_PATH = process.env.DB_PATH || path.join(DATA_DIR, "whiteflag.db");
 
-// Ensure data dir exists
-fs.mkdirSync(DATA_DIR, { recursive: true });
+const store = openStore(DB_PATH);
 
-// ---- Simple JSON store helpers (atomic-ish writes) ----
-function readJson(filePath, fallback) {
-  try {
-    if (!fs.existsSync(filePath)) return fallback;
-    const raw = fs.readFileSync(filePath, "utf8");
-    return JSON.parse(raw);
-  } catch {
-    return fallback;
+// The old JSON files are no longer read; they are moved into SQLite once with `npm run import-json`.
+for (const legacyFile of ["state.json", "requests.json"]) {
+  if (fs.existsSync(path.join(DATA_DIR, legacyFile))) {
+    console.warn(`⚠️ Found ${legacyFile} in ${DATA_DIR}. Run "npm run import-json" to import it into ${DB_PATH}.`);
   }
 }
 
-function writeJson(filePath, obj) {
-  const tmp = `${filePath}.tmp`;
-  fs.writeFileSync(tmp, JSON.stringify(obj, null, 2), "utf8");
-  fs.renameSync(tmp, filePath);
-}
-
-// -------------------- Global persisted config --------------------
+// -------------------- Per-guild persisted config --------------------
 /**
- * state = {
+ * guild state (one row per guild) = {
  *   guildId: string,
  *   rulesChannelId: string,
  *   applyChannelId: string,
@@ -96,59 +120,196 @@ function writeJson(filePath, obj) {
  *   openSeasonRoleId: string,
  *   rulesAcceptedRoleId: string, // must exist
  *   rulesMessageId: string,
- *   applyMessageId: string
+ *   applyMessageId: string,
+ *   boardChannelId: string,   // optional; public status board (see /board)
+ *   boardMessageIds: string[], // one message per board page, edited in place
+ *   serverTypes: [{
+ *     key: string,            // stable ID used in apply button / modal custom IDs
+ *     label: string,          // shown on the panel and stored on requests as serverType
+ *     style: "primary" | "secondary" | "success" | "danger",
+ *     maps: string[],         // optional; when set, the Map answer must be one of these
+ *     fields?: [{ id, label, style: "short" | "paragraph", required, maxLength, pattern }],
+ *     flagMs?: number,        // White Flag duration (see /durations)
+ *     bountyMs?: number,      // bounty duration
+ *     rcon?: { host: string, port: number, password: string } // game server admin access (see /rcon)
+ *   }],
+ *   reminderHours: number[],  // pre-expiry reminders, hours before the end (see /reminders)
+ *   auditChannelId: string,   // optional; audit events are mirrored here (see /audit)
+ *   rconTemplates: { approved: string[], expired: string[], ended_early: string[] }, // in-game commands
+ *   permissions: { [capability]: string[] }, // role IDs per capability (see /permissions); unset = defaults
+ *   endEarlyConfirm: { required: boolean, expiresMinutes: number }, // two-person End Early
+ *   eligibility: {            // who may apply (see /eligibility); 0 / false turns a rule off
+ *     maxFlagsPerWipe: number,      // approved White Flags per tribe since wipeStartedAt
+ *     wipeStartedAt: number | null, // epoch ms
+ *     cooldownHours: number,        // after a White Flag expires
+ *     endedEarlyBlockHours: number, // after a White Flag is ended early
+ *     blockDuringBounty: boolean
+ *   }
  * }
  *
- * NOTE: This implementation is single-guild (one config). If you want multi-guild support,
- * store state per guildId.
+ * Each Discord server that runs /setup gets its own config.
+ * Requests carry the guildId they belong to.
  */
-let state = readJson(STATE_PATH, {
-  guildId: null,
-  rulesChannelId: null,
-  applyChannelId: null,
-  adminChannelId: null,
-  announceChannelId: null,
-  adminRoleId: null,
-  openSeasonRoleId: null,
-  rulesAcceptedRoleId: null,
-  rulesMessageId: null,
-  applyMessageId: null,
-});
+function defaultGuildState(guildId) {
+  return {
+    guildId,
+    rulesChannelId: null,
+    applyChannelId: null,
+    adminChannelId: null,
+    announceChannelId: null,
+    adminRoleId: null,
+    openSeasonRoleId: null,
+    rulesAcceptedRoleId: null,
+    rulesMessageId: null,
+    applyMessageId: null,
+    boardChannelId: null,
+    boardMessageIds: [],
+    serverTypes: DEFAULT_SERVER_TYPES.map((t) => ({ ...t, maps: [...t.maps] })),
+    reminderHours: [...DEFAULT_REMINDER_HOURS],
+    auditChannelId: null,
+    rconTemplates: { ...DEFAULT_RCON_TEMPLATES },
+    permissions: {},
+    endEarlyConfirm: { ...DEFAULT_END_EARLY_CONFIRM },
+    eligibility: { ...DEFAULT_ELIGIBILITY },
+  };
+}
+
+function getGuildState(guildId) {
+  const state = { ...defaultGuildState(guildId), ...(store.getGuildState(guildId) || {}) };
 
-// requests = { [requestId]: { ... } }
-let requests = readJson(REQUESTS_PATH, {});
+  // Durations used to be a map keyed by server label; fold them into the server types
+  if (state.durations) {
+    for (const t of state.serverTypes) Object.assign(t, state.durations[t.label] || {});
+    delete state.durations;
+  }
+
+  return state;
+}
 
-// Active timers in memory: requestId -> timeout
-const activeTimeouts = new Map();
-// Active bounty timers in memory: requestId -> timeout
-const activeBountyTimeouts = new Map();
+function saveGuildState(state) {
+  store.saveGuildState(state.guildId, state);
+}
 
 // -------------------- Constants for custom IDs --------------------
 const CID = {
   RULES_ACCEPT: "wf_rules_accept",
 
-  APPLY_OPEN_25: "wf_apply_open_25",
-  APPLY_OPEN_100: "wf_apply_open_100",
-
-  APPLY_MODAL_25: "wf_apply_modal_25",
-  APPLY_MODAL_100: "wf_apply_modal_100",
+  APPLY_OPEN_PREFIX: "wf_apply_open:", // + server key
+  APPLY_MODAL_PREFIX: "wf_apply_modal:", // + server key
 
   ADMIN_APPROVE_PREFIX: "wf_admin_approve:", // + requestId
   ADMIN_DENY_PREFIX: "wf_admin_deny:", // + requestId
   ADMIN_END_EARLY_PREFIX: "wf_admin_end:", // + requestId
+  ADMIN_EXTEND_PREFIX: "wf_admin_extend:", // + requestId
+  EXTEND_MODAL_PREFIX: "wf_extend_modal:", // + requestId
+  DENY_MODAL_PREFIX: "wf_deny_modal:", // + requestId
+  END_EARLY_MODAL_PREFIX: "wf_end_modal:", // + requestId
+
+  APPEAL_OPEN_PREFIX: "wf_appeal_open:", // + requestId (button in the denial / end-early DM)
+  APPEAL_MODAL_PREFIX: "wf_appeal_modal:", // + requestId
+  APPEAL_UPHOLD_PREFIX: "wf_appeal_uphold:", // + requestId
+  APPEAL_OVERTURN_PREFIX: "wf_appeal_overturn:", // + requestId
+
+  BOUNTY_CLAIM_PREFIX: "wf_bounty_claim:", // + requestId (button on the BOUNTY ACTIVE announcement)
+  CLAIM_MODAL_PREFIX: "wf_claim_modal:", // + requestId
+  RCON_TEMPLATE_MODAL_PREFIX: "wf_rcon_tpl:", // + event (approved | expired | ended_early)
+  CLAIM_VERIFY_PREFIX: "wf_claim_verify:", // + requestId + ":" + claim id
+  CLAIM_REJECT_PREFIX: "wf_claim_reject:", // + requestId + ":" + claim id
+  VIOLATION_DISMISS_PREFIX: "wf_violation_dismiss:", // + requestId + ":" + violation id
+
+  TRIBE_HISTORY_PAGE_PREFIX: "wf_tribe_hist:", // + page + ":" + season ID (blank = current) + ":" + tribe key
+  LIST_PAGE_PREFIX: "wf_list:", // + view + ":" + page + ":" + sort + ":" + hours + ":" + server + ":" + map
 };
 
-// 7 days in ms
-const SEVEN_DAYS_MS = 7 * 24 * 60 * 60 * 1000;
-// 2 weeks in ms
-const TWO_WEEKS_MS = 14 * 24 * 60 * 60 * 1000;
+// /tribe history entries per page
+const TRIBE_HISTORY_PAGE_SIZE = 10;
 
-// -------------------- Helpers --------------------
-function persist() {
-  writeJson(STATE_PATH, state);
-  writeJson(REQUESTS_PATH, requests);
-}
+// /whiteflags active|pending and /bounties active entries per page
+const LIST_PAGE_SIZE = 10;
+
+// /audit log entries shown in the embed (exports include everything)
+const AUDIT_LOG_PAGE_SIZE = 20;
 
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Defaults when a server type has no configured durations (see /durations)
+const DEFAULT_FLAG_DURATION_MS = 7 * DAY_MS;
+const DEFAULT_BOUNTY_DURATION_MS = 14 * DAY_MS;
+
+// Server types a guild starts with; admins manage the list with /servers
+const DEFAULT_SERVER_TYPES = [
+  { key: "25x", label: "25x PVP", style: "primary", maps: [] },
+  { key: "100x", label: "100x PVP Chaos", style: "secondary", maps: [] },
+];
+
+// Apply panels posted before server types were configurable used fixed IDs
+const LEGACY_APPLY_IDS = {
+  wf_apply_open_25: "25x",
+  wf_apply_open_100: "100x",
+  wf_apply_modal_25: "25x",
+  wf_apply_modal_100: "100x",
+};
+
+const BUTTON_STYLES = {
+  primary: ButtonStyle.Primary,
+  secondary: ButtonStyle.Secondary,
+  success: ButtonStyle.Success,
+  danger: ButtonStyle.Danger,
+};
+
+// Discord allows 5 rows x 5 buttons per message
+const MAX_SERVER_TYPES = 25;
+
+// Application form questions; server types without their own list (see /form) use these
+const DEFAULT_FORM_FIELDS = [
+  { id: "ign", label: "IGN", style: "short", required: true, maxLength: 64, pattern: null },
+  { id: "tribe", label: "Tribe Name", style: "short", required: true, maxLength: 64, pattern: null },
+  { id: "map", label: "Map", style: "short", required: true, maxLength: 64, pattern: null },
+];
+// The bot relies on these answers; they can be relabelled but not removed or made optional
+const CORE_FORM_FIELD_IDS = ["ign", "tribe"];
+// Discord modals hold at most 5 text inputs
+const MAX_FORM_FIELDS = 5;
+
+// Evidence links accepted on the Deny / End Early reason modal
+const MAX_EVIDENCE_LINKS = 5;
+
+// Hours before a White Flag / bounty ends to send a reminder (see /reminders)
+const DEFAULT_REMINDER_HOURS = [24, 1];
+const MAX_REMINDERS = 5;
+
+// Eligibility rules are all off by default
+const DEFAULT_ELIGIBILITY = {
+  maxFlagsPerWipe: 0,
+  wipeStartedAt: null,
+  cooldownHours: 0,
+  endedEarlyBlockHours: 0,
+  blockDuringBounty: false,
+};
+
+// In-game commands run over RCON per White Flag event (see /rcon template); {placeholders} are filled per request
+const RCON_EVENTS = {
+  approved: "White Flag approved",
+  expired: "White Flag expired",
+  ended_early: "White Flag ended early",
+};
+const DEFAULT_RCON_TEMPLATES = {
+  approved: ["ServerChat White Flag is up for {tribe} until {ends}."],
+  expired: ["ServerChat White Flag for {tribe} has expired."],
+  ended_early: ["ServerChat OPEN SEASON: White Flag for {tribe} ended early."],
+};
+const RCON_PLACEHOLDERS = ["tribe", "tribeid", "ign", "map", "server", "id", "ends"];
+const MAX_RCON_COMMANDS = 10;
+
+// Two-person End Early (see /permissions end_early_confirm); off by default
+const DEFAULT_END_EARLY_CONFIRM = { required: false, expiresMinutes: 30 };
+
+// Tribe log lines kept on a raid alert (newest win); the count keeps going past this
+const MAX_VIOLATION_LINES = 10;
+
+// -------------------- Helpers --------------------
 function escapeMd(str) {
   if (!str) return "";
   return String(str).replace(/([*_`~|>])/g, "\\\\$1");
@@ -168,11 +329,75 @@ function newRequestId() {
   return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
 }
 
-function normalizeTribeName(name) {
-  return String(name || "")
-    .trim()
-    .toLowerCase()
-    .replace(/\\s+/g, " ");
+// "7 days", "1 day 12 hours", "6 hours"
+function formatDuration(ms) {
+  const days = Math.floor(ms / DAY_MS);
+  const hours = Math.round((ms - days * DAY_MS) / HOUR_MS);
+  const parts = [];
+  if (days) parts.push(`${days} day${days === 1 ? "" : "s"}`);
+  if (hours || !days) parts.push(`${hours} hour${hours === 1 ? "" : "s"}`);
+  return parts.join(" ");
+}
+
+// Server key from an apply button / modal custom ID (including pre-/servers panels)
+function serverKeyFromCustomId(customId, prefix) {
+  if (customId.startsWith(prefix)) return customId.slice(prefix.length);
+  return LEGACY_APPLY_IDS[customId] || null;
+}
+
+// Find a server type by key or label (case-insensitive)
+function findServerType(state, ref) {
+  const needle = String(ref || "").trim().toLowerCase();
+  if (!needle) return null;
+  return (
+    state.serverTypes.find((t) => t.key === needle) ||
+    state.serverTypes.find((t) => t.label.toLowerCase() === needle) ||
+    null
+  );
+}
+
+function getFormFields(serverType) {
+  return serverType?.fields?.length ? serverType.fields : DEFAULT_FORM_FIELDS;
+}
+
+// Validate submitted modal values against the form; returns { answers } or { error }
+function collectFormAnswers(fields, getValue) {
+  const answers = [];
+  for (const f of fields) {
+    let value = "";
+    try {
+      value = (getValue(f.id) || "").trim();
+    } catch {
+      value = ""; // field added after this modal was opened
+    }
+
+    if (!value) {
+      if (f.required) return { error: `**${escapeMd(f.label)}** is required.` };
+      continue;
+    }
+    if (f.pattern && !new RegExp(f.pattern).test(value)) {
+      return { error: `**${escapeMd(f.label)}** doesn't look right. Please check the format and try again.` };
+    }
+    answers.push({ id: f.id, label: f.label, value });
+  }
+  return { answers };
+}
+
+// Configured White Flag / bounty durations for a server type (key or label) in a guild
+function getDurations(guildId, serverType, state = getGuildState(guildId)) {
+  const configured = findServerType(state, serverType) || {};
+  return {
+    flagMs: configured.flagMs || DEFAULT_FLAG_DURATION_MS,
+    bountyMs: configured.bountyMs || DEFAULT_BOUNTY_DURATION_MS,
+  };
+}
+
+// Flags keep the end time they were approved with, even if /durations changes later.
+// Records approved before endsAt was stored derive it from approvedAt.
+function getFlagEndsAt(req) {
+  if (typeof req?.endsAt === "number") return req.endsAt;
+  if (typeof req?.approvedAt !== "number") return null;
+  return req.approvedAt + (req.flagDurationMs || DEFAULT_FLAG_DURATION_MS);
 }
 
 function isApprovedAndActive(req, now = Date.now()) {
@@ -180,41 +405,35 @@ function isApprovedAndActive(req, now = Date.now()) {
     req &&
     req.status === "approved" &&
     typeof req.approvedAt === "number" &&
-    req.approvedAt + SEVEN_DAYS_MS > now
+    getFlagEndsAt(req) > now
   );
 }
 
-function getPendingRequestForUser(userId) {
-  for (const r of Object.values(requests)) {
-    if (r?.requestedBy === userId && r?.status === "pending") return r;
-  }
-  return null;
+// Look up a request by ID, but only if it belongs to this guild
+function getGuildRequest(guildId, requestId) {
+  const req = requestId ? store.getRequest(requestId) : null;
+  return req && req.guildId === guildId ? req : null;
 }
 
-function getActiveApprovedForTribe(tribeName, excludeId = null) {
-  const key = normalizeTribeName(tribeName);
-  const now = Date.now();
-  for (const r of Object.values(requests)) {
-    if (excludeId && r?.id === excludeId) continue;
-    if (normalizeTribeName(r?.tribeName) !== key) continue;
-    if (isApprovedAndActive(r, now)) return r;
-  }
-  return null;
+function getPendingRequestForUser(guildId, userId) {
+  return store.findRequests({ guildId, requestedBy: userId, status: "pending" })[0] || null;
 }
 
+function getActiveApprovedForTribe(guildId, tribeName, excludeId = null) {
+  const now = Date.now();
+  const candidates = store.findRequests({ guildId, tribeName, status: "approved" });
+  return candidates.find((r) => r.id !== excludeId && isApprovedAndActive(r, now)) || null;
+}
 
-function getActiveBountyForTribe(tribeName, excludeId = null) {
-  const key = normalizeTribeName(tribeName);
+function getActiveBountyForTribe(guildId, tribeName, excludeId = null) {
   const now = Date.now();
-  for (const r of Object.values(requests)) {
-    if (excludeId && r?.id === excludeId) continue;
-    if (normalizeTribeName(r?.tribeName) !== key) continue;
-    if (hasActiveBounty(r, now)) return r;
-  }
-  return null;
+  const candidates = store.findRequests({ guildId, tribeName, bountyActive: true });
+  return candidates.find((r) => r.id !== excludeId && hasActiveBounty(r, now)) || null;
 }
 
 async function ensureRulesAcceptedRole(guild) {
+  const state = getGuildState(guild.id);
+
   // If state already has role id and it exists, use it
   if (state.rulesAcceptedRoleId) {
     const existing = await guild.roles.fetch(state.rulesAcceptedRoleId).catch(() => null);
@@ -229,7 +448,7 @@ async function ensureRulesAcceptedRole(guild) {
   const found = guild.roles.cache.find((r) => r.name.toLowerCase() === "rules accepted");
   if (found) {
     state.rulesAcceptedRoleId = found.id;
-    persist();
+    saveGuildState(state);
     return found;
   }
 
@@ -240,13 +459,31 @@ async function ensureRulesAcceptedRole(guild) {
     reason: "White Flag bot: role gate for rules acceptance",
   });
   state.rulesAcceptedRoleId = created.id;
-  persist();
+  saveGuildState(state);
   return created;
 }
 
-async function safeFetchGuild(client) {
-  if (!state.guildId) return null;
-  return client.guilds.fetch(state.guildId).catch(() => null);
+// New season: everyone has to accept the rules again. Returns how many members lost the role.
+async function resetRulesAcceptedRole(guild, state) {
+  const role = state.rulesAcceptedRoleId
+    ? await guild.roles.fetch(state.rulesAcceptedRoleId).catch(() => null)
+    : null;
+  if (!role) return 0;
+
+  // role.members only sees cached members
+  await guild.members.fetch().catch(() => null);
+
+  let removed = 0;
+  for (const member of role.members.values()) {
+    const ok = await member.roles.remove(role, "White Flag bot: season ended").then(() => true, () => false);
+    if (ok) removed++;
+  }
+  return removed;
+}
+
+async function safeFetchGuild(client, guildId) {
+  if (!guildId) return null;
+  return client.guilds.fetch(guildId).catch(() => null);
 }
 
 async function safeFetchChannel(guild, channelId) {
@@ -259,600 +496,3565 @@ function fmtDiscordRelativeTime(msEpoch) {
   return `<t:${seconds}:R>`;
 }
 
-// -------------------- Timer lifecycle --------------------
-function scheduleExpiry(requestId) {
-  const req = requests[requestId];
-  if (!req || req.status !== "approved" || !req.approvedAt) return;
-
-  // Clear existing
-  const existing = activeTimeouts.get(requestId);
-  if (existing) clearTimeout(existing);
+// Absolute date/time plus relative, e.g. "March 3, 2026 4:20 PM (2 days ago)"
+function fmtDiscordDateTime(msEpoch) {
+  const seconds = Math.floor(msEpoch / 1000);
+  return `<t:${seconds}:f> (<t:${seconds}:R>)`;
+}
 
-  const now = Date.now();
-  const endsAt = req.approvedAt + SEVEN_DAYS_MS;
-  const delay = Math.max(0, endsAt - now);
+// "2024-05-01" -> epoch ms at the start (or end) of that UTC day; null if blank, NaN if invalid
+function parseDateInput(input, endOfDay = false) {
+  const text = String(input || "").trim();
+  if (!text) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return NaN;
+  const ms = Date.parse(`${text}T00:00:00Z`);
+  return endOfDay ? ms + DAY_MS - 1 : ms;
+}
 
-  const t = setTimeout(async () => {
-    try {
-      // Re-read latest in case of changes
-      requests = readJson(REQUESTS_PATH, {});
-      const r = requests[requestId];
-      if (!r) return;
-      if (r.status !== "approved") return; // denied/ended already
-
-      r.status = "expired";
-      r.expiredAt = Date.now();
-      requests[requestId] = r;
-      persist();
-
-      // Post expiry message in admin channel (no role ping)
-      const guild = await safeFetchGuild(bot);
-      if (!guild) return;
-
-      const adminCh = await safeFetchChannel(guild, state.adminChannelId);
-      if (adminCh && isTextChannel(adminCh)) {
-        await adminCh.send(
-          `⏳ White Flag expired for **${escapeMd(r.tribeName)}** (IGN: **${escapeMd(
-            r.ign
-          )}**, Server: **${escapeMd(r.serverType || r.cluster || "N/A")}**).`
-        );
-      }
-    } finally {
-      activeTimeouts.delete(requestId);
-    }
-  }, delay);
+// -------------------- Permissions --------------------
+// Server Administrators hold every capability. A capability nobody has set with /permissions goes to the
+// admin role from /setup, except configure, which stays with Administrators.
+function getCapabilityRoleIds(state, capability) {
+  const roles = state.permissions?.[capability];
+  if (roles) return roles;
+  return capability === "configure" || !state.adminRoleId ? [] : [state.adminRoleId];
+}
 
-  activeTimeouts.set(requestId, t);
+async function memberHasCapability(guild, userId, capability, state = getGuildState(guild?.id)) {
+  if (!guild) return false;
+  const member = await guild.members.fetch(userId).catch(() => null);
+  if (!member) return false;
+  if (member.permissions?.has(PermissionsBitField.Flags.Administrator)) return true;
+  return getCapabilityRoleIds(state, capability).some((roleId) => member.roles?.cache?.has(roleId));
 }
-// -------------------- Bounty lifecycle (2 weeks) --------------------
-function hasActiveBounty(req, now = Date.now()) {
-  return (
-    req &&
-    req.bounty &&
-    req.bounty.active === true &&
-    typeof req.bounty.endsAt === "number" &&
-    req.bounty.endsAt > now
-  );
+
+// The one check every admin command / button goes through. Replies for the caller when it fails.
+async function authorize(interaction, capability, state = getGuildState(interaction.guildId)) {
+  if (await memberHasCapability(interaction.guild, interaction.user.id, capability, state)) return true;
+  await interaction.reply({
+    content: `You need the **${CAPABILITIES[capability]}** permission for this (see /permissions).`,
+    ephemeral: true,
+  });
+  return false;
 }
 
-function scheduleBountyExpiry(requestId) {
-  const req = requests[requestId];
-  if (!req || !hasActiveBounty(req)) return;
+// -------------------- Audit trail --------------------
+const AUDIT_ACTION_LABELS = {
+  setup: "⚙️ Setup",
+  submitted: "📥 Application submitted",
+  approved: "✅ White Flag approved",
+  denied: "❌ White Flag denied",
+  extended: "⏳ White Flag extended",
+  ended_early: "🛑 White Flag ended early",
+  expired: "⌛ White Flag expired",
+  bounty_added: "🎯 Bounty added",
+  bounty_refreshed: "🎯 Bounty refreshed",
+  bounty_removed: "🛑 Bounty removed",
+  bounty_expired: "🏁 Bounty expired",
+  appealed: "⚖️ Appeal submitted",
+  appeal_upheld: "⚖️ Appeal upheld",
+  appeal_overturned: "⚖️ Appeal overturned",
+  bounty_claim_submitted: "🎯 Bounty claim submitted",
+  bounty_claimed: "🏆 Bounty claimed",
+  bounty_claim_rejected: "🚫 Bounty claim rejected",
+  tribe_updated: "🏷️ Tribe registry updated",
+  season_started: "🌱 Season started",
+  season_ended: "🧹 Season ended (wipe)",
+  tribe_merged: "🔗 Tribes merged",
+  violation_flagged: "🚨 Possible violation flagged",
+  violation_dismissed: "🙅 Violation alert dismissed",
+  permissions_updated: "🔐 Permissions updated",
+  servers_updated: "🖥️ Server types updated",
+  durations_updated: "⏱️ Durations updated",
+  form_updated: "📝 Application form updated",
+  eligibility_updated: "🚦 Eligibility rules updated",
+  reminders_updated: "⏰ Reminders updated",
+  rcon_updated: "🖥️ RCON settings updated",
+  board_updated: "📌 Status board channel updated",
+  audit_channel_updated: "📜 Audit channel updated",
+  end_early_proposed: "🛑 End Early proposed (1/2)",
+  end_early_proposal_expired: "⌛ End Early proposal lapsed",
+};
 
-  const existing = activeBountyTimeouts.get(requestId);
-  if (existing) clearTimeout(existing);
+// /setup config recorded as before/after on "setup" events
+const AUDIT_SETUP_KEYS = [
+  "rulesChannelId",
+  "applyChannelId",
+  "adminChannelId",
+  "announceChannelId",
+  "adminRoleId",
+  "openSeasonRoleId",
+  "rulesAcceptedRoleId",
+];
+
+const SERVER_AUDIT_SETTINGS = ["label", "style", "maps"];
+const DURATION_AUDIT_SETTINGS = ["flagMs", "bountyMs"];
+
+// Per-server settings recorded as "<server key>.<setting>", so the change names the server.
+// RCON goes in as host:port only: the password never enters the audit trail.
+function serverAuditSnapshot(serverTypes, settings) {
+  const out = {};
+  for (const t of serverTypes) {
+    for (const setting of settings) {
+      let value = t[setting];
+      if (setting === "rcon") value = t.rcon ? `${t.rcon.host}:${t.rcon.port}` : null;
+      if (setting === "fields") value = getFormFields(t);
+      // Copied: the handlers edit server types in place
+      out[`${t.key}.${setting}`] = value === undefined ? null : JSON.parse(JSON.stringify(value));
+    }
+  }
+  return out;
+}
 
-  const now = Date.now();
-  const delay = Math.max(0, req.bounty.endsAt - now);
+// The parts of a request an audit event records as before/after
+function auditSnapshot(req) {
+  if (!req) return null;
+  return {
+    status: req.status,
+    endsAt: getFlagEndsAt(req),
+    bountyActive: req.bounty?.active === true,
+    bountyEndsAt: req.bounty?.endsAt ?? null,
+    bountyTier: req.bounty ? getBountyTier(req.bounty) : null,
+    bountyReward: req.bounty?.reward || null,
+    bountyClaimedBy: req.bounty?.claimedBy?.tribeName ?? null,
+  };
+}
 
-  const t = setTimeout(async () => {
-    try {
-      requests = readJson(REQUESTS_PATH, {});
-      const r = requests[requestId];
-      if (!r || !r.bounty) return;
-
-      const now2 = Date.now();
-      if (!(r.bounty.active && typeof r.bounty.endsAt === "number" && r.bounty.endsAt <= now2)) return;
-
-      r.bounty.active = false;
-      r.bounty.expiredAt = now2;
-      requests[requestId] = r;
-      persist();
-
-      const guild = await safeFetchGuild(bot);
-      if (!guild) return;
-
-      const announceCh = await safeFetchChannel(guild, state.announceChannelId);
-      if (announceCh && isTextChannel(announceCh)) {
-        await announceCh.send(
-          `🏁 **BOUNTY EXPIRED** — Bounty ended for **${escapeMd(r.tribeName)}** (IGN: **${escapeMd(
-            r.ign
-          )}**, Server: **${escapeMd(r.serverType || r.cluster || "N/A")}**).`
-        );
-      }
-    } finally {
-      activeBountyTimeouts.delete(requestId);
-    }
-  }, delay);
+/**
+ * Append an event to the audit trail and mirror it to the audit channel.
+ * actorId null = the bot itself (expiry). `after` defaults to the request's current snapshot.
+ */
+function recordAudit({
+  guildId,
+  at,
+  action,
+  actorId = null,
+  req = null,
+  tribeName = req?.tribeName,
+  before = null,
+  after,
+  reason = null,
+}) {
+  const event = store.appendAuditEvent({
+    guildId,
+    at,
+    action,
+    actorId,
+    requestId: req?.id,
+    tribeName,
+    reason,
+    before,
+    after: after === undefined ? auditSnapshot(req) : after,
+  });
 
-  activeBountyTimeouts.set(requestId, t);
+  mirrorAuditEvent(event).catch((e) => console.error("Failed to mirror audit event:", e));
+  queueBoardRefresh(guildId);
+  return event;
 }
 
-async function expireOverdueBountiesOnStartup() {
-  try {
-    requests = readJson(REQUESTS_PATH, {});
-    const now = Date.now();
+function formatAuditValue(key, value) {
+  if (value === null || value === undefined) return "—";
+  if (typeof value === "number" && key.endsWith("At")) return fmtDiscordDateTime(value);
+  if (key.endsWith("ChannelId")) return `<#${value}>`;
+  if (key.endsWith("RoleId")) return `<@&${value}>`;
+  if (typeof value === "number" && key.endsWith("Ms")) return formatDuration(value);
+  if (typeof value === "object") return escapeMd(JSON.stringify(value));
+  return escapeMd(String(value));
+}
 
-    let changed = false;
-    for (const [id, r] of Object.entries(requests)) {
-      if (r?.bounty?.active && typeof r.bounty.endsAt === "number" && r.bounty.endsAt <= now) {
-        r.bounty.active = false;
-        r.bounty.expiredAt = now;
-        requests[id] = r;
-        changed = true;
-      }
-    }
-    if (changed) persist();
-  } catch (e) {
-    console.error("Failed to expire overdue bounties:", e);
-  }
+// "**status:** pending → approved" for every key that differs (unset and false count as the same)
+function describeAuditChange(before, after) {
+  const norm = (v) => (v === undefined || v === false ? null : v);
+  const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return keys
+    .filter((k) => JSON.stringify(norm(before?.[k])) !== JSON.stringify(norm(after?.[k])))
+    .map((k) => `**${k}:** ${formatAuditValue(k, before?.[k])} → ${formatAuditValue(k, after?.[k])}`)
+    .join("\n");
 }
 
+function buildAuditEmbed(e) {
+  const embed = new EmbedBuilder()
+    .setTitle(AUDIT_ACTION_LABELS[e.action] || e.action)
+    .addFields({ name: "By", value: e.actorId ? `<@${e.actorId}>` : "Bot", inline: true })
+    .setFooter({ text: `Audit #${e.id}` })
+    .setTimestamp(e.at);
 
-async function expireOverdueApprovalsOnStartup() {
-  // If bot was down past the expiry time, mark them expired so they don't stay "approved" forever.
-  try {
-    requests = readJson(REQUESTS_PATH, {});
-    const now = Date.now();
+  if (e.tribeName) embed.addFields({ name: "Tribe", value: escapeMd(e.tribeName), inline: true });
+  if (e.requestId) embed.addFields({ name: "Request ID", value: `\`${e.requestId}\``, inline: true });
+  if (e.reason) embed.addFields({ name: "Reason", value: escapeMd(e.reason).slice(0, 1024), inline: false });
 
-    const guild = await safeFetchGuild(bot);
-    const adminCh = guild ? await safeFetchChannel(guild, state.adminChannelId) : null;
-
-    let changed = false;
-    for (const [id, r] of Object.entries(requests)) {
-      if (r?.status === "approved" && r?.approvedAt) {
-        const endsAt = r.approvedAt + SEVEN_DAYS_MS;
-        if (endsAt <= now) {
-          r.status = "expired";
-          r.expiredAt = now;
-          requests[id] = r;
-          changed = true;
-
-          if (adminCh && isTextChannel(adminCh)) {
-            await adminCh.send(
-              `⏳ White Flag expired (while bot was offline) for **${escapeMd(
-                r.tribeName
-              )}** (IGN: **${escapeMd(r.ign)}**, Server: **${escapeMd(
-                r.serverType || r.cluster || "N/A"
-              )}**).`
-            );
-          }
-        }
-      }
-    }
-    if (changed) persist();
-  } catch (e) {
-    console.error("Failed to expire overdue approvals:", e);
-  }
-}
+  const change = describeAuditChange(e.before, e.after);
+  if (change) embed.addFields({ name: "Change", value: change.slice(0, 1024), inline: false });
 
-// -------------------- Rules / Apply panels --------------------
-function buildRulesEmbed() {
-  return new EmbedBuilder()
-    .setTitle("📜 White Flag Rules & Agreement")
-    .setDescription(
-      [
-        "The White Flag system is designed to give new tribes a fair start and time to build. Abuse of this system will result in removal and a bounty placed on your tribe’s head.",
-        "",
-        "**Eligibility & Duration**",
-        "• White Flag is intended for **new tribes only**.",
-        "• Protection lasts **7 days from approval**.",
-        "• Admins will remove the White Flag early if rules are broken.",
-        "",
-        "**While White Flag is Active**",
-        "• **YOU CAN NOT RAID OTHER TRIBES.**",
-        "• Build, farm, tame, and establish your base.",
-        "• You can do PvP in the open as long as you are not raiding their base or scouting a base.",
-        "",
-        "**Protections Granted**",
-        "• Your tribe should not be raided while White Flag is active.",
-        "• Harassment or targeting White Flag tribes is not allowed.",
-        "",
-        "**Violations**",
-        "• Raiding while under White Flag = **immediate removal**.",
-        "• Abuse of protection (scouting for raids, feeding intel, etc.) = **removal**.",
-        "• Admin discretion may apply additional penalties.",
-        "• If you break the rules, your flag will be removed, your tribe will be announced as **OPEN SEASON**, and a bounty may be placed.",
-        "",
-        "**After Expiration**",
-        "Once your White Flag expires your tribe is fully open to normal PvP rules.",
-      ].join("\n")
-    );
+  return embed;
 }
 
-function buildRulesRow() {
-  return new ActionRowBuilder().addComponents(
-    new ButtonBuilder()
-      .setCustomId(CID.RULES_ACCEPT)
-      .setLabel("✅ I Agree & Understand")
-      .setStyle(ButtonStyle.Success)
-  );
+async function mirrorAuditEvent(event) {
+  const state = getGuildState(event.guildId);
+  if (!state.auditChannelId) return;
+
+  const guild = await safeFetchGuild(bot, event.guildId);
+  const ch = guild ? await safeFetchChannel(guild, state.auditChannelId) : null;
+  if (ch && isTextChannel(ch)) await ch.send({ embeds: [buildAuditEmbed(event)] });
 }
 
-function buildApplyEmbed() {
-  return new EmbedBuilder()
-    .setTitle("🏳️ White Flag Applications")
-    .setDescription(
-      [
-        "Before applying, you must read and accept the rules.",
-        "",
-        "Choose the correct server and submit your request:",
-        "• **25x PVP**",
-        "• **100x PVP Chaos**",
-        "",
-        "**Important:** Only **1 active White Flag per tribe** is allowed.",
-      ].join("\n")
-    );
+// Spreadsheet apps run cells starting with = + - @ as formulas; prefix those with '
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
 }
 
-function buildApplyRow() {
-  return new ActionRowBuilder().addComponents(
-    new ButtonBuilder()
-      .setCustomId(CID.APPLY_OPEN_25)
-      .setLabel("🏳️ Apply — 25x PVP")
-      .setStyle(ButtonStyle.Primary),
-    new ButtonBuilder()
-      .setCustomId(CID.APPLY_OPEN_100)
-      .setLabel("🏳️ Apply — 100x PVP Chaos")
-      .setStyle(ButtonStyle.Secondary)
+function auditEventsToCsv(events) {
+  const header = ["id", "at", "action", "actor_id", "request_id", "tribe", "reason", "before", "after"];
+  const rows = events.map((e) =>
+    [
+      e.id,
+      new Date(e.at).toISOString(),
+      e.action,
+      e.actorId,
+      e.requestId,
+      e.tribeName,
+      e.reason,
+      e.before ? JSON.stringify(e.before) : "",
+      e.after ? JSON.stringify(e.after) : "",
+    ]
+      .map(csvCell)
+      .join(",")
   );
+  return [header.join(","), ...rows].join("\n");
 }
 
-function buildAdminReviewEmbed(req) {
-  const endsAt = req?.approvedAt ? req.approvedAt + SEVEN_DAYS_MS : null;
+function buildAuditLine(e) {
+  const who = e.actorId ? `<@${e.actorId}>` : "Bot";
+  const tribe = e.tribeName ? ` — **${escapeMd(e.tribeName)}**` : "";
+  return `${fmtDiscordRelativeTime(e.at)} ${AUDIT_ACTION_LABELS[e.action] || e.action}${tribe} — ${who}`;
+}
 
-  const embed = new EmbedBuilder()
-    .setTitle("📥 New White Flag Application")
-    .addFields(
-      { name: "Server", value: escapeMd(req.serverType || req.cluster || "N/A"), inline: true },
-      { name: "IGN", value: escapeMd(req.ign), inline: true },
-      { name: "Tribe Name", value: escapeMd(req.tribeName), inline: true },
-      { name: "Map", value: escapeMd(req.map), inline: true },
-      { name: "Requested By", value: `<@${req.requestedBy}>`, inline: false }
-    )
-    .setFooter({ text: `Request ID: ${req.id}` });
+// -------------------- Scheduled jobs --------------------
+// Expiry and reminders are stored as jobs with a due-at time (scheduler.js); keys:
+//   flag_expiry:<requestId>, bounty_expiry:<requestId>, reminder:<flag|bounty>:<hours>:<requestId>,
+//   board_refresh:<guildId> (re-queued on every audit event, so bursts collapse into one re-render),
+//   end_early_proposal:<requestId> (a two-person End Early proposal lapsing)
+const scheduler = createScheduler({
+  store,
+  handlers: {
+    flag_expiry: runFlagExpiry,
+    bounty_expiry: runBountyExpiry,
+    reminder: runReminder,
+    board_refresh: runBoardRefresh,
+    end_early_proposal: runEndEarlyProposalExpiry,
+  },
+});
 
-  if (endsAt) {
-    embed.addFields({ name: "Ends", value: fmtDiscordRelativeTime(endsAt), inline: true });
-  }
+// Sets (or moves) the expiry job for an approved flag, plus its reminders
+function scheduleExpiry(requestId) {
+  const req = store.getRequest(requestId);
+  if (!req || req.status !== "approved" || !req.approvedAt) return;
 
-  return embed;
+  scheduler.schedule(`flag_expiry:${requestId}`, "flag_expiry", getFlagEndsAt(req), {
+    guildId: req.guildId,
+    requestId,
+  });
+  scheduleReminders(requestId);
 }
 
-// -------------------- Slash command registration --------------------
-async function registerSlashCommands() {
-  const commands = [
-    new SlashCommandBuilder()
-      .setName("setup")
-      .setDescription("Post rules + apply panels and configure channels/roles for White Flag.")
-      .addChannelOption((opt) =>
-        opt
-          .setName("rules_channel")
-          .setDescription("Channel to post the rules panel")
-          .setRequired(true)
-      )
-      .addChannelOption((opt) =>
-        opt
-          .setName("apply_channel")
-          .setDescription("Channel to post the application panel")
-          .setRequired(true)
-      )
-      .addChannelOption((opt) =>
-        opt
-          .setName("admin_channel")
-          .setDescription("Channel where admin reviews go")
-          .setRequired(true)
+async function runFlagExpiry(job, { late }) {
+  // Re-read latest in case of changes; status check + write happen in one transaction
+  const r = store.transaction(() => {
+    const latest = store.getRequest(job.requestId);
+    if (!latest) return null;
+    if (latest.status !== "approved") return null; // denied/ended already
+    if (getFlagEndsAt(latest) > Date.now()) return null; // extended since
+
+    const before = auditSnapshot(latest);
+    latest.status = "expired";
+    latest.expiredAt = Date.now();
+    store.saveRequest(latest);
+    recordAudit({ guildId: latest.guildId, action: "expired", req: latest, before });
+    return latest;
+  });
+  if (!r) return;
+  scheduleReminders(r.id); // drops reminders that are no longer needed
+
+  const state = getGuildState(r.guildId);
+  const guild = await safeFetchGuild(bot, r.guildId);
+  if (!guild) return;
+
+  // The flag is committed as expired, so a retry of this job would stop at the status check above:
+  // each step below handles its own failure instead of throwing past the others
+  await runRconEvent(guild, r, "expired").catch((e) => console.error("RCON expiry hook failed:", e));
+
+  // Post expiry message in admin channel (no role ping)
+  const adminCh = await safeFetchChannel(guild, state.adminChannelId);
+  if (adminCh && isTextChannel(adminCh)) {
+    await adminCh
+      .send(
+        `⏳ White Flag expired${late ? " (while bot was offline)" : ""} for **${escapeMd(
+          r.tribeName
+        )}** (IGN: **${escapeMd(r.ign)}**, Server: **${escapeMd(r.serverType || r.cluster || "N/A")}**).`
       )
-      .addChannelOption((opt) =>
-        opt
-          .setName("announce_channel")
-          .setDescription("Channel to announce OPEN SEASON pings")
-          .setRequired(true)
+      .catch((e) => console.error("Failed to post White Flag expiry:", e));
+  }
+}
+
+// -------------------- White Flag extensions --------------------
+// Same ceiling as /durations, so a typo can't park a flag for months
+const MAX_FLAG_REMAINING_MS = MAX_DURATION_DAYS * DAY_MS;
+
+/**
+ * Push an active flag's end time back by `hours`.
+ * Returns { req } on success or { error } with a message for the admin.
+ */
+function extendFlag(guildId, requestId, hours, actorId) {
+  if (!Number.isFinite(hours) || hours <= 0) return { error: "Hours must be a positive number." };
+
+  return store.transaction(() => {
+    const req = getGuildRequest(guildId, requestId);
+    if (!req) return { error: "Request not found." };
+    if (!isApprovedAndActive(req)) {
+      return { error: `Only active White Flags can be extended (status is **${req.status}**).` };
+    }
+
+    const now = Date.now();
+    const previousEndsAt = getFlagEndsAt(req);
+    const endsAt = previousEndsAt + Math.round(hours * HOUR_MS);
+    if (endsAt - now > MAX_FLAG_REMAINING_MS) {
+      return { error: `A White Flag can't end more than ${MAX_DURATION_DAYS} days from now.` };
+    }
+
+    const before = auditSnapshot(req);
+    req.endsAt = endsAt;
+    req.extensions = [...(req.extensions || []), { by: actorId, at: now, hours, previousEndsAt, endsAt }];
+    store.saveRequest(req);
+    recordAudit({ guildId, action: "extended", actorId, req, before });
+    return { req };
+  });
+}
+
+// Re-render the review message in the admin channel (records from before adminMessageId was stored are skipped).
+// Pass components to replace the buttons too.
+async function refreshAdminReviewMessage(guild, req, components = null) {
+  if (!req.adminMessageId) return;
+  const ch = await safeFetchChannel(guild, req.adminChannelId);
+  if (!ch || !isTextChannel(ch)) return;
+  const msg = await ch.messages.fetch(req.adminMessageId).catch(() => null);
+  const edit = { embeds: [buildAdminReviewEmbed(req)] };
+  if (components) edit.components = components;
+  if (msg) await msg.edit(edit).catch(() => null);
+}
+
+// After extendFlag(): reschedule expiry, update the review embed and DM the tribe owner
+async function announceFlagExtension(guild, req, hours) {
+  scheduleExpiry(req.id);
+  await refreshAdminReviewMessage(guild, req);
+
+  const change = `extended by ${formatDuration(hours * HOUR_MS)}`;
+  const user = await bot.users.fetch(req.requestedBy).catch(() => null);
+  if (user) {
+    user
+      .send(
+        `⏳ Your White Flag for **${req.tribeName}** (${req.serverType || req.cluster || "Server"}) was ${change}. It now ends ${fmtDiscordDateTime(req.endsAt)}.`
       )
-      .addRoleOption((opt) =>
-        opt
-          .setName("admin_role")
-          .setDescription("Role to ping for new applications")
+      .catch(() => null);
+  }
+  return change;
+}
+
+function buildExtendModal(req) {
+  return new ModalBuilder()
+    .setCustomId(`${CID.EXTEND_MODAL_PREFIX}${req.id}`)
+    .setTitle(`Extend White Flag — ${req.tribeName}`.slice(0, 45))
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("hours")
+          .setLabel("Hours to add")
+          .setStyle(TextInputStyle.Short)
+          .setPlaceholder("24")
           .setRequired(true)
+          .setMaxLength(8)
       )
-      .addRoleOption((opt) =>
-        opt
-          .setName("open_season_role")
-          .setDescription("Role to ping when ending early (OPEN SEASON)")
+    );
+}
+
+// -------------------- Deny / End Early reasons --------------------
+// kind: "deny" | "end"
+function buildReasonModal(kind, req) {
+  const isDeny = kind === "deny";
+  const modal = new ModalBuilder()
+    .setCustomId(`${isDeny ? CID.DENY_MODAL_PREFIX : CID.END_EARLY_MODAL_PREFIX}${req.id}`)
+    .setTitle(`${isDeny ? "Deny" : "End Early"} — ${req.tribeName}`.slice(0, 45))
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("reason")
+          .setLabel("Reason")
+          .setStyle(TextInputStyle.Paragraph)
+          .setPlaceholder(isDeny ? "Why is this request denied?" : "What broke the White Flag rules?")
           .setRequired(true)
+          .setMaxLength(1000)
       ),
-    new SlashCommandBuilder()
-      .setName("rules")
-      .setDescription("Show the White Flag rules (ephemeral)."),
-    new SlashCommandBuilder()
-      .setName("whiteflags")
-      .setDescription("White Flag utilities.")
-      .addSubcommand((sc) =>
-        sc.setName("active").setDescription("Show all approved + active White Flags.")
-      ),
-    new SlashCommandBuilder()
-      .setName("bounties")
-      .setDescription("Bounty utilities.")
-      .addSubcommand((sc) =>
-        sc.setName("active").setDescription("Show all active bounties (2 weeks).")
-      ),
-    new SlashCommandBuilder()
-      .setName("bounty")
-      .setDescription("Create or remove bounties.")
-      .addSubcommand((sc) =>
-        sc
-          .setName("add")
-          .setDescription("Add/refresh a bounty for a tribe (2 weeks).")
-          .addStringOption((opt) =>
-            opt.setName("tribe").setDescription("Tribe name").setRequired(true)
-          )
-          .addStringOption((opt) =>
-            opt.setName("ign").setDescription("IGN (optional)").setRequired(false)
-          )
-          .addStringOption((opt) =>
-            opt.setName("server").setDescription("Server (optional)").setRequired(false)
-          )
-          .addStringOption((opt) =>
-            opt.setName("reason").setDescription("Reason (optional)").setRequired(false)
-          )
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("evidence")
+          .setLabel("Evidence links (optional, one per line)")
+          .setStyle(TextInputStyle.Paragraph)
+          .setPlaceholder("https://...")
+          .setRequired(false)
+          .setMaxLength(1000)
       )
-      .addSubcommand((sc) =>
-        sc
-          .setName("remove")
-          .setDescription("Remove an active bounty by tribe or by ID.")
-          .addStringOption((opt) =>
-            opt.setName("tribe").setDescription("Tribe name").setRequired(false)
-          )
-          .addStringOption((opt) =>
-            opt.setName("id").setDescription("Bounty record ID").setRequired(false)
-          )
-      ),
-  ].map((c) => c.toJSON());
-
-  const rest = new REST({ version: "10" }).setToken(TOKEN);
+    );
 
-  try {
-    if (GUILD_ID) {
-      await rest.put(Routes.applicationGuildCommands(CLIENT_ID, GUILD_ID), { body: commands });
-      console.log(`✅ Registered slash commands to guild ${GUILD_ID}`);
-    } else {
-      await rest.put(Routes.applicationCommands(CLIENT_ID), { body: commands });
-      console.log("✅ Registered global slash commands (can take up to ~1 hour to appear).");
-    }
-  } catch (e) {
-    console.error("Failed to register slash commands:", e);
+  if (!isDeny) {
+    modal.addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("public")
+          .setLabel("Show reason in the OPEN SEASON post? (yes/no)")
+          .setStyle(TextInputStyle.Short)
+          .setPlaceholder("no")
+          .setRequired(false)
+          .setMaxLength(3)
+      )
+    );
   }
+
+  return modal;
 }
 
-// -------------------- Discord client --------------------
-const bot = new Client({
-  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers],
-  partials: [Partials.GuildMember],
-});
+// { reason, evidence: string[], isPublic } or { error }
+function readReasonModal(interaction) {
+  const optional = (id) => {
+    try {
+      return String(interaction.fields.getTextInputValue(id) || "").trim();
+    } catch {
+      return "";
+    }
+  };
 
-bot.once("clientReady", async () => {
-  console.log(`✅ Logged in as ${bot.user.tag}`);
+  const reason = optional("reason");
+  if (!reason) return { error: "A reason is required." };
+
+  const { links: evidence, error } = parseEvidenceLinks(optional("evidence"));
+  if (error) return { error };
+
+  return { reason, evidence, isPublic: /^y(es)?$/i.test(optional("public")) };
+}
+
+// "https://a\nhttps://b" -> { links } or { error }
+function parseEvidenceLinks(text) {
+  const links = String(text || "").split(/\s+/).filter(Boolean);
+  if (links.length > MAX_EVIDENCE_LINKS) {
+    return { error: `At most ${MAX_EVIDENCE_LINKS} evidence links.` };
+  }
+  if (links.some((link) => !/^https?:\/\/\S+$/i.test(link))) {
+    return { error: "Evidence must be http(s) links, one per line." };
+  }
+  return { links };
+}
+
+// Reason text plus numbered evidence links, for embeds
+function formatReason(reason, evidence = []) {
+  const links = evidence.map((link, i) => `[Evidence ${i + 1}](${link})`).join(" · ");
+  return `${escapeMd(reason)}${links ? `\n${links}` : ""}`.slice(0, 1024);
+}
+
+// Reason as stored on audit events (links appended as plain text)
+function auditReason(reason, evidence = []) {
+  return evidence.length ? `${reason}\nEvidence: ${evidence.join(" ")}` : reason;
+}
+
+// -------------------- End Early --------------------
+// With two-person mode on (/permissions end_early_confirm), the first admin's End Early only records a
+// proposal; a different admin confirms it with the same button before anything runs. Stored as
+// req.endEarlyProposals = [{
+//   id, by, at, expiresAt, reason, evidence, isPublic,
+//   status: "pending" | "confirmed" | "expired", confirmedBy, confirmedAt
+// }]
+// A pending proposal lapses at expiresAt (job end_early_proposal:<requestId>).
+function getEndEarlyConfirm(state) {
+  return { ...DEFAULT_END_EARLY_CONFIRM, ...(state.endEarlyConfirm || {}) };
+}
+
+// The newest proposal, if it's still waiting for a second admin
+function getPendingEndEarlyProposal(req, now = Date.now()) {
+  const proposal = (req.endEarlyProposals || []).at(-1);
+  return proposal && proposal.status === "pending" && proposal.expiresAt > now ? proposal : null;
+}
+
+// After an End Early step: the message the admin clicked (review message or raid alert) is updated
+// through the interaction, the review message and the other alerts are edited
+async function updateEndEarlyMessages(interaction, req, reviewRow) {
+  const alert = (req.violations || []).find((v) => v.messageId && v.messageId === interaction.message?.id);
+  const view = alert
+    ? { embeds: [buildViolationEmbed(req, alert)], components: [buildViolationRow(req, alert)] }
+    : { embeds: [buildAdminReviewEmbed(req)], components: [reviewRow] };
+  await interaction.update({ content: interaction.message.content, ...view });
+
+  if (alert) await refreshAdminReviewMessage(interaction.guild, req, [reviewRow]);
+  const otherAlerts = (req.violations || []).filter((v) => v !== alert && v.status !== "dismissed").map((v) => v.id);
+  if (otherAlerts.length) await refreshViolationMessages(interaction.guild, req, otherAlerts);
+}
+
+async function proposeEndEarly(interaction, req, { reason, evidence, isPublic }) {
+  const { expiresMinutes } = getEndEarlyConfirm(getGuildState(req.guildId));
+  const now = Date.now();
+  const proposals = req.endEarlyProposals || [];
+  const proposal = {
+    id: `p${proposals.length + 1}`,
+    by: interaction.user.id,
+    at: now,
+    expiresAt: now + expiresMinutes * MINUTE_MS,
+    reason,
+    evidence,
+    isPublic,
+    status: "pending",
+    confirmedBy: null,
+    confirmedAt: null,
+  };
+  req.endEarlyProposals = [...proposals, proposal];
+  store.saveRequest(req);
+  recordAudit({
+    guildId: req.guildId,
+    action: "end_early_proposed",
+    actorId: interaction.user.id,
+    req,
+    reason: auditReason(reason, evidence),
+  });
+  scheduler.schedule(`end_early_proposal:${req.id}`, "end_early_proposal", proposal.expiresAt, {
+    guildId: req.guildId,
+    requestId: req.id,
+  });
+
+  await updateEndEarlyMessages(interaction, req, buildApprovedReviewRow(req));
+}
+
+async function runEndEarlyProposalExpiry(job) {
+  const r = store.transaction(() => {
+    const latest = store.getRequest(job.requestId);
+    const proposal = latest && (latest.endEarlyProposals || []).at(-1);
+    if (!proposal || proposal.status !== "pending") return null; // confirmed already
+    if (proposal.expiresAt > Date.now()) return null; // a newer proposal
+
+    proposal.status = "expired";
+    store.saveRequest(latest);
+    recordAudit({
+      guildId: latest.guildId,
+      action: "end_early_proposal_expired",
+      req: latest,
+      reason: `Proposed by ${proposal.by}`,
+    });
+    return latest;
+  });
+  if (!r) return;
+
+  const guild = await safeFetchGuild(bot, r.guildId);
+  if (!guild) return;
+  await refreshAdminReviewMessage(guild, r, r.status === "approved" ? [buildApprovedReviewRow(r)] : null);
+  const openAlerts = (r.violations || []).filter((v) => v.status === "open").map((v) => v.id);
+  if (openAlerts.length) await refreshViolationMessages(guild, r, openAlerts);
+}
+
+/**
+ * End an approved White Flag: Open Season ping, automatic bounty, RCON, DM. Answers the interaction
+ * (End Early modal, or the Confirm button when `proposal` is the one being confirmed).
+ */
+async function endFlagEarly(interaction, req, { reason, evidence, isPublic, proposal = null }) {
+  const state = getGuildState(req.guildId);
+
+  // Cancel expiry (reminders are re-planned for the bounty below)
+  scheduler.cancel(`flag_expiry:${req.id}`);
+  scheduler.cancel(`end_early_proposal:${req.id}`);
+
+  const before = auditSnapshot(req);
+  req.status = "ended_early";
+  req.endedEarlyAt = Date.now();
+  req.endedEarlyBy = proposal ? proposal.by : interaction.user.id;
+  req.endedEarlyConfirmedBy = proposal ? interaction.user.id : null;
+  req.endedEarlyReason = reason;
+  req.endedEarlyEvidence = evidence;
+  req.endedEarlyReasonPublic = isPublic;
+  if (proposal) {
+    proposal.status = "confirmed";
+    proposal.confirmedBy = interaction.user.id;
+    proposal.confirmedAt = req.endedEarlyAt;
+  }
+
+  // Open raid alerts are settled by this decision
+  for (const v of req.violations || []) {
+    if (v.status !== "open") continue;
+    v.status = "ended";
+    v.decidedBy = interaction.user.id;
+    v.decidedAt = req.endedEarlyAt;
+  }
+
+  // Start/refresh a bounty automatically (duration per server type). A bounty this record already
+  // had escalates a tier, as a refresh does in /bounty add, and keeps its reward.
+  const nowB = Date.now();
+  const { bountyMs } = getDurations(req.guildId, req.serverKey || req.serverType, state);
+  const bountyReason = "White Flag ended early (Open Season).";
+  const prev = req.bounty;
+  if (prev?.active) {
+    req.bounty = {
+      ...prev,
+      endsAt: nowB + bountyMs,
+      refreshedAt: nowB,
+      refreshedBy: interaction.user.id,
+      refreshCount: (prev.refreshCount || 0) + 1,
+      reason: bountyReason,
+      tier: escalateBountyTier(getBountyTier(prev)),
+    };
+  } else {
+    // A finished bounty (e.g. cancelled by an overturned appeal) moves to pastBounties with its claims
+    if (prev) req.pastBounties = [...(req.pastBounties || []), prev];
+    req.bounty = {
+      active: true,
+      startedAt: nowB,
+      endsAt: nowB + bountyMs,
+      startedBy: interaction.user.id,
+      reason: bountyReason,
+      tier: prev ? escalateBountyTier(getBountyTier(prev)) : BOUNTY_TIERS[0],
+      reward: prev?.reward || "",
+    };
+  }
+  store.saveRequest(req);
+  recordAudit({
+    guildId: req.guildId,
+    action: "ended_early",
+    actorId: interaction.user.id,
+    req,
+    before,
+    reason: auditReason(reason, evidence) + (proposal ? `\nProposed by ${proposal.by}` : ""),
+  });
+
+  scheduleBountyExpiry(req.id);
+  runRconEvent(interaction.guild, req, "ended_early").catch((e) => console.error("RCON end early hook failed:", e));
+
+  // Announce Open Season (ping role)
+  const announceCh = await interaction.guild.channels
+    .fetch(state.announceChannelId)
+    .catch(() => null);
+
+  if (announceCh && isTextChannel(announceCh)) {
+    if (prev?.active) await closeBountyAnnouncement(interaction.guild, req); // replaced by this one
+    await sendBountyAnnouncement(
+      announceCh,
+      req,
+      `<@&${state.openSeasonRoleId}> 🚨 **OPEN SEASON** — White Flag ended early for **${escapeMd(
+        req.tribeName
+      )}** (IGN: **${escapeMd(req.ign)}**, Server: **${escapeMd(
+        req.serverType || req.cluster || "N/A"
+      )}**). 🎯 **BOUNTY ACTIVE** for ${formatDuration(bountyMs)} — ends ${fmtDiscordRelativeTime(req.bounty.endsAt)}.` +
+        `\n${formatBountyTerms(req.bounty)}` +
+        (isPublic ? `\n**Reason:** ${escapeMd(reason)}` : "")
+    );
+  }
+
+  // Update admin message: disable end early
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${CID.ADMIN_END_EARLY_PREFIX}${req.id}`)
+      .setLabel("🛑 Ended Early")
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(true)
+  );
+  await updateEndEarlyMessages(interaction, req, row);
+
+  const user = await bot.users.fetch(req.requestedBy).catch(() => null);
+  if (user) {
+    user
+      .send({
+        content:
+          `🚨 An admin ended your White Flag early for **${req.tribeName}** (${req.serverType || req.cluster || "Server"}). Your tribe is now OPEN SEASON.\n` +
+          `**Reason:** ${reason}\n` +
+          "You can appeal this once below (or with /appeal).",
+        components: [buildAppealButtonRow(req.id)],
+      })
+      .catch(() => null);
+  }
+}
+
+// -------------------- Appeals --------------------
+// One appeal per record, stored as req.appeal = {
+//   status: "pending" | "upheld" | "overturned", by, at, reason, evidence,
+//   channelId, messageId,     // the appeal post in the admin channel
+//   decidedBy, decidedAt
+// }
+const APPEALABLE_STATUSES = ["denied", "ended_early"];
+
+// Why this user can't appeal this record, or null if they can
+function getAppealBlocker(req, userId) {
+  if (!req || req.requestedBy !== userId) return "You can only appeal your own White Flag requests.";
+  if (req.appeal) return "This record has already been appealed (one appeal per record).";
+  if (!APPEALABLE_STATUSES.includes(req.status)) {
+    return `Only denied or ended-early White Flags can be appealed (this one is **${req.status}**).`;
+  }
+  return null;
+}
+
+function buildAppealButtonRow(requestId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${CID.APPEAL_OPEN_PREFIX}${requestId}`)
+      .setLabel("⚖️ Appeal")
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+function buildAppealModal(req) {
+  return new ModalBuilder()
+    .setCustomId(`${CID.APPEAL_MODAL_PREFIX}${req.id}`)
+    .setTitle(`Appeal — ${req.tribeName}`.slice(0, 45))
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("reason")
+          .setLabel("Why should this decision be overturned?")
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(true)
+          .setMaxLength(1000)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("evidence")
+          .setLabel("Evidence links (optional, one per line)")
+          .setStyle(TextInputStyle.Paragraph)
+          .setPlaceholder("https://...")
+          .setRequired(false)
+          .setMaxLength(1000)
+      )
+    );
+}
+
+function buildAppealEmbed(req) {
+  const a = req.appeal;
+  const denied = Boolean(req.deniedAt) && !req.endedEarlyAt;
+  const decision = denied
+    ? `Denied by <@${req.deniedBy}> ${fmtDiscordRelativeTime(req.deniedAt)}`
+    : `Ended early by <@${req.endedEarlyBy}> ${fmtDiscordRelativeTime(req.endedEarlyAt)}`;
+  const originalReason = denied ? req.deniedReason : req.endedEarlyReason;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`⚖️ White Flag Appeal — ${escapeMd(req.tribeName)}`)
+    .addFields(
+      { name: "Server", value: escapeMd(req.serverType || req.cluster || "N/A"), inline: true },
+      { name: "IGN", value: escapeMd(req.ign || "N/A"), inline: true },
+      { name: "Appealed By", value: `<@${a.by}>`, inline: true },
+      { name: "Decision", value: decision, inline: false },
+      {
+        name: "Original Reason",
+        value: originalReason ? formatReason(originalReason, denied ? req.deniedEvidence : req.endedEarlyEvidence) : "None given",
+        inline: false,
+      },
+      { name: "Appeal", value: formatReason(a.reason, a.evidence), inline: false }
+    )
+    .setFooter({ text: `Request ID: ${req.id}` });
+
+  if (a.decidedAt) {
+    embed.addFields({
+      name: "Outcome",
+      value: `**${a.status === "overturned" ? "Overturned" : "Upheld"}** by <@${a.decidedBy}> ${fmtDiscordRelativeTime(a.decidedAt)}`,
+      inline: false,
+    });
+  }
+
+  return embed;
+}
+
+function buildAppealRow(req) {
+  const decided = req.appeal?.status !== "pending";
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${CID.APPEAL_UPHOLD_PREFIX}${req.id}`)
+      .setLabel(req.appeal?.status === "upheld" ? "✋ Upheld" : "✋ Uphold")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(decided),
+    new ButtonBuilder()
+      .setCustomId(`${CID.APPEAL_OVERTURN_PREFIX}${req.id}`)
+      .setLabel(req.appeal?.status === "overturned" ? "↩️ Overturned" : "↩️ Overturn")
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(decided)
+  );
+}
+
+// -------------------- Bounty lifecycle --------------------
+function hasActiveBounty(req, now = Date.now()) {
+  return (
+    req &&
+    req.bounty &&
+    req.bounty.active === true &&
+    typeof req.bounty.endsAt === "number" &&
+    req.bounty.endsAt > now
+  );
+}
+
+const BOUNTY_TIER_LABELS = {
+  minor: "🟢 Minor",
+  major: "🟠 Major",
+  kos: "🔴 Kill on Sight",
+};
+
+// Bounties from before tiers existed count as minor
+function getBountyTier(bounty) {
+  return BOUNTY_TIERS.includes(bounty?.tier) ? bounty.tier : BOUNTY_TIERS[0];
+}
+
+function escalateBountyTier(tier) {
+  return BOUNTY_TIERS[Math.min(BOUNTY_TIERS.indexOf(tier) + 1, BOUNTY_TIERS.length - 1)];
+}
+
+// "Tier: **🟠 Major** — Reward: **10k element**"
+function formatBountyTerms(bounty) {
+  const parts = [`Tier: **${BOUNTY_TIER_LABELS[getBountyTier(bounty)]}**`];
+  if (bounty.reward) parts.push(`Reward: **${escapeMd(bounty.reward)}**`);
+  return parts.join(" — ");
+}
+
+// Sets (or moves) the expiry job for an active bounty, plus its reminders
+function scheduleBountyExpiry(requestId) {
+  const req = store.getRequest(requestId);
+  if (!req || !hasActiveBounty(req)) return;
+
+  scheduler.schedule(`bounty_expiry:${requestId}`, "bounty_expiry", req.bounty.endsAt, {
+    guildId: req.guildId,
+    requestId,
+  });
+  scheduleReminders(requestId);
+}
+
+async function runBountyExpiry(job, { late }) {
+  const r = store.transaction(() => {
+    const latest = store.getRequest(job.requestId);
+    if (!latest || !latest.bounty) return null;
+
+    const now = Date.now();
+    const b = latest.bounty;
+    if (!(b.active && typeof b.endsAt === "number" && b.endsAt <= now)) return null;
+
+    const before = auditSnapshot(latest);
+    b.active = false;
+    b.expiredAt = now;
+    store.saveRequest(latest);
+    recordAudit({ guildId: latest.guildId, action: "bounty_expired", req: latest, before });
+    return latest;
+  });
+  if (!r) return;
+  scheduleReminders(r.id); // drops reminders that are no longer needed
+
+  const state = getGuildState(r.guildId);
+  const guild = await safeFetchGuild(bot, r.guildId);
+  if (!guild) return;
+
+  // Committed as inactive, so a retry would stop at the check above (same as runFlagExpiry)
+  const announceCh = await safeFetchChannel(guild, state.announceChannelId);
+  if (announceCh && isTextChannel(announceCh)) {
+    await announceCh
+      .send(
+        `🏁 **BOUNTY EXPIRED**${late ? " (while bot was offline)" : ""} — Bounty ended for **${escapeMd(
+          r.tribeName
+        )}** (IGN: **${escapeMd(r.ign)}**, Server: **${escapeMd(r.serverType || r.cluster || "N/A")}**).\n${formatBountyTerms(
+          r.bounty
+        )}`
+      )
+      .catch((e) => console.error("Failed to post bounty expiry:", e));
+  }
+  await closeBountyAnnouncement(guild, r).catch((e) => console.error("Failed to close bounty announcement:", e));
+}
+
+// -------------------- Bounty claims --------------------
+/**
+ * req.bounty.claims = [{
+ *   id: string,               // "c1", "c2", ... unique within the bounty
+ *   hunterTribe: string,      // as typed by the hunter
+ *   evidence: string[],       // screenshot / video links
+ *   notes: string,
+ *   userId: string, claimedAt: number,
+ *   status: "pending" | "verified" | "rejected",
+ *   reviewedBy?: string, reviewedAt?: number,
+ *   adminChannelId?: string, adminMessageId?: string
+ * }]
+ * A verified claim closes the bounty: req.bounty.claimedBy = { tribeId, tribeName, userId, claimId }.
+ * Earlier bounties on the same record (replaced by a new End Early) are kept in req.pastBounties.
+ */
+function buildBountyClaimRow(requestId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${CID.BOUNTY_CLAIM_PREFIX}${requestId}`)
+      .setLabel("🎯 Claim Bounty")
+      .setStyle(ButtonStyle.Success)
+  );
+}
+
+// Post a BOUNTY ACTIVE announcement with the Claim button, remembering it so it can be closed later
+async function sendBountyAnnouncement(channel, req, content) {
+  const msg = await channel.send({ content, components: [buildBountyClaimRow(req.id)] });
+
+  const latest = store.getRequest(req.id);
+  if (latest?.bounty) {
+    latest.bounty.announceChannelId = channel.id;
+    latest.bounty.announceMessageId = msg.id;
+    store.saveRequest(latest);
+  }
+  return msg;
+}
+
+// Drop the Claim button once the bounty is over (claimed, expired or removed)
+async function closeBountyAnnouncement(guild, req) {
+  const b = req?.bounty;
+  if (!guild || !b?.announceMessageId) return;
+
+  const ch = await safeFetchChannel(guild, b.announceChannelId);
+  const msg = ch && isTextChannel(ch) ? await ch.messages.fetch(b.announceMessageId).catch(() => null) : null;
+  if (msg) await msg.edit({ components: [] }).catch(() => null);
+}
+
+function getClaim(req, claimId) {
+  return (req?.bounty?.claims || []).find((c) => c.id === claimId) || null;
+}
+
+// Why this user can't claim the bounty (null if they can). hunterTribe is checked once known.
+function getClaimBlocker(req, userId, hunterTribe = null) {
+  if (!req || !hasActiveBounty(req)) return "This bounty is no longer active.";
+  if ((req.bounty.claims || []).some((c) => c.userId === userId && c.status === "pending")) {
+    return "You already have a claim for this bounty waiting for review.";
+  }
+
+  const target = req.tribeId ? store.getTribe(req.tribeId) : null;
+  const ownTribe =
+    (req.status !== "bounty_only" && req.requestedBy === userId) ||
+    (target?.userIds || []).includes(userId) ||
+    (hunterTribe !== null && store.resolveTribe(req.guildId, hunterTribe)?.id === req.tribeId);
+  if (ownTribe) return "You can't claim the bounty on your own tribe.";
+
+  return null;
+}
+
+function buildClaimModal(req) {
+  return new ModalBuilder()
+    .setCustomId(`${CID.CLAIM_MODAL_PREFIX}${req.id}`)
+    .setTitle(`Claim Bounty — ${req.tribeName}`.slice(0, 45))
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("hunter_tribe")
+          .setLabel("Your tribe")
+          .setStyle(TextInputStyle.Short)
+          .setRequired(true)
+          .setMaxLength(100)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("evidence")
+          .setLabel("Screenshot / video links (one per line)")
+          .setStyle(TextInputStyle.Paragraph)
+          .setPlaceholder("https://...")
+          .setRequired(true)
+          .setMaxLength(1000)
+      ),
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("notes")
+          .setLabel("Anything admins should know? (optional)")
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(false)
+          .setMaxLength(500)
+      )
+    );
+}
+
+function buildClaimEmbed(req, claim) {
+  const status = {
+    pending: "⏳ Waiting for review",
+    verified: `✅ Verified by <@${claim.reviewedBy}>`,
+    rejected: `❌ Rejected by <@${claim.reviewedBy}>`,
+  }[claim.status];
+
+  const embed = new EmbedBuilder()
+    .setTitle("🎯 Bounty Claim")
+    .addFields(
+      { name: "Bounty On", value: escapeMd(req.tribeName), inline: true },
+      { name: "Hunter Tribe", value: escapeMd(claim.hunterTribe), inline: true },
+      { name: "Bounty", value: formatBountyTerms(req.bounty), inline: false },
+      { name: "Claimed By", value: `<@${claim.userId}> — ${fmtDiscordDateTime(claim.claimedAt)}`, inline: false },
+      { name: "Evidence", value: claim.evidence.map((link, i) => `[Evidence ${i + 1}](${link})`).join(" · "), inline: false }
+    )
+    .setFooter({ text: `Bounty ID: ${req.id} • Claim ${claim.id}` });
+
+  if (claim.notes) embed.addFields({ name: "Notes", value: escapeMd(claim.notes).slice(0, 1024), inline: false });
+  embed.addFields({ name: "Status", value: status, inline: false });
+  return embed;
+}
+
+function buildClaimReviewRow(req, claim) {
+  const decided = claim.status !== "pending";
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${CID.CLAIM_VERIFY_PREFIX}${req.id}:${claim.id}`)
+      .setLabel(claim.status === "verified" ? "✅ Verified" : "✅ Verify")
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(decided),
+    new ButtonBuilder()
+      .setCustomId(`${CID.CLAIM_REJECT_PREFIX}${req.id}:${claim.id}`)
+      .setLabel(claim.status === "rejected" ? "❌ Rejected" : "❌ Reject")
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(decided)
+  );
+}
+
+// Hunter tribes ranked by verified claims, for the current season or an archived one
+function buildBountyLeaderboard(guildId, season = null) {
+  const records = season
+    ? store.findArchivedRequests({ guildId, seasonId: season.id })
+    : store.findRequests({ guildId });
+
+  const tally = new Map();
+  for (const b of records.flatMap((r) => [r.bounty, ...(r.pastBounties || [])])) {
+    const c = b?.claimedBy;
+    if (!c) continue;
+    const entry = tally.get(c.tribeId) || { tribeId: c.tribeId, tribeName: c.tribeName, claims: 0, lastAt: 0 };
+    entry.claims++;
+    entry.lastAt = Math.max(entry.lastAt, b.claimedAt || 0);
+    tally.set(c.tribeId, entry);
+  }
+
+  // Ties go to whoever got there first
+  const ranked = [...tally.values()].sort((a, b) => b.claims - a.claims || a.lastAt - b.lastAt);
+  const medals = ["🥇", "🥈", "🥉"];
+  const lines = ranked.slice(0, 10).map((e, i) => {
+    const name = store.getTribe(e.tribeId)?.name || e.tribeName;
+    return `${medals[i] || `**${i + 1}.**`} **${escapeMd(name)}** — ${e.claims} bount${e.claims === 1 ? "y" : "ies"}`;
+  });
+
+  return new EmbedBuilder()
+    .setTitle(`🏆 Bounty Hunters — ${escapeMd((season || store.getActiveSeason(guildId))?.name || "This Season")}`)
+    .setDescription(lines.length ? lines.join("\n") : "No verified bounty claims yet.");
+}
+
+// -------------------- Pre-expiry reminders --------------------
+// Each reminder is recorded on the request as "<kind>:<hours>:<endsAt>" before it is sent,
+// so a retried job never sends it twice. Keying on endsAt means an extended flag gets fresh reminders.
+function reminderKey(kind, hours, endsAt) {
+  return `${kind}:${hours}:${endsAt}`;
+}
+
+// What a request currently needs reminders for: [{ kind: "flag" | "bounty", endsAt }]
+function getReminderTargets(req, now = Date.now()) {
+  const targets = [];
+  if (isApprovedAndActive(req, now)) targets.push({ kind: "flag", endsAt: getFlagEndsAt(req) });
+  if (hasActiveBounty(req, now)) targets.push({ kind: "bounty", endsAt: req.bounty.endsAt });
+  return targets;
+}
+
+// Replace a request's reminder jobs with one per configured hour that hasn't been sent yet
+function scheduleReminders(requestId) {
+  scheduler.cancelForRequest(requestId, "reminder");
+
+  const req = store.getRequest(requestId);
+  if (!req) return;
+
+  const hoursList = getGuildState(req.guildId).reminderHours || [];
+  const sent = new Set(req.remindersSent || []);
+
+  for (const { kind, endsAt } of getReminderTargets(req)) {
+    for (const hours of hoursList) {
+      if (sent.has(reminderKey(kind, hours, endsAt))) continue;
+      scheduler.schedule(`reminder:${kind}:${hours}:${requestId}`, "reminder", endsAt - hours * HOUR_MS, {
+        guildId: req.guildId,
+        requestId,
+        payload: { kind, hours, endsAt },
+      });
+    }
+  }
+}
+
+async function runReminder(job) {
+  const { kind, hours, endsAt } = job.payload;
+  const now = Date.now();
+
+  // Claim the reminder before sending (at most once, even if Discord is unreachable)
+  const claimed = store.transaction(() => {
+    const latest = store.getRequest(job.requestId);
+    if (!latest) return null;
+
+    const target = getReminderTargets(latest, now).find((x) => x.kind === kind);
+    if (!target || target.endsAt !== endsAt) return null; // ended, expired or extended since
+
+    const key = reminderKey(kind, hours, endsAt);
+    const sent = latest.remindersSent || [];
+    if (sent.includes(key)) return null;
+
+    latest.remindersSent = [...sent, key];
+    store.saveRequest(latest);
+
+    // Several reminders due at once (bot was offline, or the reminder hours changed):
+    // only the one closest to the end is sent, the others are just marked done
+    const hoursList = getGuildState(latest.guildId).reminderHours || [];
+    const closerDue = hoursList.some(
+      (h) => h < hours && endsAt - h * HOUR_MS <= now && !sent.includes(reminderKey(kind, h, endsAt))
+    );
+    return closerDue ? null : latest;
+  });
+  if (!claimed) return;
+
+  const r = claimed;
+  const state = getGuildState(r.guildId);
+  const guild = await safeFetchGuild(bot, r.guildId);
+  if (!guild) return;
+
+  const who = `**${escapeMd(r.tribeName)}** (IGN: **${escapeMd(r.ign)}**, Server: **${escapeMd(
+    r.serverType || r.cluster || "N/A"
+  )}**)`;
+
+  if (kind === "flag") {
+    const user = await bot.users.fetch(r.requestedBy).catch(() => null);
+    if (user) {
+      user
+        .send(
+          `⏳ Reminder: your White Flag for **${r.tribeName}** (${r.serverType || r.cluster || "Server"}) ends ${fmtDiscordDateTime(endsAt)}.`
+        )
+        .catch(() => null);
+    }
+
+    const adminCh = await safeFetchChannel(guild, state.adminChannelId);
+    if (adminCh && isTextChannel(adminCh)) {
+      await adminCh.send(`⏳ White Flag for ${who} ends ${fmtDiscordRelativeTime(endsAt)} (ID: \`${r.id}\`).`);
+    }
+  } else {
+    const announceCh = await safeFetchChannel(guild, state.announceChannelId);
+    if (announceCh && isTextChannel(announceCh)) {
+      await announceCh.send(`⏳ **BOUNTY ENDING** — Bounty on ${who} ends ${fmtDiscordRelativeTime(endsAt)}.`);
+    }
+  }
+}
+
+// After /reminders changes: re-plan reminders for every running flag and bounty in the guild
+// (guildId null: in every guild)
+function rescheduleGuildReminders(guildId) {
+  const ids = new Set();
+  for (const r of store.findRequests({ guildId, status: "approved" })) ids.add(r.id);
+  for (const r of store.findRequests({ guildId, bountyActive: true })) ids.add(r.id);
+  for (const id of ids) scheduleReminders(id);
+}
+
+// "24, 1" -> [24, 1]; "none" -> []; returns null if invalid
+function parseReminderHours(input) {
+  const text = String(input || "").trim().toLowerCase();
+  if (text === "none" || text === "off") return [];
+
+  const hours = text.split(/[\s,]+/).filter(Boolean).map(Number);
+  const maxHours = MAX_DURATION_DAYS * 24;
+  if (!hours.length || hours.some((h) => !Number.isFinite(h) || h <= 0 || h > maxHours)) return null;
+
+  return [...new Set(hours)].sort((a, b) => b - a);
+}
+
+// -------------------- Eligibility --------------------
+function getEligibility(state) {
+  return { ...DEFAULT_ELIGIBILITY, ...(state.eligibility || {}) };
+}
+
+function latestTimestamp(records, key, filter = () => true) {
+  return records.filter(filter).reduce((max, r) => (typeof r[key] === "number" && r[key] > max ? r[key] : max), 0);
+}
+
+/**
+ * Eligibility rules that currently stop a tribe from applying, per the guild's /eligibility config.
+ * Returns [{ rule, eligibleAt }]; eligibleAt is null when only a new wipe lifts the block.
+ */
+function getEligibilityBlocks(guildId, tribeName, state, now = Date.now()) {
+  const policy = getEligibility(state);
+  const records = store.findRequests({ guildId, tribeName });
+  const blocks = [];
+
+  if (policy.blockDuringBounty) {
+    const bounty = records.find((r) => hasActiveBounty(r, now));
+    if (bounty) blocks.push({ rule: "No applications while the tribe has an active bounty", eligibleAt: bounty.bounty.endsAt });
+  }
+
+  if (policy.endedEarlyBlockHours > 0) {
+    const endedAt = latestTimestamp(records, "endedEarlyAt", (r) => r.status === "ended_early");
+    const until = endedAt + policy.endedEarlyBlockHours * HOUR_MS;
+    if (endedAt && until > now) {
+      blocks.push({ rule: `Wait ${formatDuration(policy.endedEarlyBlockHours * HOUR_MS)} after a White Flag is ended early`, eligibleAt: until });
+    }
+  }
+
+  if (policy.cooldownHours > 0) {
+    const expiredAt = latestTimestamp(records, "expiredAt", (r) => r.status === "expired");
+    const until = expiredAt + policy.cooldownHours * HOUR_MS;
+    if (expiredAt && until > now) {
+      blocks.push({ rule: `Wait ${formatDuration(policy.cooldownHours * HOUR_MS)} after a White Flag expires`, eligibleAt: until });
+    }
+  }
+
+  if (policy.maxFlagsPerWipe > 0) {
+    const since = policy.wipeStartedAt || 0;
+    const used = records.filter((r) => typeof r.approvedAt === "number" && r.approvedAt >= since).length;
+    if (used >= policy.maxFlagsPerWipe) {
+      blocks.push({ rule: `Max ${policy.maxFlagsPerWipe} White Flag(s) per tribe per wipe (${used} used)`, eligibleAt: null });
+    }
+  }
+
+  return blocks;
+}
+
+function formatEligibilityBlocks(tribeName, blocks) {
+  const lines = blocks.map(
+    (b) => `• **${b.rule}** — ${b.eligibleAt ? `eligible ${fmtDiscordDateTime(b.eligibleAt)}` : "eligible after the next wipe"}`
+  );
+  return `❌ **${escapeMd(tribeName)}** can't apply for a White Flag right now:\n${lines.join("\n")}`;
+}
+
+function describeEligibility(state) {
+  const policy = getEligibility(state);
+  const off = "off";
+  return [
+    `• Max White Flags per tribe per wipe: **${policy.maxFlagsPerWipe || off}**` +
+      (policy.wipeStartedAt ? ` (wipe started ${fmtDiscordDateTime(policy.wipeStartedAt)})` : ""),
+    `• Cooldown after expiry: **${policy.cooldownHours ? formatDuration(policy.cooldownHours * HOUR_MS) : off}**`,
+    `• Block after ended early: **${policy.endedEarlyBlockHours ? formatDuration(policy.endedEarlyBlockHours * HOUR_MS) : off}**`,
+    `• Block during an active bounty: **${policy.blockDuringBounty ? "on" : off}**`,
+  ].join("\n");
+}
+
+// -------------------- Rules / Apply panels --------------------
+// "**7 days from approval**", or per server type when they differ
+function describeFlagDurations(guildId) {
+  const state = getGuildState(guildId);
+  const perType = state.serverTypes.map((t) => ({ t: t.label, ms: getDurations(guildId, t.key, state).flagMs }));
+  if (perType.length === 0) return `**${formatDuration(DEFAULT_FLAG_DURATION_MS)} from approval**`;
+  if (perType.every((x) => x.ms === perType[0].ms)) {
+    return `**${formatDuration(perType[0].ms)} from approval**`;
+  }
+  return `${perType.map((x) => `**${formatDuration(x.ms)}** on ${x.t}`).join(", ")} (from approval)`;
+}
+
+function buildRulesEmbed(guildId) {
+  return new EmbedBuilder()
+    .setTitle("📜 White Flag Rules & Agreement")
+    .setDescription(
+      [
+        "The White Flag system is designed to give new tribes a fair start and time to build. Abuse of this system will result in removal and a bounty placed on your tribe’s head.",
+        "",
+        "**Eligibility & Duration**",
+        "• White Flag is intended for **new tribes only**.",
+        `• Protection lasts ${describeFlagDurations(guildId)}.`,
+        "• Admins will remove the White Flag early if rules are broken.",
+        "",
+        "**While White Flag is Active**",
+        "• **YOU CAN NOT RAID OTHER TRIBES.**",
+        "• Build, farm, tame, and establish your base.",
+        "• You can do PvP in the open as long as you are not raiding their base or scouting a base.",
+        "",
+        "**Protections Granted**",
+        "• Your tribe should not be raided while White Flag is active.",
+        "• Harassment or targeting White Flag tribes is not allowed.",
+        "",
+        "**Violations**",
+        "• Raiding while under White Flag = **immediate removal**.",
+        "• Abuse of protection (scouting for raids, feeding intel, etc.) = **removal**.",
+        "• Admin discretion may apply additional penalties.",
+        "• If you break the rules, your flag will be removed, your tribe will be announced as **OPEN SEASON**, and a bounty may be placed.",
+        "",
+        "**After Expiration**",
+        "Once your White Flag expires your tribe is fully open to normal PvP rules.",
+      ].join("\n")
+    );
+}
+
+function buildRulesRow() {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(CID.RULES_ACCEPT)
+      .setLabel("✅ I Agree & Understand")
+      .setStyle(ButtonStyle.Success)
+  );
+}
+
+function buildApplyEmbed(state) {
+  const servers = state.serverTypes.length
+    ? ["Choose the correct server and submit your request:", ...state.serverTypes.map((t) => `• **${escapeMd(t.label)}**`)]
+    : ["No servers are accepting applications right now."];
+
+  return new EmbedBuilder()
+    .setTitle("🏳️ White Flag Applications")
+    .setDescription(
+      [
+        "Before applying, you must read and accept the rules.",
+        "",
+        ...servers,
+        "",
+        "**Important:** Only **1 active White Flag per tribe** is allowed.",
+      ].join("\n")
+    );
+}
+
+// One Apply button per server type, 5 per row
+function buildApplyRows(state) {
+  const rows = [];
+  state.serverTypes.slice(0, MAX_SERVER_TYPES).forEach((t, i) => {
+    if (i % 5 === 0) rows.push(new ActionRowBuilder());
+    rows[rows.length - 1].addComponents(
+      new ButtonBuilder()
+        .setCustomId(`${CID.APPLY_OPEN_PREFIX}${t.key}`)
+        .setLabel(`🏳️ Apply — ${t.label}`.slice(0, 80))
+        .setStyle(BUTTON_STYLES[t.style] || ButtonStyle.Primary)
+    );
+  });
+  return rows;
+}
+
+// Re-render the posted rules panel (durations are part of the text)
+async function refreshRulesPanel(guild, state) {
+  const rulesCh = await safeFetchChannel(guild, state.rulesChannelId);
+  if (!rulesCh || !isTextChannel(rulesCh) || !state.rulesMessageId) return false;
+
+  const msg = await rulesCh.messages.fetch(state.rulesMessageId).catch(() => null);
+  if (!msg) return false;
+
+  await msg.edit({ embeds: [buildRulesEmbed(guild.id)] });
+  return true;
+}
+
+// Re-render the posted apply panel after /servers changes (no-op if it was never posted)
+async function refreshApplyPanel(guild, state) {
+  const applyCh = await safeFetchChannel(guild, state.applyChannelId);
+  if (!applyCh || !isTextChannel(applyCh) || !state.applyMessageId) return false;
+
+  const msg = await applyCh.messages.fetch(state.applyMessageId).catch(() => null);
+  if (!msg) return false;
+
+  await msg.edit({ embeds: [buildApplyEmbed(state)], components: buildApplyRows(state) });
+  return true;
+}
+
+function buildApplyModal(server) {
+  const modal = new ModalBuilder()
+    .setCustomId(`${CID.APPLY_MODAL_PREFIX}${server.key}`)
+    .setTitle(`White Flag Application — ${server.label}`.slice(0, 45));
+
+  for (const f of getFormFields(server).slice(0, MAX_FORM_FIELDS)) {
+    const input = new TextInputBuilder()
+      .setCustomId(f.id)
+      .setLabel(f.label.slice(0, 45))
+      .setStyle(f.style === "paragraph" ? TextInputStyle.Paragraph : TextInputStyle.Short)
+      .setRequired(!!f.required)
+      .setMaxLength(f.maxLength || 64);
+    if (f.id === "map" && server.maps?.length) input.setPlaceholder(server.maps.join(", ").slice(0, 100));
+
+    modal.addComponents(new ActionRowBuilder().addComponents(input));
+  }
+
+  return modal;
+}
+
+// Form answers for display; older records only have ign / tribeName / map
+function getRequestAnswers(req) {
+  if (req.answers?.length) return req.answers;
+  return [
+    { id: "ign", label: "IGN", value: req.ign },
+    { id: "tribe", label: "Tribe Name", value: req.tribeName },
+    { id: "map", label: "Map", value: req.map },
+  ];
+}
+
+// Buttons on a review message while the request is pending
+function buildPendingReviewRow(req, flagMs) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${CID.ADMIN_APPROVE_PREFIX}${req.id}`)
+      .setLabel(`✅ Approve (Start ${formatDuration(flagMs)})`)
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`${CID.ADMIN_DENY_PREFIX}${req.id}`)
+      .setLabel("❌ Deny")
+      .setStyle(ButtonStyle.Danger)
+  );
+}
+
+// Buttons on a review message once the flag is running: "End Early" / "Extend"
+function buildApprovedReviewRow(req) {
+  const requestId = req.id;
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${CID.ADMIN_END_EARLY_PREFIX}${requestId}`)
+      .setLabel(getPendingEndEarlyProposal(req) ? "🛑 Confirm End Early (1/2)" : "🛑 End Early (Open Season)")
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(`${CID.ADMIN_EXTEND_PREFIX}${requestId}`)
+      .setLabel("⏳ Extend")
+      .setStyle(ButtonStyle.Primary),
+    new ButtonBuilder()
+      .setCustomId(`${CID.ADMIN_DENY_PREFIX}${requestId}`)
+      .setLabel("❌ Deny")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(true),
+    new ButtonBuilder()
+      .setCustomId(`${CID.ADMIN_APPROVE_PREFIX}${requestId}`)
+      .setLabel("✅ Approved")
+      .setStyle(ButtonStyle.Success)
+      .setDisabled(true)
+  );
+}
+
+function buildAdminReviewEmbed(req) {
+  const endsAt = getFlagEndsAt(req);
+
+  const answerFields = getRequestAnswers(req).map((a) => {
+    const value = String(a.value || "N/A");
+    return {
+      name: String(a.label).slice(0, 256),
+      value: escapeMd(value).slice(0, 1024),
+      inline: value.length <= 40,
+    };
+  });
+
+  const embed = new EmbedBuilder()
+    .setTitle("📥 New White Flag Application")
+    .addFields(
+      { name: "Server", value: escapeMd(req.serverType || req.cluster || "N/A"), inline: true },
+      ...answerFields,
+      { name: "Requested By", value: `<@${req.requestedBy}>`, inline: false }
+    )
+    .setFooter({ text: `Request ID: ${req.id}` });
+
+  if (endsAt) {
+    embed.addFields({ name: "Ends", value: fmtDiscordRelativeTime(endsAt), inline: true });
+  }
+  if (req.status === "pending") {
+    const warnings = getTribeDuplicateWarnings(req);
+    if (warnings.length) {
+      embed.addFields({
+        name: "⚠️ Possible duplicate tribe",
+        value: `${warnings.join("\n")}\nSame tribe? Merge with \`/tribe alias add\`.`.slice(0, 1024),
+        inline: false,
+      });
+    }
+  }
+  if (req.gameLookup) {
+    embed.addFields({ name: "🎮 In-game check", value: formatGameLookup(req).slice(0, 1024), inline: false });
+    if (isGameTribeMismatch(req)) {
+      const g = req.gameLookup.gameTribe;
+      embed.addFields({
+        name: "⚠️ Tribe mismatch",
+        value: `In-game, **${escapeMd(req.ign)}** is in **${escapeMd(g.name)}** (ID \`${g.id}\`), but applied as **${escapeMd(
+          req.tribeName
+        )}**.`.slice(0, 1024),
+        inline: false,
+      });
+    }
+  }
+  if (req.violations?.length) {
+    const labels = { open: "⏳ open", dismissed: "🙅 dismissed", ended: "🛑 ended early" };
+    const lines = req.violations.map(
+      (v) => `${v.id}: ${v.count} destroyed, last ${fmtDiscordRelativeTime(v.lastAt)} — ${labels[v.status]}`
+    );
+    embed.addFields({ name: "🚨 Raid alerts", value: lines.join("\n").slice(0, 1024), inline: false });
+  }
+  if (req.status === "denied" && req.deniedReason) {
+    embed.addFields({ name: "Denied — Reason", value: formatReason(req.deniedReason, req.deniedEvidence), inline: false });
+  }
+  const proposal = req.status === "approved" ? getPendingEndEarlyProposal(req) : null;
+  if (proposal) {
+    embed.addFields({
+      name: "🛑 End Early proposed (1/2)",
+      value: `By <@${proposal.by}> ${fmtDiscordRelativeTime(proposal.at)}; a different admin must confirm before ${fmtDiscordRelativeTime(
+        proposal.expiresAt
+      )}.\n${formatReason(proposal.reason, proposal.evidence)}`.slice(0, 1024),
+      inline: false,
+    });
+  }
+  if (req.status === "ended_early" && req.endedEarlyReason) {
+    const confirmed = req.endedEarlyConfirmedBy
+      ? `\nProposed by <@${req.endedEarlyBy}>, confirmed by <@${req.endedEarlyConfirmedBy}>`
+      : "";
+    embed.addFields({
+      name: "Ended Early — Reason",
+      value: `${formatReason(req.endedEarlyReason, req.endedEarlyEvidence)}${confirmed}`.slice(0, 1024),
+      inline: false,
+    });
+  }
+
+  return embed;
+}
+
+// -------------------- Status board --------------------
+// Discord caps an embed description at 4096 chars and all embeds in one message at 6000
+const BOARD_PAGE_CHARS = 3800;
+const BOARD_MESSAGE_CHARS = 5500;
+const BOARD_EMBEDS_PER_MESSAGE = 10;
+
+// Every state change is audited, so that is where the board gets re-rendered
+function queueBoardRefresh(guildId) {
+  if (!guildId || !getGuildState(guildId).boardChannelId) return;
+  scheduler.schedule(`board_refresh:${guildId}`, "board_refresh", Date.now(), { guildId });
+}
+
+// Split lines into chunks of at most maxChars (joined with newlines)
+function chunkLines(lines, maxChars) {
+  const chunks = [];
+  let current = [];
+  let size = 0;
+  for (const line of lines) {
+    if (current.length && size + line.length + 1 > maxChars) {
+      chunks.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(line);
+    size += line.length + 1;
+  }
+  if (current.length) chunks.push(current);
+  return chunks;
+}
+
+// One embed per page of a section; titles get "(2/3)" once a section spills over
+function buildBoardSection(title, lines, color, emptyText) {
+  const pages = lines.length ? chunkLines(lines, BOARD_PAGE_CHARS) : [[emptyText]];
+  return pages.map((page, i) =>
+    new EmbedBuilder()
+      .setTitle(pages.length > 1 ? `${title} (${i + 1}/${pages.length})` : title)
+      .setColor(color)
+      .setDescription(page.join("\n"))
+  );
+}
+
+// The board as message payloads, each within Discord's per-message embed limits
+function buildStatusBoardMessages(guildId, now = Date.now()) {
+  const flags = store
+    .findRequests({ guildId, status: "approved" })
+    .filter((r) => isApprovedAndActive(r, now))
+    .sort((a, b) => getFlagEndsAt(a) - getFlagEndsAt(b));
+  const bounties = store
+    .findRequests({ guildId, bountyActive: true })
+    .filter((r) => hasActiveBounty(r, now))
+    .sort((a, b) => a.bounty.endsAt - b.bounty.endsAt);
+
+  const flagLines = flags.map(
+    (r) =>
+      `🏳️ **${escapeMd(r.tribeName)}** — ${escapeMd(r.serverType || r.cluster || "N/A")}` +
+      `${r.map && r.map !== "N/A" ? ` / ${escapeMd(r.map)}` : ""} — ends ${fmtDiscordRelativeTime(getFlagEndsAt(r))}`
+  );
+  const bountyLines = bounties.map(
+    (r) =>
+      `🎯 **${escapeMd(r.tribeName)}** (IGN: **${escapeMd(r.ign)}**) — ${escapeMd(r.serverType || r.cluster || "N/A")}` +
+      ` — ends ${fmtDiscordRelativeTime(r.bounty.endsAt)}\n   ${formatBountyTerms(r.bounty)}`
+  );
+
+  const embeds = [
+    ...buildBoardSection(`🏳️ Active White Flags (${flags.length})`, flagLines, 0xffffff, "No active White Flags."),
+    ...buildBoardSection(`🎯 Active Bounties (${bounties.length})`, bountyLines, 0xe74c3c, "No active bounties."),
+  ];
+  embeds[embeds.length - 1].setFooter({ text: "Updates automatically" }).setTimestamp(now);
+
+  const messages = [];
+  let current = [];
+  let size = 0;
+  for (const embed of embeds) {
+    const embedSize = embed.data.title.length + embed.data.description.length + 40;
+    if (current.length && (current.length >= BOARD_EMBEDS_PER_MESSAGE || size + embedSize > BOARD_MESSAGE_CHARS)) {
+      messages.push({ embeds: current });
+      current = [];
+      size = 0;
+    }
+    current.push(embed);
+    size += embedSize;
+  }
+  messages.push({ embeds: current });
+  return messages;
+}
+
+async function deleteBoardMessages(channel, messageIds) {
+  for (const id of messageIds) {
+    const msg = await channel.messages.fetch(id).catch(() => null);
+    if (msg) await msg.delete().catch(() => null);
+  }
+}
+
+/**
+ * Edit the posted board in place (posting it if needed). If a page message was deleted,
+ * the whole board is reposted so pages stay in order. Returns false without a usable channel.
+ */
+async function refreshStatusBoard(guild) {
+  const state = getGuildState(guild.id);
+  const ch = await safeFetchChannel(guild, state.boardChannelId);
+  if (!ch || !isTextChannel(ch)) return false;
+
+  const payloads = buildStatusBoardMessages(guild.id);
+  const oldIds = state.boardMessageIds || [];
+  const existing = [];
+  for (const id of oldIds.slice(0, payloads.length)) {
+    const msg = await ch.messages.fetch(id).catch(() => null);
+    if (!msg) break;
+    existing.push(msg);
+  }
+
+  let ids;
+  if (existing.length === Math.min(oldIds.length, payloads.length)) {
+    ids = [];
+    for (let i = 0; i < payloads.length; i++) {
+      const msg = existing[i] ? await existing[i].edit(payloads[i]) : await ch.send(payloads[i]);
+      ids.push(msg.id);
+    }
+    await deleteBoardMessages(ch, oldIds.slice(payloads.length));
+  } else {
+    await deleteBoardMessages(ch, oldIds);
+    ids = [];
+    for (const payload of payloads) ids.push((await ch.send(payload)).id);
+  }
+
+  // Re-read so config changes made while we were talking to Discord aren't lost
+  const latest = getGuildState(guild.id);
+  latest.boardMessageIds = ids;
+  saveGuildState(latest);
+  return true;
+}
+
+async function runBoardRefresh(job) {
+  const guild = await safeFetchGuild(bot, job.guildId);
+  if (guild) await refreshStatusBoard(guild);
+}
+
+// -------------------- RCON --------------------
+// Player-typed values end up inside game commands; keep them to one plain line
+function rconText(value) {
+  return String(value ?? "")
+    .replace(/[\x00-\x1f\x7f]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function fillRconTemplate(template, req) {
+  const values = {
+    tribe: req.tribeName,
+    tribeid: req.gameTribeId,
+    ign: req.ign,
+    map: req.map,
+    server: req.serverType || req.cluster,
+    id: req.id,
+    ends: getFlagEndsAt(req) ? `${new Date(getFlagEndsAt(req)).toISOString().slice(0, 16).replace("T", " ")} UTC` : "",
+  };
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in values ? rconText(values[name]) : match));
+}
+
+function getRconTemplates(state) {
+  return { ...DEFAULT_RCON_TEMPLATES, ...(state.rconTemplates || {}) };
+}
+
+// "host:port" for display; the password is never shown back
+function describeRcon(rcon) {
+  return rcon ? `\`${rcon.host}:${rcon.port}\`` : "not configured";
+}
+
+function buildRconTemplateModal(state, event) {
+  return new ModalBuilder()
+    .setCustomId(`${CID.RCON_TEMPLATE_MODAL_PREFIX}${event}`)
+    .setTitle(`RCON — ${RCON_EVENTS[event]}`.slice(0, 45))
+    .addComponents(
+      new ActionRowBuilder().addComponents(
+        new TextInputBuilder()
+          .setCustomId("commands")
+          .setLabel("Commands, one per line (empty = none)")
+          .setStyle(TextInputStyle.Paragraph)
+          .setRequired(false)
+          .setMaxLength(2000)
+          .setPlaceholder(`Placeholders: ${RCON_PLACEHOLDERS.map((p) => `{${p}}`).join(" ")}`.slice(0, 100))
+          .setValue(getRconTemplates(state)[event].join("\n"))
+      )
+    );
+}
+
+/**
+ * Run the guild's templates for `event` on the request's game server. Servers without RCON
+ * are skipped; failures are reported in the admin channel instead of thrown.
+ */
+async function runRconEvent(guild, req, event) {
+  const state = getGuildState(guild.id);
+  const server = findServerType(state, req.serverKey || req.serverType);
+  if (!server?.rcon) return;
+
+  const commands = getRconTemplates(state)[event].map((t) => fillRconTemplate(t, req)).filter(Boolean);
+  if (commands.length === 0) return;
+
+  try {
+    await runRconCommands(server.rcon, commands);
+  } catch (e) {
+    console.error(`RCON (${server.label}) failed for ${event} on ${req.id}:`, e);
+    const adminCh = await safeFetchChannel(guild, state.adminChannelId);
+    if (adminCh && isTextChannel(adminCh)) {
+      await adminCh.send(
+        `⚠️ RCON on **${escapeMd(server.label)}** failed (${RCON_EVENTS[event]} — **${escapeMd(req.tribeName)}**): ${escapeMd(
+          e.message
+        )}. Run the commands by hand, and check \`/rcon test\`.`
+      );
+    }
+  }
+}
+
+// -------------------- Game server lookup --------------------
+// Commands whose output ark.js parses: who's online, and the tribe / join-leave log
+const ARK_LOOKUP_COMMANDS = ["ListPlayers", "GetGameLog"];
+
+/**
+ * req.gameLookup = {
+ *   checkedAt: number, server: string,          // server type label
+ *   error?: string,                             // the server couldn't be reached; nothing else is set
+ *   online: boolean, playerId: string | null,   // from ListPlayers
+ *   lastSeenAt: number | null,                  // newest join/leave line for the IGN
+ *   gameTribe: { name, id } | null,             // the tribe whose log mentions the IGN last
+ *   appliedTribeId: string | null               // in-game ID of a tribe with the applied name, if logged
+ * }
+ * req.gameTribeId = the applied tribe's in-game ID when known ({tribeid} in RCON templates).
+ */
+async function lookupGameData(server, req) {
+  const base = { checkedAt: Date.now(), server: server.label };
+  let output;
+  try {
+    output = await runRconCommands(server.rcon, ARK_LOOKUP_COMMANDS);
+  } catch (e) {
+    return { ...base, error: e.message };
+  }
+
+  const [playersText, logText] = output;
+  const entries = parseGameLog(logText);
+  const ign = String(req.ign || "").trim().toLowerCase();
+  const player = parseListPlayers(playersText).find((p) => p.name.toLowerCase() === ign) || null;
+  const gameTribe = findPlayerTribe(entries, req.ign);
+  const key = normalizeTribeName(req.tribeName);
+  const applied = entries.filter((e) => e.kind === "tribe" && normalizeTribeName(e.tribeName) === key).pop();
+
+  return {
+    ...base,
+    online: !!player,
+    playerId: player?.id || null,
+    lastSeenAt: findLastSeen(entries, req.ign),
+    gameTribe: gameTribe ? { name: gameTribe.tribeName, id: gameTribe.tribeId } : null,
+    appliedTribeId: applied?.tribeId || null,
+  };
+}
+
+// The IGN's in-game tribe is neither the applied name nor one of its registry aliases
+function isGameTribeMismatch(req) {
+  const gameTribe = req.gameLookup?.gameTribe;
+  if (!gameTribe) return false;
+  if (normalizeTribeName(gameTribe.name) === normalizeTribeName(req.tribeName)) return false;
+  const registered = store.resolveTribe(req.guildId, gameTribe.name);
+  return !registered || registered.id !== req.tribeId;
+}
+
+/**
+ * Check the request's IGN / tribe on its game server and re-render the review message.
+ * Returns the updated request, or null when that server has no RCON.
+ */
+async function runGameLookup(guild, requestId) {
+  const state = getGuildState(guild.id);
+  const initial = store.getRequest(requestId);
+  const server = initial && findServerType(state, initial.serverKey || initial.serverType);
+  if (!server?.rcon) return null;
+
+  const lookup = await lookupGameData(server, initial);
+
+  // Re-read: admins may have acted while RCON was answering
+  const req = store.getRequest(requestId);
+  if (!req) return null;
+  req.gameLookup = lookup;
+  if (!lookup.error) {
+    const matched = lookup.gameTribe && !isGameTribeMismatch({ ...req, gameLookup: lookup });
+    req.gameTribeId = lookup.appliedTribeId || (matched ? lookup.gameTribe.id : null) || req.gameTribeId || null;
+  }
+  store.saveRequest(req);
+  await refreshAdminReviewMessage(guild, req);
+  return req;
+}
+
+function formatGameLookup(req) {
+  const g = req.gameLookup;
+  if (g.error) return `Couldn't reach **${escapeMd(g.server)}**: ${escapeMd(g.error)}`;
+
+  const ign = escapeMd(req.ign || "N/A");
+  const lines = [];
+  if (g.online) lines.push(`🟢 **${ign}** is online now${g.playerId ? ` (\`${g.playerId}\`)` : ""}`);
+  else if (g.lastSeenAt) lines.push(`⚪ **${ign}** last seen ${fmtDiscordRelativeTime(g.lastSeenAt)}`);
+  else lines.push(`⚫ **${ign}** isn't online or in the recent game log`);
+
+  lines.push(
+    g.gameTribe
+      ? `🛡️ Tribe log: **${escapeMd(g.gameTribe.name)}** (ID \`${g.gameTribe.id}\`)`
+      : "🛡️ No tribe log lines mention this IGN"
+  );
+  lines.push(
+    g.appliedTribeId
+      ? `🏷️ **${escapeMd(req.tribeName)}** exists on this server (ID \`${g.appliedTribeId}\`)`
+      : `🏷️ **${escapeMd(req.tribeName)}** isn't in the recent tribe log`
+  );
+  lines.push(`Checked ${fmtDiscordRelativeTime(g.checkedAt)} on ${escapeMd(g.server)}`);
+  return lines.join("\n");
+}
+
+// -------------------- Raid detection --------------------
+/**
+ * req.violations = [{
+ *   id: string,               // "v1", "v2", ... per request
+ *   at: number, lastAt: number, // first / latest tribe log line (ingest time when the line has no timestamp)
+ *   status: "open" | "dismissed" | "ended",
+ *   lines: string[],          // newest MAX_VIOLATION_LINES destruction lines
+ *   count: number,            // distinct destruction lines seen while open
+ *   logTribe: { name, id },   // the tribe as the game log names it
+ *   source: string,           // "webhook" | "file:<path>"
+ *   channelId, messageId,     // the alert in the admin channel
+ *   decidedBy, decidedAt
+ * }]
+ * An open alert collects further lines until an admin ends the flag early or dismisses it.
+ */
+function getViolation(req, violationId) {
+  return (req.violations || []).find((v) => v.id === violationId) || null;
+}
+
+// The flag a log tribe is raiding under: by name / registry alias, or by the in-game tribe ID seen at review
+function findFlaggedTribe(guildId, tribeName, tribeId) {
+  const byName = getActiveApprovedForTribe(guildId, tribeName);
+  if (byName) return byName;
+  const now = Date.now();
+  return (
+    store
+      .findRequests({ guildId, status: "approved" })
+      .find((r) => r.gameTribeId && r.gameTribeId === tribeId && isApprovedAndActive(r, now)) || null
+  );
+}
+
+function buildViolationEmbed(req, v) {
+  const proposal = getPendingEndEarlyProposal(req);
+  const status = {
+    open: proposal ? `⏳ End Early proposed by <@${proposal.by}>; waiting for a second admin` : "⏳ Waiting for an admin",
+    dismissed: `🙅 Dismissed by <@${v.decidedBy}>`,
+    ended: v.decidedBy ? `🛑 White Flag ended early by <@${v.decidedBy}>` : "🛑 White Flag ended early",
+  }[v.status];
+  const logTribe =
+    normalizeTribeName(v.logTribe.name) === normalizeTribeName(req.tribeName)
+      ? `ID \`${v.logTribe.id}\``
+      : `**${escapeMd(v.logTribe.name)}** (ID \`${v.logTribe.id}\`)`;
+
+  return new EmbedBuilder()
+    .setTitle("🚨 Possible White Flag violation")
+    .setDescription(
+      `The tribe log shows **${escapeMd(req.tribeName)}** destroying other tribes' structures while under a White Flag.`
+    )
+    .addFields(
+      { name: "Tribe", value: escapeMd(req.tribeName), inline: true },
+      { name: "Server", value: escapeMd(req.serverType || req.cluster || "N/A"), inline: true },
+      { name: "Flag Ends", value: fmtDiscordRelativeTime(getFlagEndsAt(req)), inline: true },
+      { name: "In the log as", value: logTribe, inline: true },
+      { name: "Destroyed", value: `${v.count} structure${v.count === 1 ? "" : "s"}`, inline: true },
+      { name: "Last seen", value: fmtDiscordRelativeTime(v.lastAt), inline: true },
+      { name: "Log lines", value: `\`\`\`\n${v.lines.join("\n").replace(/`/g, "'")}\n\`\`\``.slice(0, 1024), inline: false },
+      { name: "Status", value: status, inline: false }
+    )
+    .setFooter({ text: `Request ID: ${req.id} • Alert ${v.id} • Source: ${v.source}`.slice(0, 2048) });
+}
+
+function buildViolationRow(req, v) {
+  const decided = v.status !== "open";
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`${CID.ADMIN_END_EARLY_PREFIX}${req.id}`)
+      .setLabel(v.status === "ended" ? "🛑 Ended Early" : getPendingEndEarlyProposal(req) ? "🛑 Confirm (1/2)" : "🛑 End Early")
+      .setStyle(ButtonStyle.Danger)
+      .setDisabled(decided || req.status !== "approved"),
+    new ButtonBuilder()
+      .setCustomId(`${CID.VIOLATION_DISMISS_PREFIX}${req.id}:${v.id}`)
+      .setLabel(v.status === "dismissed" ? "🙅 Dismissed" : "🙅 Dismiss")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(decided)
+  );
+}
+
+// Re-render alert messages (all, or the ones whose IDs are given) after the record changed
+async function refreshViolationMessages(guild, req, violationIds = null) {
+  for (const v of req.violations || []) {
+    if (!v.messageId || (violationIds && !violationIds.includes(v.id))) continue;
+    const ch = await safeFetchChannel(guild, v.channelId);
+    if (!ch || !isTextChannel(ch)) continue;
+    const msg = await ch.messages.fetch(v.messageId).catch(() => null);
+    if (msg) {
+      await msg.edit({ embeds: [buildViolationEmbed(req, v)], components: [buildViolationRow(req, v)] }).catch(() => null);
+    }
+  }
+}
+
+// Add destruction lines to the request's open alert, or open a new one. Returns { req, violation, created }.
+function recordViolation(requestId, events, source) {
+  return store.transaction(() => {
+    const req = store.getRequest(requestId);
+    // Ended or expired since the log was matched
+    if (!req || !isApprovedAndActive(req, Date.now())) return { added: 0 };
+    const now = Date.now();
+    const violations = req.violations || [];
+    let v = violations.find((x) => x.status === "open");
+    const created = !v;
+    if (created) {
+      v = {
+        id: `v${violations.length + 1}`,
+        at: events[0].at || now,
+        lastAt: events[0].at || now,
+        status: "open",
+        lines: [],
+        count: 0,
+        logTribe: { name: events[0].tribeName, id: events[0].tribeId },
+        source,
+        channelId: null,
+        messageId: null,
+        decidedBy: null,
+        decidedAt: null,
+      };
+      req.violations = [...violations, v];
+    }
+
+    // Webhooks often resend a window of the log; a line already on the alert isn't counted twice
+    let added = 0;
+    for (const e of events) {
+      if (v.lines.includes(e.message)) continue;
+      v.lines = [...v.lines, e.message].slice(-MAX_VIOLATION_LINES);
+      v.count++;
+      v.lastAt = Math.max(v.lastAt, e.at || now);
+      added++;
+    }
+    if (added === 0) return { req, violation: v, created: false, added };
+
+    store.saveRequest(req);
+    if (created) {
+      recordAudit({
+        guildId: req.guildId,
+        action: "violation_flagged",
+        req,
+        reason: `${v.logTribe.name} (ID ${v.logTribe.id}): ${events[0].message}`.slice(0, 500),
+      });
+    }
+    return { req, violation: v, created, added };
+  });
+}
+
+/**
+ * Scan tribe log text for structures destroyed by tribes under an active White Flag and raise
+ * (or update) an alert in the admin channel. Lines from before the flag was approved are ignored.
+ * Returns { events, alerts } for the webhook's response.
+ */
+async function ingestTribeLog(guildId, text, source) {
+  const guild = bot.guilds.cache.get(guildId);
+  if (!guild) return { events: 0, alerts: 0, error: "unknown guild" };
+
+  const events = findDestructionEvents(parseGameLog(text));
+  const byRequest = new Map();
+  for (const e of events) {
+    const req = findFlaggedTribe(guildId, e.tribeName, e.tribeId);
+    if (!req || (e.at && e.at < req.approvedAt)) continue;
+    byRequest.set(req.id, [...(byRequest.get(req.id) || []), e]);
+  }
+
+  let alerts = 0;
+  for (const [requestId, reqEvents] of byRequest) {
+    const { req, violation, created, added } = recordViolation(requestId, reqEvents, source);
+    if (added === 0) continue;
+    alerts++;
+
+    if (!created) {
+      await refreshViolationMessages(guild, req, [violation.id]);
+      continue;
+    }
+
+    const state = getGuildState(guildId);
+    const adminCh = await safeFetchChannel(guild, state.adminChannelId);
+    if (!adminCh || !isTextChannel(adminCh)) continue;
+    const msg = await adminCh.send({
+      content: `<@&${state.adminRoleId}> Possible White Flag violation by **${escapeMd(req.tribeName)}**.`,
+      embeds: [buildViolationEmbed(req, violation)],
+      components: [buildViolationRow(req, violation)],
+    });
+
+    // Re-read: more lines may have come in while the alert was being sent
+    const latest = store.getRequest(requestId);
+    const saved = getViolation(latest, violation.id);
+    if (saved) {
+      saved.channelId = adminCh.id;
+      saved.messageId = msg.id;
+      store.saveRequest(latest);
+      if (saved.count !== violation.count || saved.status !== violation.status) {
+        await refreshViolationMessages(guild, latest, [saved.id]);
+      }
+    }
+  }
+
+  return { events: events.length, alerts };
+}
+
+const logIngest = createLogIngest({ onText: ingestTribeLog });
+
+// LOG_WATCH_FILES / LOG_WEBHOOK_PORT (see the header); called once the bot is ready
+async function startLogIngest() {
+  for (const pair of String(process.env.LOG_WATCH_FILES || "").split(",")) {
+    const [guildId, filePath] = pair.split("=").map((x) => x.trim());
+    if (!guildId || !filePath) continue;
+    logIngest.watchFile(guildId, filePath);
+    console.log(`📜 Watching tribe log ${filePath} for guild ${guildId}`);
+  }
+
+  const port = Number(process.env.LOG_WEBHOOK_PORT);
+  if (!port) return;
+  const tokens = {};
+  for (const pair of String(process.env.LOG_WEBHOOK_TOKENS || "").split(",")) {
+    const [guildId, token] = pair.split("=").map((x) => x.trim());
+    if (guildId && token) tokens[guildId] = token;
+  }
+  if (!Object.keys(tokens).length) {
+    console.error("LOG_WEBHOOK_PORT is set without LOG_WEBHOOK_TOKENS; the tribe log webhook is off.");
+    return;
+  }
+  const listening = await logIngest.listen({ port, tokens });
+  console.log(`📜 Tribe log webhook listening on :${listening}`);
+}
+
+// -------------------- Tribe registry --------------------
+// Names at or above this similarity to another tribe's name get a duplicate warning on review
+const TRIBE_SIMILARITY_THRESHOLD = 0.8;
+const MAX_DUPLICATE_WARNINGS = 5;
+
+// Characters players swap in to dodge the one-flag-per-tribe rule ("D1no K1ngs")
+const LOOKALIKE_CHARS = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", 8: "b", "@": "a", $: "s", "!": "i", "|": "l" };
+
+// "D1no-Kings!!" -> "dinokings": no accents, separators, lookalike digits or doubled letters
+function tribeSkeleton(name) {
+  return normalizeTribeName(name)
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .replace(/[0134578@$!|]/g, (c) => LOOKALIKE_CHARS[c])
+    .replace(/[^\p{L}\p{N}]/gu, "")
+    .replace(/(.)\1+/gu, "$1");
+}
+
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// 0..1, where 1 means the names only differ by case, spacing, punctuation or lookalike characters
+function tribeNameSimilarity(a, b) {
+  const x = tribeSkeleton(a);
+  const y = tribeSkeleton(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  return 1 - editDistance(x, y) / Math.max(x.length, y.length);
+}
+
+// Remember who applied for a tribe, so the same player showing up under another tribe is flagged
+function recordTribeMembers(req) {
+  const tribe = req.tribeId ? store.getTribe(req.tribeId) : null;
+  if (!tribe) return;
+
+  const igns = new Set(tribe.igns || []);
+  const userIds = new Set(tribe.userIds || []);
+  if (req.ign && req.ign !== "N/A") igns.add(req.ign);
+  if (req.requestedBy && req.status !== "bounty_only") userIds.add(req.requestedBy);
+  if (igns.size === (tribe.igns || []).length && userIds.size === (tribe.userIds || []).length) return;
+
+  store.saveTribe({ ...tribe, igns: [...igns], userIds: [...userIds] });
+}
+
+// Warning lines for the review embed: other tribes with a similar name, or that list this applicant
+function getTribeDuplicateWarnings(req) {
+  const now = Date.now();
+  const ign = String(req.ign || "").toLowerCase();
+  const warnings = [];
+
+  for (const tribe of store.listTribes(req.guildId)) {
+    if (tribe.id === req.tribeId) continue;
+
+    const reasons = [];
+    const score = Math.max(0, ...tribe.aliases.map((a) => tribeNameSimilarity(req.tribeName, a)));
+    if (score >= TRIBE_SIMILARITY_THRESHOLD) reasons.push(`name ${Math.round(score * 100)}% similar`);
+    if ((tribe.userIds || []).includes(req.requestedBy)) reasons.push("applicant is a listed member");
+    if (ign && (tribe.igns || []).some((i) => i.toLowerCase() === ign)) reasons.push("IGN is a listed member");
+    if (!reasons.length) continue;
+
+    const records = store.findRequests({ guildId: req.guildId, tribeId: tribe.id });
+    if (records.some((r) => isApprovedAndActive(r, now))) reasons.push("**active White Flag**");
+    if (records.some((r) => hasActiveBounty(r, now))) reasons.push("**active bounty**");
+
+    warnings.push({ score, line: `• **${escapeMd(tribe.name)}** (\`${tribe.id}\`) — ${reasons.join(", ")}` });
+  }
+
+  return warnings
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_DUPLICATE_WARNINGS)
+    .map((w) => w.line);
+}
+
+function tribeAuditSnapshot(tribe) {
+  return {
+    name: tribe.name,
+    aliases: tribe.aliases.join(", "),
+    igns: (tribe.igns || []).join(", "),
+    members: (tribe.userIds || []).length,
+  };
+}
+
+function buildTribeInfoLines(tribe) {
+  const others = tribe.aliases.filter((a) => normalizeTribeName(a) !== normalizeTribeName(tribe.name));
+  const users = tribe.userIds || [];
+  const igns = tribe.igns || [];
+  return [
+    `🆔 **Tribe ID:** \`${tribe.id}\``,
+    `🏷️ **Aliases:** ${others.length ? others.map(escapeMd).join(", ") : "none"}`,
+    `👥 **Members:** ${users.length ? users.map((u) => `<@${u}>`).join(", ") : "none"}`,
+    `🎮 **IGNs:** ${igns.length ? igns.map(escapeMd).join(", ") : "none"}`,
+  ];
+}
+
+// -------------------- List views --------------------
+// /whiteflags active, /whiteflags pending and /bounties active share filters, sorting and paging.
+const LIST_VIEWS = {
+  flags: {
+    title: "🏳️ Active White Flags",
+    capability: "review",
+    empty: "No active White Flags right now.",
+    find: (guildId, now) =>
+      store.findRequests({ guildId, status: "approved" }).filter((r) => isApprovedAndActive(r, now)),
+    endsAt: (r) => getFlagEndsAt(r),
+    startedAt: (r) => r.approvedAt,
+    line: (r) =>
+      `• **${escapeMd(r.tribeName)}** — IGN: **${escapeMd(r.ign)}** — Server: **${escapeMd(r.serverType || r.cluster || "N/A")}**` +
+      ` — Map: **${escapeMd(r.map || "N/A")}** — Ends ${fmtDiscordRelativeTime(getFlagEndsAt(r))} (ID: \`${r.id}\`)`,
+  },
+  bounties: {
+    title: "🎯 Active Bounties",
+    capability: "bounties",
+    empty: "No active bounties right now.",
+    find: (guildId, now) =>
+      store.findRequests({ guildId, bountyActive: true }).filter((r) => hasActiveBounty(r, now)),
+    endsAt: (r) => r.bounty.endsAt,
+    startedAt: (r) => r.bounty.refreshedAt || r.bounty.startedAt,
+    line: (r) =>
+      `• **${escapeMd(r.tribeName)}** — IGN: **${escapeMd(r.ign)}** — Server: **${escapeMd(r.serverType || r.cluster || "N/A")}**` +
+      ` — Ends ${fmtDiscordRelativeTime(r.bounty.endsAt)} (ID: \`${r.id}\`)\n  ${formatBountyTerms(r.bounty)}`,
+  },
+  // Nothing ends, so "ending soonest" means waiting longest
+  pending: {
+    title: "📥 Pending Applications",
+    capability: "review",
+    empty: "No applications waiting for review.",
+    endingLabel: "waiting longest",
+    find: (guildId) => store.findRequests({ guildId, status: "pending" }),
+    endsAt: (r) => r.requestedAt,
+    startedAt: (r) => r.requestedAt,
+    line: (r) => {
+      const link =
+        r.adminChannelId && r.adminMessageId
+          ? `[Review](https://discord.com/channels/${r.guildId}/${r.adminChannelId}/${r.adminMessageId})`
+          : `ID: \`${r.id}\``;
+      return (
+        `• **${escapeMd(r.tribeName)}** — IGN: **${escapeMd(r.ign)}** — Server: **${escapeMd(r.serverType || r.cluster || "N/A")}**` +
+        ` — Map: **${escapeMd(r.map || "N/A")}** — by <@${r.requestedBy}> ${fmtDiscordRelativeTime(r.requestedAt)} — ${link}`
+      );
+    },
+  },
+};
+
+const LIST_SORTS = {
+  ending: { label: "ending soonest", compare: (view) => (a, b) => view.endsAt(a) - view.endsAt(b) },
+  newest: { label: "newest", compare: (view) => (a, b) => view.startedAt(b) - view.startedAt(a) },
+  tribe: { label: "tribe name", compare: () => (a, b) => a.tribeName.localeCompare(b.tribeName) },
+};
+
+// { view, page, sort, hours, server, map } from the slash command options (page is 0-based)
+function readListQuery(interaction, view) {
+  return {
+    view,
+    page: (interaction.options.getInteger("page") || 1) - 1,
+    sort: view === "pending" ? "ending" : interaction.options.getString("sort") || "ending",
+    hours: view === "pending" ? 0 : interaction.options.getNumber("ending_within") || 0,
+    server: (interaction.options.getString("server") || "").trim(),
+    map: (interaction.options.getString("map") || "").trim(),
+  };
+}
+
+function listPageCustomId(query, page) {
+  const { view, sort, hours, server, map } = query;
+  return `${CID.LIST_PAGE_PREFIX}${view}:${page}:${sort}:${hours || ""}:${server.replace(/:/g, "")}:${map}`;
+}
+
+function parseListPageCustomId(customId) {
+  const [view, page, sort, hours, server, ...mapParts] = customId.slice(CID.LIST_PAGE_PREFIX.length).split(":");
+  if (!LIST_VIEWS[view]) return null;
+  return {
+    view,
+    page: Number(page) || 0,
+    sort: LIST_SORTS[sort] ? sort : "ending",
+    hours: Number(hours) || 0,
+    server: server || "",
+    map: mapParts.join(":"),
+  };
+}
+
+function describeListFilters(query, serverLabel) {
+  const parts = [];
+  if (serverLabel) parts.push(`server: ${serverLabel}`);
+  if (query.map) parts.push(`map: ${query.map}`);
+  if (query.hours) parts.push(`ending within ${query.hours}h`);
+  return parts.join(", ");
+}
+
+function buildListPage(guildId, query, now = Date.now()) {
+  const view = LIST_VIEWS[query.view];
+  // Server filter accepts a server type key (autocomplete) or any label as typed
+  const serverLabel = query.server
+    ? findServerType(getGuildState(guildId), query.server)?.label || query.server
+    : "";
+  const lower = (v) => String(v || "").toLowerCase();
+
+  const entries = view
+    .find(guildId, now)
+    .filter((r) => !serverLabel || lower(r.serverType || r.cluster) === lower(serverLabel))
+    .filter((r) => !query.map || lower(r.map) === lower(query.map))
+    .filter((r) => !query.hours || view.endsAt(r) - now <= query.hours * HOUR_MS)
+    .sort(LIST_SORTS[query.sort].compare(view));
+
+  const filters = describeListFilters(query, serverLabel);
+  if (entries.length === 0) {
+    return { content: filters ? `Nothing matches those filters (${filters}).` : view.empty, embeds: [], components: [] };
+  }
+
+  const pageCount = Math.ceil(entries.length / LIST_PAGE_SIZE);
+  const current = Math.min(Math.max(0, query.page), pageCount - 1);
+  const slice = entries.slice(current * LIST_PAGE_SIZE, (current + 1) * LIST_PAGE_SIZE);
+
+  const sortLabel = (query.sort === "ending" && view.endingLabel) || LIST_SORTS[query.sort].label;
+  const footer = [`Page ${current + 1}/${pageCount}`, `sorted by ${sortLabel}`];
+  if (filters) footer.push(filters);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${view.title} (${entries.length})`)
+    .setDescription(slice.map(view.line).join("\n"))
+    .setFooter({ text: footer.join(" • ").slice(0, 2048) });
+
+  if (pageCount === 1) return { content: null, embeds: [embed], components: [] };
+
+  // Custom IDs max out at 100 chars; very long filters fall back to the page option
+  const prevId = listPageCustomId(query, current - 1);
+  const nextId = listPageCustomId(query, current + 1);
+  if (prevId.length > 100 || nextId.length > 100) {
+    embed.setFooter({ text: `${footer.join(" • ")} • use the page option for more`.slice(0, 2048) });
+    return { content: null, embeds: [embed], components: [] };
+  }
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(prevId)
+      .setLabel("◀ Prev")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(current === 0),
+    new ButtonBuilder()
+      .setCustomId(nextId)
+      .setLabel("Next ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(current >= pageCount - 1)
+  );
+
+  return { content: null, embeds: [embed], components: [row] };
+}
+
+// -------------------- Tribe intelligence views --------------------
+function buildTribeHistoryLine(r) {
+  const server = escapeMd(r.serverType || r.cluster || "N/A");
+  const status = escapeMd(r.status || "unknown");
+  const when = r.requestedAt ? fmtDiscordRelativeTime(r.requestedAt) : "N/A";
+
+  const wfPart =
+    r.status === "approved" && r.approvedAt
+      ? ` — WF ends ${fmtDiscordRelativeTime(getFlagEndsAt(r))}`
+      : "";
+
+  const bountyPart = r.bounty
+    ? ` — Bounty ${r.bounty.active ? "ACTIVE" : "inactive"} (ends ${
+        r.bounty.endsAt ? fmtDiscordRelativeTime(r.bounty.endsAt) : "N/A"
+      })`
+    : "";
+
+  return `• \`${r.id}\` — **${status}** — Server: **${server}** — requested ${when}${wfPart}${bountyPart}`;
+}
+
+// Returns { embeds, components } for one page of /tribe history, or null if the tribe has no records.
+// With a season, shows that season's archived records instead of the current ones.
+function buildTribeHistoryPage(guildId, tribeName, page = 0, season = null) {
+  // Newest first
+  const entries = season
+    ? store.findArchivedRequests({ guildId, seasonId: season.id, tribeName })
+    : store.findRequests({ guildId, tribeName });
+  if (entries.length === 0) return null;
+
+  const pageCount = Math.ceil(entries.length / TRIBE_HISTORY_PAGE_SIZE);
+  const current = Math.min(Math.max(0, page), pageCount - 1);
+  const slice = entries.slice(
+    current * TRIBE_HISTORY_PAGE_SIZE,
+    (current + 1) * TRIBE_HISTORY_PAGE_SIZE
+  );
+
+  const embed = new EmbedBuilder()
+    .setTitle(
+      `📚 Tribe History — ${escapeMd(store.getTribe(entries[0].tribeId)?.name || entries[0].tribeName)}` +
+        (season ? ` (${escapeMd(season.name)})` : "")
+    )
+    .setDescription(slice.map(buildTribeHistoryLine).join("\n"))
+    .setFooter({
+      text: `Page ${current + 1}/${pageCount} • ${entries.length} record(s) • /tribe record id:<ID> for details`,
+    });
+
+  if (pageCount === 1) return { embeds: [embed], components: [] };
+
+  // Custom IDs max out at 100 chars; very long tribe names fall back to the page option
+  const key = normalizeTribeName(tribeName);
+  const seasonRef = season ? season.id : "";
+  const prevId = `${CID.TRIBE_HISTORY_PAGE_PREFIX}${current - 1}:${seasonRef}:${key}`;
+  const nextId = `${CID.TRIBE_HISTORY_PAGE_PREFIX}${current + 1}:${seasonRef}:${key}`;
+  if (prevId.length > 100 || nextId.length > 100) return { embeds: [embed], components: [] };
+
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(prevId)
+      .setLabel("◀ Prev")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(current === 0),
+    new ButtonBuilder()
+      .setCustomId(nextId)
+      .setLabel("Next ▶")
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(current >= pageCount - 1)
+  );
+
+  return { embeds: [embed], components: [row] };
+}
+
+function buildRecordDetailEmbed(r) {
+  const actor = (userId, at) =>
+    `${userId ? `<@${userId}>` : "unknown"}${at ? ` — ${fmtDiscordDateTime(at)}` : ""}`;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🗂️ Record — ${escapeMd(r.tribeName)}`)
+    .addFields(
+      { name: "Status", value: escapeMd(r.status || "unknown"), inline: true },
+      { name: "Server", value: escapeMd(r.serverType || r.cluster || "N/A"), inline: true },
+      { name: "IGN", value: escapeMd(r.ign || "N/A"), inline: true },
+      { name: "Map", value: escapeMd(r.map || "N/A"), inline: true },
+      { name: "Requested", value: actor(r.requestedBy, r.requestedAt), inline: false }
+    )
+    .setFooter({ text: `Record ID: ${r.id}` });
+
+  if (r.seasonId) {
+    const season = store.findSeason(r.guildId, r.seasonId);
+    embed.setFooter({ text: `Record ID: ${r.id} • Archived with season ${season?.name || r.seasonId}` });
+  }
+
+  const extraAnswers = (r.answers || []).filter((a) => !["ign", "tribe", "map"].includes(a.id));
+  if (extraAnswers.length) {
+    embed.addFields({
+      name: "Application",
+      value: extraAnswers.map((a) => `**${escapeMd(a.label)}:** ${escapeMd(a.value)}`).join("\n").slice(0, 1024),
+      inline: false,
+    });
+  }
+
+  if (r.approvedAt) {
+    embed.addFields(
+      { name: "Approved", value: actor(r.approvedBy, r.approvedAt), inline: false },
+      { name: "Ends", value: fmtDiscordDateTime(getFlagEndsAt(r)), inline: false }
+    );
+  }
+  if (r.deniedAt) {
+    const reason = r.deniedReason ? `\n${formatReason(r.deniedReason, r.deniedEvidence)}` : "";
+    embed.addFields({ name: "Denied", value: `${actor(r.deniedBy, r.deniedAt)}${reason}`.slice(0, 1024), inline: false });
+  }
+  if (r.endedEarlyAt) {
+    const reason = r.endedEarlyReason ? `\n${formatReason(r.endedEarlyReason, r.endedEarlyEvidence)}` : "";
+    embed.addFields({
+      name: "Ended Early",
+      value: `${actor(r.endedEarlyBy, r.endedEarlyAt)}${
+        r.endedEarlyConfirmedBy ? `, confirmed by <@${r.endedEarlyConfirmedBy}>` : ""
+      }${reason}`.slice(0, 1024),
+      inline: false,
+    });
+  }
+  if (r.expiredAt) embed.addFields({ name: "Expired", value: fmtDiscordDateTime(r.expiredAt), inline: false });
+  if (r.appeal) {
+    const outcome = r.appeal.decidedAt ? ` → **${r.appeal.status}** by ${actor(r.appeal.decidedBy, r.appeal.decidedAt)}` : " (pending)";
+    embed.addFields({ name: "Appeal", value: `${actor(r.appeal.by, r.appeal.at)}${outcome}`, inline: false });
+  }
+
+  if (r.bounty) {
+    const b = r.bounty;
+    const lines = [
+      `Status: **${hasActiveBounty(r) ? "ACTIVE" : "inactive"}**`,
+      `Started: ${actor(b.startedBy, b.startedAt)}`,
+    ];
+    lines.push(formatBountyTerms(b));
+    if (b.refreshedAt) lines.push(`Refreshed: ${actor(b.refreshedBy, b.refreshedAt)}`);
+    if (b.removedAt) lines.push(`Removed: ${actor(b.removedBy, b.removedAt)}`);
+    if (b.claimedAt) lines.push(`Claimed: **${escapeMd(b.claimedBy.tribeName)}** — ${actor(b.claimedBy.userId, b.claimedAt)}`);
+    if (b.expiredAt) lines.push(`Expired: ${fmtDiscordDateTime(b.expiredAt)}`);
+    if (b.endsAt) lines.push(`Ends: ${fmtDiscordDateTime(b.endsAt)}`);
+    if (b.reason) lines.push(`Reason: ${escapeMd(b.reason)}`);
+    embed.addFields({ name: "Bounty", value: lines.join("\n"), inline: false });
+  }
+
+  return embed;
+}
+
+// -------------------- Slash command registration --------------------
+// Definitions live in command-definitions.js (shared with `npm run register`).
+// On startup we only PUT when they differ from what Discord already has.
+async function registerSlashCommands() {
+  const rest = new REST({ version: "10" }).setToken(TOKEN);
+
+  try {
+    const { registered, diff } = await registerCommands({
+      rest,
+      clientId: CLIENT_ID,
+      guildId: GUILD_ID,
+      skipIfUnchanged: true,
+    });
+
+    if (!registered) {
+      console.log("✅ Slash commands unchanged; skipped registration.");
+    } else if (GUILD_ID) {
+      console.log(`✅ Registered slash commands to guild ${GUILD_ID} (${formatCommandDiff(diff)})`);
+    } else {
+      console.log(
+        `✅ Registered global slash commands (${formatCommandDiff(diff)}; can take up to ~1 hour to appear).`
+      );
+    }
+  } catch (e) {
+    console.error("Failed to register slash commands:", e);
+  }
+}
+
+// -------------------- Discord client --------------------
+const bot = new Client({
+  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers],
+  partials: [Partials.GuildMember],
+});
+
+bot.once("clientReady", async () => {
+  console.log(`✅ Logged in as ${bot.user.tag}`);
 
   // Register slash commands (safe to do on startup)
   await registerSlashCommands();
 
-  // Expire overdue approvals (if bot was offline)
-  await expireOverdueApprovalsOnStartup();
-  await expireOverdueBountiesOnStartup();
+  // Migrations and the JSON importer only backfill expiry jobs; plan the reminders too
+  // (ones already sent are skipped)
+  rescheduleGuildReminders(null);
+
+  // Run jobs that came due while the bot was offline, then keep polling
+  scheduler.start();
+
+  startLogIngest().catch((e) => console.error("Tribe log ingest failed to start:", e));
+});
+
+bot.on("interactionCreate", async (interaction) => {
+  try {
+    // Config for the guild this interaction came from (unsaved defaults outside a guild)
+    const state = interaction.guildId
+      ? getGuildState(interaction.guildId)
+      : defaultGuildState(null);
+
+    // -------------------- Autocomplete --------------------
+    if (interaction.isAutocomplete()) {
+      if (interaction.commandName === "form" && interaction.guildId) {
+        const focused = interaction.options.getFocused(true);
+        if (focused.name === "field") {
+          const server = findServerType(getGuildState(interaction.guildId), interaction.options.getString("server"));
+          const query = String(focused.value || "").toLowerCase();
+          const choices = getFormFields(server)
+            .filter((f) => f.id.includes(query) || f.label.toLowerCase().includes(query))
+            .map((f) => ({ name: `${f.label} (${f.id})`.slice(0, 100), value: f.id }));
+          return interaction.respond(choices);
+        }
+      }
+
+      const serverListFilter =
+        ["whiteflags", "bounties"].includes(interaction.commandName) &&
+        interaction.options.getFocused(true).name === "server";
+      if (
+        (["servers", "durations", "form", "rcon"].includes(interaction.commandName) || serverListFilter) &&
+        interaction.guildId
+      ) {
+        const query = String(interaction.options.getFocused() || "").toLowerCase();
+        const choices = getGuildState(interaction.guildId)
+          .serverTypes.filter(
+            (t) => t.key.includes(query) || t.label.toLowerCase().includes(query)
+          )
+          .slice(0, 25)
+          .map((t) => ({ name: `${t.label} (${t.key})`.slice(0, 100), value: t.key }));
+        return interaction.respond(choices);
+      }
+
+      if (interaction.commandName === "appeal" && interaction.guildId) {
+        const query = String(interaction.options.getFocused() || "").toLowerCase();
+        const choices = store
+          .findRequests({
+            guildId: interaction.guildId,
+            requestedBy: interaction.user.id,
+            status: APPEALABLE_STATUSES,
+          })
+          .filter((r) => !r.appeal)
+          .map((r) => ({
+            name: `${r.tribeName} — ${r.status === "denied" ? "denied" : "ended early"} (${r.id})`.slice(0, 100),
+            value: r.id,
+          }))
+          .filter((c) => c.name.toLowerCase().includes(query))
+          .slice(0, 25);
+        return interaction.respond(choices);
+      }
+
+      if (["tribe", "audit", "bounties"].includes(interaction.commandName) && interaction.guildId) {
+        const focused = interaction.options.getFocused(true);
+        if (focused.name === "tribe") {
+          const names = store.listTribeNames(interaction.guildId, focused.value, 25);
+          return interaction.respond(
+            names.map((n) => ({ name: String(n).slice(0, 100), value: String(n).slice(0, 100) }))
+          );
+        }
+        if (focused.name === "season") {
+          const query = String(focused.value || "").toLowerCase();
+          const choices = store
+            .listSeasons(interaction.guildId)
+            .filter((s) => s.name.toLowerCase().includes(query))
+            .slice(0, 25)
+            .map((s) => ({ name: `${s.name}${s.endedAt ? "" : " (current)"}`.slice(0, 100), value: String(s.id) }));
+          return interaction.respond(choices);
+        }
+      }
+      return interaction.respond([]);
+    }
+
+    // -------------------- Slash commands --------------------
+    if (interaction.isChatInputCommand()) {
+      if (interaction.commandName === "setup") {
+        if (!(await authorize(interaction, "configure", state))) return;
+
+        const guild = interaction.guild;
+        if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        // Resolve options (all required by command definition)
+        const rulesChannel = interaction.options.getChannel("rules_channel");
+        const applyChannel = interaction.options.getChannel("apply_channel");
+        const adminChannel = interaction.options.getChannel("admin_channel");
+        const announceChannel = interaction.options.getChannel("announce_channel");
+        const adminRole = interaction.options.getRole("admin_role");
+        const openSeasonRole = interaction.options.getRole("open_season_role");
+
+        if (![rulesChannel, applyChannel, adminChannel, announceChannel].every(isTextChannel)) {
+          return interaction.reply({
+            content: "All channels must be text channels.",
+            ephemeral: true,
+          });
+        }
+        if (!adminRole || !openSeasonRole) {
+          return interaction.reply({
+            content: "Admin role and Open Season role are required.",
+            ephemeral: true,
+          });
+        }
+
+        // Ensure role for rules gate exists
+        const rulesAcceptedRole = await ensureRulesAcceptedRole(guild);
+        const configBefore = Object.fromEntries(AUDIT_SETUP_KEYS.map((k) => [k, state[k]]));
+
+        // Persist config
+        state.guildId = guild.id;
+        state.rulesChannelId = rulesChannel.id;
+        state.applyChannelId = applyChannel.id;
+        state.adminChannelId = adminChannel.id;
+        state.announceChannelId = announceChannel.id;
+        state.adminRoleId = adminRole.id;
+        state.openSeasonRoleId = openSeasonRole.id;
+        state.rulesAcceptedRoleId = rulesAcceptedRole.id;
+
+        // Post panels
+        const rulesMsg = await rulesChannel.send({
+          embeds: [buildRulesEmbed(guild.id)],
+          components: [buildRulesRow()],
+        });
+
+        const applyMsg = await applyChannel.send({
+          embeds: [buildApplyEmbed(state)],
+          components: buildApplyRows(state),
+        });
+
+        state.rulesMessageId = rulesMsg.id;
+        state.applyMessageId = applyMsg.id;
+        saveGuildState(state);
+        recordAudit({
+          guildId: guild.id,
+          action: "setup",
+          actorId: interaction.user.id,
+          before: configBefore,
+          after: Object.fromEntries(AUDIT_SETUP_KEYS.map((k) => [k, state[k]])),
+        });
+
+        return interaction.reply({
+          content:
+            `✅ Setup complete.\n` +
+            `• Rules panel: <#${rulesChannel.id}>\n` +
+            `• Apply panel: <#${applyChannel.id}>\n` +
+            `• Admin review: <#${adminChannel.id}> (ping <@&${adminRole.id}>)\n` +
+            `• Open Season announcements: <#${announceChannel.id}> (ping <@&${openSeasonRole.id}>)\n` +
+            `• Rules gate role: <@&${rulesAcceptedRole.id}>`,
+          ephemeral: true,
+        });
+      }
+
+      if (interaction.commandName === "rules") {
+        return interaction.reply({
+          embeds: [buildRulesEmbed(interaction.guildId)],
+          components: [buildRulesRow()],
+          ephemeral: true,
+        });
+      }
+
+      if (interaction.commandName === "servers") {
+        if (!(await authorize(interaction, "configure", state))) return;
+
+        const guild = interaction.guild;
+        if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        const sub = interaction.options.getSubcommand();
+        const before = serverAuditSnapshot(state.serverTypes, SERVER_AUDIT_SETTINGS);
+        const parseMaps = (raw) =>
+          String(raw || "")
+            .split(",")
+            .map((m) => m.trim())
+            .filter(Boolean);
+
+        if (sub === "add") {
+          const key = interaction.options.getString("key", true).trim().toLowerCase();
+          const label = interaction.options.getString("label", true).trim();
+          const style = interaction.options.getString("style") || "primary";
+          const maps = parseMaps(interaction.options.getString("maps"));
+
+          if (!/^[a-z0-9_-]{1,32}$/.test(key)) {
+            return interaction.reply({
+              content: "Key must be 1-32 characters: lowercase letters, numbers, `-` or `_`.",
+              ephemeral: true,
+            });
+          }
+          if (state.serverTypes.some((t) => t.key === key)) {
+            return interaction.reply({ content: `Server \`${key}\` already exists.`, ephemeral: true });
+          }
+          if (state.serverTypes.length >= MAX_SERVER_TYPES) {
+            return interaction.reply({
+              content: `The apply panel fits at most ${MAX_SERVER_TYPES} servers.`,
+              ephemeral: true,
+            });
+          }
+
+          state.serverTypes.push({ key, label, style, maps });
+        }
+
+        if (sub === "edit" || sub === "remove") {
+          const key = interaction.options.getString("key", true).trim().toLowerCase();
+          const serverType = state.serverTypes.find((t) => t.key === key);
+          if (!serverType) {
+            return interaction.reply({ content: `No server with key \`${key}\`.`, ephemeral: true });
+          }
+
+          if (sub === "remove") {
+            state.serverTypes = state.serverTypes.filter((t) => t.key !== key);
+          } else {
+            const label = interaction.options.getString("label");
+            const style = interaction.options.getString("style");
+            const maps = interaction.options.getString("maps");
+            if (label) serverType.label = label.trim();
+            if (style) serverType.style = style;
+            // "none" clears the map list
+            if (maps !== null) serverType.maps = maps.trim().toLowerCase() === "none" ? [] : parseMaps(maps);
+          }
+        }
+
+        if (sub !== "list") {
+          saveGuildState(state);
+          recordAudit({
+            guildId: guild.id,
+            action: "servers_updated",
+            actorId: interaction.user.id,
+            before,
+            after: serverAuditSnapshot(state.serverTypes, SERVER_AUDIT_SETTINGS),
+          });
+          await refreshApplyPanel(guild, state).catch(() => null);
+          await refreshRulesPanel(guild, state).catch(() => null);
+        }
+
+        const lines = state.serverTypes.map((t) => {
+          const maps = t.maps?.length ? t.maps.map(escapeMd).join(", ") : "any";
+          return `• \`${t.key}\` — **${escapeMd(t.label)}** (${t.style}) — Maps: ${maps}`;
+        });
+
+        const embed = new EmbedBuilder()
+          .setTitle(`🖥️ Server Types (${state.serverTypes.length})`)
+          .setDescription(lines.join("\n") || "No server types. Add one with /servers add.");
+        if (sub !== "list") {
+          embed.setFooter({
+            text: state.applyMessageId ? "Apply panel updated." : "Run /setup to post the apply panel.",
+          });
+        }
+
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      if (interaction.commandName === "form") {
+        if (!(await authorize(interaction, "configure", state))) return;
+
+        const guild = interaction.guild;
+        if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        const sub = interaction.options.getSubcommand();
+        const server = findServerType(state, interaction.options.getString("server", true));
+        if (!server) {
+          return interaction.reply({ content: "Unknown server type. See /servers list.", ephemeral: true });
+        }
+
+        const before = serverAuditSnapshot([server], ["fields"]);
+        const fields = getFormFields(server).map((f) => ({ ...f }));
+
+        if (sub === "set") {
+          const id = interaction.options.getString("field", true).trim().toLowerCase();
+          const label = interaction.options.getString("label");
+          const style = interaction.options.getString("style");
+          const required = interaction.options.getBoolean("required");
+          const maxLength = interaction.options.getInteger("max_length");
+          const pattern = interaction.options.getString("pattern");
+
+          if (!/^[a-z0-9_]{1,32}$/.test(id)) {
+            return interaction.reply({
+              content: "Field ID must be 1-32 characters: lowercase letters, numbers or `_`.",
+              ephemeral: true,
+            });
+          }
+
+          let field = fields.find((f) => f.id === id);
+          if (!field) {
+            if (fields.length >= MAX_FORM_FIELDS) {
+              return interaction.reply({
+                content: `Forms are limited to ${MAX_FORM_FIELDS} questions (Discord modal limit). Remove one first.`,
+                ephemeral: true,
+              });
+            }
+            if (!label) {
+              return interaction.reply({ content: "A **label** is required for a new question.", ephemeral: true });
+            }
+            field = { id, label, style: "short", required: false, maxLength: 100, pattern: null };
+            fields.push(field);
+          }
+
+          if (pattern !== null && pattern.trim().toLowerCase() !== "none") {
+            try {
+              new RegExp(pattern);
+            } catch (e) {
+              return interaction.reply({ content: `Invalid regex: ${escapeMd(e.message)}`, ephemeral: true });
+            }
+          }
+
+          if (label) field.label = label.trim();
+          if (style) field.style = style;
+          if (required !== null) field.required = required;
+          if (maxLength !== null) field.maxLength = maxLength;
+          // "none" clears the validation pattern
+          if (pattern !== null) field.pattern = pattern.trim().toLowerCase() === "none" ? null : pattern.trim();
+          if (CORE_FORM_FIELD_IDS.includes(id)) field.required = true;
+
+          server.fields = fields;
+        }
+
+        if (sub === "remove") {
+          const id = interaction.options.getString("field", true).trim().toLowerCase();
+          if (CORE_FORM_FIELD_IDS.includes(id)) {
+            return interaction.reply({ content: `\`${id}\` is required by the bot and can't be removed.`, ephemeral: true });
+          }
+          if (!fields.some((f) => f.id === id)) {
+            return interaction.reply({ content: `No question \`${escapeMd(id)}\` on that form.`, ephemeral: true });
+          }
+          server.fields = fields.filter((f) => f.id !== id);
+        }
+
+        if (sub === "reset") delete server.fields;
+
+        if (sub !== "list") {
+          saveGuildState(state);
+          recordAudit({
+            guildId: guild.id,
+            action: "form_updated",
+            actorId: interaction.user.id,
+            before,
+            after: serverAuditSnapshot([server], ["fields"]),
+          });
+        }
+
+        const lines = getFormFields(server).map((f) => {
+          const opts = [
+            f.style === "paragraph" ? "paragraph" : "short",
+            f.required ? "required" : "optional",
+            `max ${f.maxLength || 64}`,
+          ];
+          if (f.pattern) opts.push(`pattern \`${f.pattern}\``);
+          return `• \`${f.id}\` — **${escapeMd(f.label)}** (${opts.join(", ")})`;
+        });
+
+        const embed = new EmbedBuilder()
+          .setTitle(`📝 Application Form — ${escapeMd(server.label)}`)
+          .setDescription(lines.join("\n"))
+          .setFooter({ text: `${getFormFields(server).length}/${MAX_FORM_FIELDS} questions` });
+
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      if (interaction.commandName === "appeal") {
+        if (!interaction.guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        const req = getGuildRequest(interaction.guildId, interaction.options.getString("id", true).trim());
+        const blocker = getAppealBlocker(req, interaction.user.id);
+        if (blocker) return interaction.reply({ content: blocker, ephemeral: true });
+
+        return interaction.showModal(buildAppealModal(req));
+      }
+
+      if (interaction.commandName === "board") {
+        const guild = interaction.guild;
+        if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        const sub = interaction.options.getSubcommand();
+
+        if (sub === "channel") {
+          if (!(await authorize(interaction, "configure", state))) return;
+
+          const channel = interaction.options.getChannel("channel");
+          if (channel && !isTextChannel(channel)) {
+            return interaction.reply({ content: "The board channel must be a text channel.", ephemeral: true });
+          }
+
+          await interaction.deferReply({ ephemeral: true });
+
+          // Take the old board down; it's reposted fresh in the new channel
+          const oldCh = await safeFetchChannel(guild, state.boardChannelId);
+          if (oldCh && isTextChannel(oldCh)) await deleteBoardMessages(oldCh, state.boardMessageIds || []);
+
+          const before = { boardChannelId: state.boardChannelId || null };
+          state.boardChannelId = channel ? channel.id : null;
+          state.boardMessageIds = [];
+          saveGuildState(state);
+          recordAudit({
+            guildId: guild.id,
+            action: "board_updated",
+            actorId: interaction.user.id,
+            before,
+            after: { boardChannelId: state.boardChannelId },
+          });
+
+          if (!channel) return interaction.editReply({ content: "✅ Status board removed." });
+
+          const posted = await refreshStatusBoard(guild).catch((e) => {
+            console.error("Failed to post status board:", e);
+            return false;
+          });
+          return interaction.editReply({
+            content: posted
+              ? `✅ Status board posted in <#${channel.id}>. It updates on every White Flag / bounty change.`
+              : `⚠️ Board channel set to <#${channel.id}>, but I couldn't post there. Check my permissions, then run /board refresh.`,
+          });
+        }
+
+        // refresh: harmless, so reviewers may run it too
+        if (!(await authorize(interaction, "review", state))) return;
+
+        if (!state.boardChannelId) {
+          return interaction.reply({ content: "No board yet. Set one with `/board channel`.", ephemeral: true });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+        const posted = await refreshStatusBoard(guild).catch((e) => {
+          console.error("Failed to refresh status board:", e);
+          return false;
+        });
+        return interaction.editReply({
+          content: posted ? "✅ Status board refreshed." : "⚠️ Couldn't update the board. Check the channel and my permissions.",
+        });
+      }
+
+      if (interaction.commandName === "rcon") {
+        const guild = interaction.guild;
+        if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        // Connection details include the game server's admin password
+        if (!(await authorize(interaction, "configure", state))) return;
+
+        const sub = interaction.options.getSubcommand();
+
+        if (sub === "template") {
+          const event = interaction.options.getString("event", true);
+          return interaction.showModal(buildRconTemplateModal(state, event));
+        }
+
+        if (sub === "show") {
+          const templates = getRconTemplates(state);
+          const embed = new EmbedBuilder()
+            .setTitle("🖥️ RCON")
+            .setDescription(
+              state.serverTypes.map((t) => `• **${escapeMd(t.label)}** — ${describeRcon(t.rcon)}`).join("\n")
+            )
+            .addFields(
+              Object.entries(RCON_EVENTS).map(([event, label]) => ({
+                name: label,
+                value: templates[event].length
+                  ? templates[event].map((c) => `\`${c.replace(/`/g, "'")}\``).join("\n").slice(0, 1024)
+                  : "none",
+                inline: false,
+              }))
+            )
+            .setFooter({ text: `Placeholders: ${RCON_PLACEHOLDERS.map((p) => `{${p}}`).join(" ")}` });
+          return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
+
+        const server = findServerType(state, interaction.options.getString("server", true));
+        if (!server) {
+          return interaction.reply({ content: "Unknown server type. See `/servers list`.", ephemeral: true });
+        }
+
+        const before = serverAuditSnapshot([server], ["rcon"]);
+
+        if (sub === "set") {
+          const previousPassword = server.rcon?.password;
+          server.rcon = {
+            host: interaction.options.getString("host", true).trim(),
+            port: interaction.options.getInteger("port", true),
+            password: interaction.options.getString("password", true),
+          };
+          saveGuildState(state);
+          recordAudit({
+            guildId: guild.id,
+            action: "rcon_updated",
+            actorId: interaction.user.id,
+            before,
+            after: serverAuditSnapshot([server], ["rcon"]),
+            reason: previousPassword && previousPassword !== server.rcon.password ? "Password changed" : null,
+          });
+          return interaction.reply({
+            content: `✅ RCON for **${escapeMd(server.label)}** set to ${describeRcon(server.rcon)}. Check it with \`/rcon test\`.`,
+            ephemeral: true,
+          });
+        }
+
+        if (sub === "clear") {
+          delete server.rcon;
+          saveGuildState(state);
+          recordAudit({
+            guildId: guild.id,
+            action: "rcon_updated",
+            actorId: interaction.user.id,
+            before,
+            after: serverAuditSnapshot([server], ["rcon"]),
+          });
+          return interaction.reply({ content: `✅ RCON turned off for **${escapeMd(server.label)}**.`, ephemeral: true });
+        }
+
+        // test
+        if (!server.rcon) {
+          return interaction.reply({
+            content: `No RCON set for **${escapeMd(server.label)}**. Use \`/rcon set\` first.`,
+            ephemeral: true,
+          });
+        }
+
+        await interaction.deferReply({ ephemeral: true });
+        const startedAt = Date.now();
+        try {
+          await runRconCommands(server.rcon, []);
+          return interaction.editReply({
+            content: `✅ Connected and logged in to **${escapeMd(server.label)}** (${describeRcon(server.rcon)}) in ${
+              Date.now() - startedAt
+            } ms.`,
+          });
+        } catch (e) {
+          return interaction.editReply({
+            content: `❌ RCON on **${escapeMd(server.label)}** (${describeRcon(server.rcon)}) failed: ${escapeMd(e.message)}`,
+          });
+        }
+      }
+
+      if (interaction.commandName === "audit") {
+        const guild = interaction.guild;
+        if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        const sub = interaction.options.getSubcommand();
+
+        if (sub === "channel") {
+          if (!(await authorize(interaction, "configure", state))) return;
+
+          const channel = interaction.options.getChannel("channel");
+          if (channel && !isTextChannel(channel)) {
+            return interaction.reply({ content: "The audit channel must be a text channel.", ephemeral: true });
+          }
+
+          const before = { auditChannelId: state.auditChannelId || null };
+          state.auditChannelId = channel ? channel.id : null;
+          saveGuildState(state);
+          recordAudit({
+            guildId: guild.id,
+            action: "audit_channel_updated",
+            actorId: interaction.user.id,
+            before,
+            after: { auditChannelId: state.auditChannelId },
+          });
+
+          return interaction.reply({
+            content: channel
+              ? `✅ Audit events will be posted in <#${channel.id}>.`
+              : "✅ Audit channel cleared (events are still recorded; see /audit log).",
+            ephemeral: true,
+          });
+        }
+
+        // log: read-only, part of tribe intel
+        if (!(await authorize(interaction, "intel", state))) return;
+
+        const tribe = (interaction.options.getString("tribe") || "").trim();
+        const admin = interaction.options.getUser("admin");
+        const from = parseDateInput(interaction.options.getString("from"));
+        const to = parseDateInput(interaction.options.getString("to"), true);
+        const format = interaction.options.getString("format") || "embed";
+
+        if (Number.isNaN(from) || Number.isNaN(to)) {
+          return interaction.reply({ content: "Dates must look like `2024-05-31` (UTC).", ephemeral: true });
+        }
+
+        const seasonRef = interaction.options.getString("season");
+        const season = seasonRef ? store.findSeason(guild.id, seasonRef) : null;
+        if (seasonRef && !season) {
+          return interaction.reply({ content: "Unknown season. See `/season list`.", ephemeral: true });
+        }
+
+        // A season narrows the from / to range to when it ran
+        const bounds = [from ?? -Infinity, to ?? Infinity];
+        if (season) {
+          bounds[0] = Math.max(bounds[0], season.startedAt);
+          bounds[1] = Math.min(bounds[1], season.endedAt ?? Infinity);
+        }
+
+        const events = store.findAuditEvents({
+          guildId: guild.id,
+          tribeName: tribe || undefined,
+          actorId: admin?.id,
+          from: Number.isFinite(bounds[0]) ? bounds[0] : undefined,
+          to: Number.isFinite(bounds[1]) ? bounds[1] : undefined,
+        });
+
+        if (!events.length) {
+          return interaction.reply({ content: "No audit events match those filters.", ephemeral: true });
+        }
+
+        if (format === "csv" || format === "json") {
+          const body =
+            format === "csv" ? auditEventsToCsv(events) : JSON.stringify(events, null, 2);
+          const file = new AttachmentBuilder(Buffer.from(body, "utf8"), {
+            name: `audit-${guild.id}-${new Date().toISOString().slice(0, 10)}.${format}`,
+          });
+          return interaction.reply({
+            content: `📎 ${events.length} audit event(s).`,
+            files: [file],
+            ephemeral: true,
+          });
+        }
+
+        const shown = events.slice(-AUDIT_LOG_PAGE_SIZE).reverse();
+        const embed = new EmbedBuilder()
+          .setTitle("📜 Audit Log")
+          .setDescription(shown.map(buildAuditLine).join("\n").slice(0, 4096))
+          .setFooter({
+            text:
+              events.length > shown.length
+                ? `Latest ${shown.length} of ${events.length} events — use format: CSV / JSON for all`
+                : `${events.length} event(s)`,
+          });
+
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      if (interaction.commandName === "permissions") {
+        // Only server Administrators hand out capabilities, so a role can't grant itself more
+        if (
+          !interaction.memberPermissions ||
+          !interaction.memberPermissions.has(PermissionsBitField.Flags.Administrator)
+        ) {
+          return interaction.reply({ content: "Administrators only.", ephemeral: true });
+        }
+
+        const guild = interaction.guild;
+        if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        const sub = interaction.options.getSubcommand();
+        if (sub === "end_early_confirm") {
+          const before = getEndEarlyConfirm(state);
+          const minutes = interaction.options.getInteger("expires_minutes");
+          state.endEarlyConfirm = {
+            required: interaction.options.getBoolean("required", true),
+            expiresMinutes: minutes || before.expiresMinutes,
+          };
+          saveGuildState(state);
+          recordAudit({
+            guildId: guild.id,
+            action: "permissions_updated",
+            actorId: interaction.user.id,
+            before: { endEarlyConfirm: before },
+            after: { endEarlyConfirm: state.endEarlyConfirm },
+          });
+        } else if (sub !== "show") {
+          const capability = interaction.options.getString("capability", true);
+          const before = { [capability]: getCapabilityRoleIds(state, capability) };
+          const permissions = { ...(state.permissions || {}) };
+
+          if (sub === "reset") {
+            delete permissions[capability];
+          } else {
+            const role = interaction.options.getRole("role", true);
+            const roles = new Set(getCapabilityRoleIds(state, capability));
+            if (sub === "grant") roles.add(role.id);
+            else roles.delete(role.id);
+            permissions[capability] = [...roles];
+          }
+
+          state.permissions = permissions;
+          saveGuildState(state);
+          recordAudit({
+            guildId: guild.id,
+            action: "permissions_updated",
+            actorId: interaction.user.id,
+            before,
+            after: { [capability]: getCapabilityRoleIds(state, capability) },
+          });
+        }
+
+        const lines = Object.entries(CAPABILITIES).map(([capability, label]) => {
+          const roles = getCapabilityRoleIds(state, capability);
+          const holders = roles.length ? roles.map((id) => `<@&${id}>`).join(", ") : "Administrators only";
+          return `**${label}** — ${holders}${state.permissions?.[capability] ? "" : " *(default)*"}`;
+        });
+        const confirm = getEndEarlyConfirm(state);
+        lines.push(
+          "",
+          confirm.required
+            ? `**Two-person End Early** — on; a proposal waits ${confirm.expiresMinutes} min for a second admin`
+            : "**Two-person End Early** — off"
+        );
+        const embed = new EmbedBuilder()
+          .setTitle("🔐 Permissions")
+          .setDescription(lines.join("\n"))
+          .setFooter({ text: "Members with the Administrator permission hold every capability." });
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      if (interaction.commandName === "reminders") {
+        if (!(await authorize(interaction, "configure", state))) return;
+
+        const guild = interaction.guild;
+        if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        if (interaction.options.getSubcommand() === "set") {
+          const hours = parseReminderHours(interaction.options.getString("hours", true));
+          if (!hours) {
+            return interaction.reply({
+              content: `Use comma-separated hours between 0 and ${MAX_DURATION_DAYS * 24}, e.g. \`24, 1\` (or \`none\`).`,
+              ephemeral: true,
+            });
+          }
+          if (hours.length > MAX_REMINDERS) {
+            return interaction.reply({ content: `At most ${MAX_REMINDERS} reminders.`, ephemeral: true });
+          }
+
+          const before = { reminderHours: state.reminderHours || [] };
+          state.reminderHours = hours;
+          saveGuildState(state);
+          recordAudit({
+            guildId: guild.id,
+            action: "reminders_updated",
+            actorId: interaction.user.id,
+            before,
+            after: { reminderHours: hours },
+          });
+          rescheduleGuildReminders(guild.id);
+        }
 
-  // Re-schedule timers after restart
-  try {
-    requests = readJson(REQUESTS_PATH, {});
-    const now = Date.now();
-    for (const [id, r] of Object.entries(requests)) {
-      if (isApprovedAndActive(r, now)) {
-        scheduleExpiry(id);
-      }
-      if (hasActiveBounty(r, now)) {
-        scheduleBountyExpiry(id);
+        const hours = state.reminderHours || [];
+        const description = hours.length
+          ? `Reminders go out ${hours.map((h) => `**${formatDuration(h * HOUR_MS)}**`).join(", ")} before a White Flag or bounty ends.\n\n` +
+            "• White Flags: DM to the requester + post in the admin channel\n" +
+            "• Bounties: post in the announce channel"
+          : "Reminders are off.";
+
+        const embed = new EmbedBuilder().setTitle("⏰ Expiry Reminders").setDescription(description);
+        return interaction.reply({ embeds: [embed], ephemeral: true });
       }
-    }
-  } catch (e) {
-    console.error("Failed to reschedule timers:", e);
-  }
-});
 
-bot.on("interactionCreate", async (interaction) => {
-  try {
-    // -------------------- Slash commands --------------------
-    if (interaction.isChatInputCommand()) {
-      if (interaction.commandName === "setup") {
-        // Admin check (server perms)
-        if (
-          !interaction.memberPermissions ||
-          !interaction.memberPermissions.has(PermissionsBitField.Flags.Administrator)
-        ) {
-          return interaction.reply({ content: "Admins only.", ephemeral: true });
-        }
+      if (interaction.commandName === "season") {
+        if (!(await authorize(interaction, "configure", state))) return;
 
         const guild = interaction.guild;
         if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
 
-        // Resolve options (all required by command definition)
-        const rulesChannel = interaction.options.getChannel("rules_channel");
-        const applyChannel = interaction.options.getChannel("apply_channel");
-        const adminChannel = interaction.options.getChannel("admin_channel");
-        const announceChannel = interaction.options.getChannel("announce_channel");
-        const adminRole = interaction.options.getRole("admin_role");
-        const openSeasonRole = interaction.options.getRole("open_season_role");
+        const sub = interaction.options.getSubcommand();
+        const active = store.getActiveSeason(guild.id);
 
-        if (![rulesChannel, applyChannel, adminChannel, announceChannel].every(isTextChannel)) {
-          return interaction.reply({
-            content: "All channels must be text channels.",
-            ephemeral: true,
-          });
+        if (sub === "list") {
+          const seasons = store.listSeasons(guild.id);
+          if (!seasons.length) {
+            return interaction.reply({ content: "No seasons yet. Start one with `/season start`.", ephemeral: true });
+          }
+
+          const lines = seasons.slice(0, 25).map((season) =>
+            season.endedAt
+              ? `• **${escapeMd(season.name)}** — ${fmtDiscordRelativeTime(season.startedAt)} to ` +
+                `${fmtDiscordRelativeTime(season.endedAt)} — ${season.archived ?? 0} record(s) archived`
+              : `• **${escapeMd(season.name)}** — running since ${fmtDiscordRelativeTime(season.startedAt)}`
+          );
+          const embed = new EmbedBuilder()
+            .setTitle("🗓️ Seasons")
+            .setDescription(lines.join("\n"))
+            .setFooter({ text: "Past seasons: /tribe history season:<name> • /audit log season:<name>" });
+          return interaction.reply({ embeds: [embed], ephemeral: true });
         }
-        if (!adminRole || !openSeasonRole) {
-          return interaction.reply({
-            content: "Admin role and Open Season role are required.",
-            ephemeral: true,
+
+        const announceCh = state.announceChannelId ? await safeFetchChannel(guild, state.announceChannelId) : null;
+
+        if (sub === "start") {
+          const name = interaction.options.getString("name", true).trim();
+          if (!name) return interaction.reply({ content: "Name can't be blank.", ephemeral: true });
+          if (active) {
+            return interaction.reply({
+              content: `**${escapeMd(active.name)}** is still running. End it with \`/season end\` first.`,
+              ephemeral: true,
+            });
+          }
+          if (store.findSeason(guild.id, name)) {
+            return interaction.reply({ content: "A season with that name already exists.", ephemeral: true });
+          }
+
+          const season = store.startSeason(guild.id, name);
+          state.eligibility = { ...getEligibility(state), wipeStartedAt: season.startedAt };
+          saveGuildState(state);
+          recordAudit({
+            guildId: guild.id,
+            action: "season_started",
+            actorId: interaction.user.id,
+            after: { name: season.name, startedAt: season.startedAt },
           });
-        }
 
-        // Ensure role for rules gate exists
-        const rulesAcceptedRole = await ensureRulesAcceptedRole(guild);
+          if (announceCh && isTextChannel(announceCh)) {
+            await announceCh.send(`🌱 **NEW SEASON** — **${escapeMd(season.name)}** has started. White Flag applications are open.`);
+          }
 
-        // Persist config
-        state.guildId = guild.id;
-        state.rulesChannelId = rulesChannel.id;
-        state.applyChannelId = applyChannel.id;
-        state.adminChannelId = adminChannel.id;
-        state.announceChannelId = announceChannel.id;
-        state.adminRoleId = adminRole.id;
-        state.openSeasonRoleId = openSeasonRole.id;
-        state.rulesAcceptedRoleId = rulesAcceptedRole.id;
+          return interaction.reply({ content: `✅ Started **${escapeMd(season.name)}**.`, ephemeral: true });
+        }
 
-        // Post panels
-        const rulesMsg = await rulesChannel.send({
-          embeds: [buildRulesEmbed()],
-          components: [buildRulesRow()],
-        });
+        if (sub === "end") {
+          const resetRules = interaction.options.getBoolean("reset_rules_role") === true;
+          await interaction.deferReply({ ephemeral: true });
 
-        const applyMsg = await applyChannel.send({
-          embeds: [buildApplyEmbed()],
-          components: [buildApplyRow()],
-        });
+          // Guilds that never ran /season start still get their records archived, under a dated season
+          const now = Date.now();
+          const oldest = store.findRequests({ guildId: guild.id }).pop();
+          const season =
+            active ||
+            store.startSeason(guild.id, `Before ${new Date(now).toISOString().slice(0, 10)}`, oldest?.requestedAt || now);
+
+          const ended = store.transaction(() => {
+            const result = store.endSeason(season.id, now);
+            recordAudit({
+              guildId: guild.id,
+              action: "season_ended",
+              at: now,
+              actorId: interaction.user.id,
+              before: { name: season.name, startedAt: season.startedAt },
+              after: { name: season.name, endedAt: now, archived: result.archived },
+            });
+            return result;
+          });
 
-        state.rulesMessageId = rulesMsg.id;
-        state.applyMessageId = applyMsg.id;
-        persist();
+          const removed = resetRules ? await resetRulesAcceptedRole(guild, state) : 0;
 
-        return interaction.reply({
-          content:
-            `✅ Setup complete.\n` +
-            `• Rules panel: <#${rulesChannel.id}>\n` +
-            `• Apply panel: <#${applyChannel.id}>\n` +
-            `• Admin review: <#${adminChannel.id}> (ping <@&${adminRole.id}>)\n` +
-            `• Open Season announcements: <#${announceChannel.id}> (ping <@&${openSeasonRole.id}>)\n` +
-            `• Rules gate role: <@&${rulesAcceptedRole.id}>`,
-          ephemeral: true,
-        });
-      }
+          if (announceCh && isTextChannel(announceCh)) {
+            await announceCh.send(
+              `🧹 **WIPE** — **${escapeMd(ended.name)}** has ended. All White Flags and bounties have been cleared.` +
+                (resetRules ? "\nEveryone needs to accept the rules again before applying." : "")
+            );
+          }
 
-      if (interaction.commandName === "rules") {
-        return interaction.reply({
-          embeds: [buildRulesEmbed()],
-          components: [buildRulesRow()],
-          ephemeral: true,
-        });
+          return interaction.editReply({
+            content:
+              `✅ Ended **${escapeMd(ended.name)}**: archived ${ended.archived} record(s) and cancelled their timers.` +
+              (resetRules ? ` Removed the Rules Accepted role from ${removed} member(s).` : ""),
+          });
+        }
       }
 
-      if (interaction.commandName === "whiteflags" && interaction.options.getSubcommand() === "active") {
-        // Admin-only (admin role or Administrator)
+      if (interaction.commandName === "eligibility") {
+        if (!(await authorize(interaction, "configure", state))) return;
+
         const guild = interaction.guild;
         if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
 
-        const member = await guild.members.fetch(interaction.user.id).catch(() => null);
-        const isAdminPerm =
-          member?.permissions?.has(PermissionsBitField.Flags.Administrator) ?? false;
-        const hasAdminRole = state.adminRoleId ? member?.roles?.cache?.has(state.adminRoleId) : false;
+        const sub = interaction.options.getSubcommand();
+        const policy = getEligibility(state);
+
+        if (sub === "set") {
+          const maxFlags = interaction.options.getInteger("max_flags_per_wipe");
+          const cooldownHours = interaction.options.getNumber("cooldown_hours");
+          const endedEarlyHours = interaction.options.getNumber("ended_early_block_hours");
+          const blockDuringBounty = interaction.options.getBoolean("block_during_bounty");
+
+          if (maxFlags === null && cooldownHours === null && endedEarlyHours === null && blockDuringBounty === null) {
+            return interaction.reply({ content: "Provide at least one rule to change.", ephemeral: true });
+          }
 
-        if (!isAdminPerm && !hasAdminRole) {
-          return interaction.reply({ content: "Admins only.", ephemeral: true });
+          if (maxFlags !== null) policy.maxFlagsPerWipe = maxFlags;
+          if (cooldownHours !== null) policy.cooldownHours = cooldownHours;
+          if (endedEarlyHours !== null) policy.endedEarlyBlockHours = endedEarlyHours;
+          if (blockDuringBounty !== null) policy.blockDuringBounty = blockDuringBounty;
         }
 
-        requests = readJson(REQUESTS_PATH, {});
-        const now = Date.now();
-        const active = Object.values(requests).filter((r) => isApprovedAndActive(r, now));
+        if (sub === "wipe") {
+          const date = parseDateInput(interaction.options.getString("date"));
+          if (Number.isNaN(date)) {
+            return interaction.reply({ content: "Use a date like `2024-05-01` (UTC).", ephemeral: true });
+          }
+          policy.wipeStartedAt = date ?? Date.now();
+        }
 
-        if (active.length === 0) {
-          return interaction.reply({ content: "No active White Flags right now.", ephemeral: true });
+        if (sub !== "show") {
+          const before = getEligibility(state);
+          state.eligibility = policy;
+          saveGuildState(state);
+          recordAudit({
+            guildId: guild.id,
+            action: "eligibility_updated",
+            actorId: interaction.user.id,
+            before,
+            after: policy,
+          });
         }
 
-        // Sort by end time soonest
-        active.sort((a, b) => (a.approvedAt + SEVEN_DAYS_MS) - (b.approvedAt + SEVEN_DAYS_MS));
+        const embed = new EmbedBuilder().setTitle("🚦 Eligibility Rules").setDescription(describeEligibility(state));
+        return interaction.reply({ embeds: [embed], ephemeral: true });
+      }
+
+      if (interaction.commandName === "durations") {
+        if (!(await authorize(interaction, "configure", state))) return;
+
+        const guild = interaction.guild;
+        if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        if (interaction.options.getSubcommand() === "set") {
+          const server = interaction.options.getString("server", true);
+          const flagDays = interaction.options.getNumber("flag_days");
+          const bountyDays = interaction.options.getNumber("bounty_days");
+
+          if (flagDays === null && bountyDays === null) {
+            return interaction.reply({
+              content: "Provide **flag_days** and/or **bounty_days**.",
+              ephemeral: true,
+            });
+          }
+
+          const serverType = findServerType(state, server);
+          if (!serverType) {
+            return interaction.reply({ content: "Unknown server type. See /servers list.", ephemeral: true });
+          }
+
+          const before = serverAuditSnapshot([serverType], DURATION_AUDIT_SETTINGS);
+          if (flagDays !== null) serverType.flagMs = Math.round(flagDays * DAY_MS);
+          if (bountyDays !== null) serverType.bountyMs = Math.round(bountyDays * DAY_MS);
+          saveGuildState(state);
+          recordAudit({
+            guildId: guild.id,
+            action: "durations_updated",
+            actorId: interaction.user.id,
+            before,
+            after: serverAuditSnapshot([serverType], DURATION_AUDIT_SETTINGS),
+          });
+
+          // Re-render the posted rules panel so it shows the new values
+          await refreshRulesPanel(guild, state).catch(() => null);
+        }
 
-        const lines = active.map((r) => {
-          const endsAt = r.approvedAt + SEVEN_DAYS_MS;
-          const server = escapeMd(r.serverType || r.cluster || "N/A");
-          return `• **${escapeMd(r.tribeName)}** — IGN: **${escapeMd(r.ign)}** — Server: **${server}** — Ends ${fmtDiscordRelativeTime(endsAt)} (ID: \`${r.id}\`)`;
+        const lines = state.serverTypes.map((t) => {
+          const d = getDurations(guild.id, t.key, state);
+          return `• **${escapeMd(t.label)}** — White Flag: **${formatDuration(d.flagMs)}**, Bounty: **${formatDuration(d.bountyMs)}**`;
         });
 
         const embed = new EmbedBuilder()
-          .setTitle(`🏳️ Active White Flags (${active.length})`)
-          .setDescription(lines.join("\n").slice(0, 3900)); // keep under embed limits
+          .setTitle("⏱️ White Flag / Bounty Durations")
+          .setDescription(lines.join("\n"))
+          .setFooter({ text: "Changes apply to new approvals and bounties; running timers keep their end time." });
 
         return interaction.reply({ embeds: [embed], ephemeral: true });
       }
-    }
-      if (interaction.commandName === "bounties" && interaction.options.getSubcommand() === "active") {
+
+      if (interaction.commandName === "whiteflag" && interaction.options.getSubcommand() === "lookup") {
         const guild = interaction.guild;
         if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
 
-        const member = await guild.members.fetch(interaction.user.id).catch(() => null);
-        const isAdminPerm =
-          member?.permissions?.has(PermissionsBitField.Flags.Administrator) ?? false;
-        const hasAdminRole = state.adminRoleId ? member?.roles?.cache?.has(state.adminRoleId) : false;
+        if (!(await authorize(interaction, "review", state))) return;
 
-        if (!isAdminPerm && !hasAdminRole) {
-          return interaction.reply({ content: "Admins only.", ephemeral: true });
+        const target = getGuildRequest(guild.id, interaction.options.getString("id", true).trim());
+        if (!target) return interaction.reply({ content: "Request not found.", ephemeral: true });
+
+        await interaction.deferReply({ ephemeral: true });
+        const req = await runGameLookup(guild, target.id);
+        if (!req) {
+          return interaction.editReply({
+            content: `No RCON set for **${escapeMd(target.serverType || "this server")}**. See \`/rcon set\`.`,
+          });
         }
+        return interaction.editReply({ embeds: [buildAdminReviewEmbed(req)] });
+      }
 
-        requests = readJson(REQUESTS_PATH, {});
-        const now = Date.now();
-        const active = Object.values(requests).filter((r) => hasActiveBounty(r, now));
+      if (interaction.commandName === "whiteflag" && interaction.options.getSubcommand() === "extend") {
+        const guild = interaction.guild;
+        if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
 
-        if (active.length === 0) {
-          return interaction.reply({ content: "No active bounties right now.", ephemeral: true });
-        }
+        if (!(await authorize(interaction, "review", state))) return;
 
-        active.sort((a, b) => a.bounty.endsAt - b.bounty.endsAt);
+        const requestId = interaction.options.getString("id", true).trim();
+        const hours = interaction.options.getNumber("hours", true);
+        // Editing the review message can outlast Discord's 3 s reply window
+        await interaction.deferReply({ ephemeral: true });
+        const { req, error } = extendFlag(guild.id, requestId, hours, interaction.user.id);
+        if (error) return interaction.editReply({ content: `❌ ${error}` });
 
-        const lines = active.map((r) => {
-          const server = escapeMd(r.serverType || r.cluster || "N/A");
-          return `• **${escapeMd(r.tribeName)}** — IGN: **${escapeMd(r.ign)}** — Server: **${server}** — Ends ${fmtDiscordRelativeTime(r.bounty.endsAt)} (ID: \`${r.id}\`)`;
+        const change = await announceFlagExtension(guild, req, hours);
+        return interaction.editReply({
+          content: `✅ White Flag for **${escapeMd(req.tribeName)}** ${change}; now ends ${fmtDiscordDateTime(req.endsAt)}.`,
         });
+      }
 
-        const embed = new EmbedBuilder()
-          .setTitle(`🎯 Active Bounties (${active.length})`)
-          .setDescription(lines.join("\n").slice(0, 3900));
+      if (interaction.commandName === "whiteflags") {
+        const guild = interaction.guild;
+        if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        if (!(await authorize(interaction, "review", state))) return;
+
+        const view = interaction.options.getSubcommand() === "pending" ? "pending" : "flags";
+        return interaction.reply({ ...buildListPage(guild.id, readListQuery(interaction, view)), ephemeral: true });
+      }
+    }
+      if (interaction.commandName === "bounties" && interaction.options.getSubcommand() === "leaderboard") {
+        const guild = interaction.guild;
+        if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
 
+        const seasonRef = interaction.options.getString("season");
+        const season = seasonRef ? store.findSeason(guild.id, seasonRef) : null;
+        if (seasonRef && !season) {
+          return interaction.reply({ content: "Unknown season. See `/season list`.", ephemeral: true });
+        }
+
+        // The running season's records haven't been archived yet
+        const embed = buildBountyLeaderboard(guild.id, season?.endedAt ? season : null);
         return interaction.reply({ embeds: [embed], ephemeral: true });
       }
 
+      if (interaction.commandName === "bounties" && interaction.options.getSubcommand() === "active") {
+        const guild = interaction.guild;
+        if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        if (!(await authorize(interaction, "bounties", state))) return;
+
+        return interaction.reply({ ...buildListPage(guild.id, readListQuery(interaction, "bounties")), ephemeral: true });
+      }
+
       // -------------------- Bounty control --------------------
       if (interaction.commandName === "bounty") {
         const guild = interaction.guild;
         if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
 
-        const member = await guild.members.fetch(interaction.user.id).catch((e) => null);
-        const isAdminPerm =
-          member?.permissions?.has(PermissionsBitField.Flags.Administrator) ?? false;
-        const hasAdminRole = state.adminRoleId ? member?.roles?.cache?.has(state.adminRoleId) : false;
-
-        if (!isAdminPerm && !hasAdminRole) {
-          return interaction.reply({ content: "Admins only.", ephemeral: true });
-        }
+        if (!(await authorize(interaction, "bounties", state))) return;
 
         const sub = interaction.options.getSubcommand();
-        requests = readJson(REQUESTS_PATH, {});
 
         if (sub === "add") {
           const tribe = interaction.options.getString("tribe", true).trim();
           const ign = (interaction.options.getString("ign") || "").trim();
           const server = (interaction.options.getString("server") || "").trim();
           const reason = (interaction.options.getString("reason") || "").trim();
+          const tierOpt = interaction.options.getString("tier");
+          const reward = (interaction.options.getString("reward") || "").trim();
 
-          const existing = getActiveBountyForTribe(tribe);
+          const existing = getActiveBountyForTribe(guild.id, tribe);
           const now = Date.now();
+          const { bountyMs } = getDurations(guild.id, server || existing?.serverType, state);
 
           if (existing) {
+            const before = auditSnapshot(existing);
+            // Each refresh without an explicit tier bumps the bounty one tier
+            const prevTier = getBountyTier(existing.bounty);
+            const tier = tierOpt || escalateBountyTier(prevTier);
             existing.bounty = {
               ...existing.bounty,
               active: true,
               startedAt: existing.bounty.startedAt || now,
-              endsAt: now + TWO_WEEKS_MS,
+              endsAt: now + bountyMs,
               startedBy: existing.bounty.startedBy || interaction.user.id,
               refreshedAt: now,
               refreshedBy: interaction.user.id,
+              refreshCount: (existing.bounty.refreshCount || 0) + 1,
               reason: reason || existing.bounty.reason || "Manual bounty refresh.",
+              tier,
+              reward: reward || existing.bounty.reward || "",
             };
             if (ign) existing.ign = ign;
             if (server) existing.serverType = server;
 
-            requests[existing.id] = existing;
-            persist();
+            store.saveRequest(existing);
+            recordAudit({
+              guildId: guild.id,
+              action: "bounty_refreshed",
+              actorId: interaction.user.id,
+              req: existing,
+              before,
+              reason: reason || null,
+            });
 
             scheduleBountyExpiry(existing.id);
 
+            const escalated = BOUNTY_TIERS.indexOf(tier) > BOUNTY_TIERS.indexOf(prevTier);
+            if (escalated) {
+              const announceCh = await safeFetchChannel(guild, state.announceChannelId);
+              if (announceCh && isTextChannel(announceCh)) {
+                await closeBountyAnnouncement(guild, existing);
+                await sendBountyAnnouncement(
+                  announceCh,
+                  existing,
+                  `⏫ **BOUNTY ESCALATED** — **${escapeMd(existing.tribeName)}** (IGN: **${escapeMd(
+                    existing.ign
+                  )}**, Server: **${escapeMd(existing.serverType || existing.cluster || "N/A")}**) — ends ${fmtDiscordRelativeTime(
+                    existing.bounty.endsAt
+                  )}.\n${formatBountyTerms(existing.bounty)}`
+                );
+              }
+            }
+
             return interaction.reply({
               content:
-                `✅ Refreshed bounty for **${escapeMd(tribe)}**. Ends ${fmtDiscordRelativeTime(existing.bounty.endsAt)} (ID: \`${existing.id}\`).`,
+                `✅ Refreshed bounty for **${escapeMd(tribe)}**. Ends ${fmtDiscordRelativeTime(existing.bounty.endsAt)} (ID: \`${existing.id}\`).` +
+                `\n${formatBountyTerms(existing.bounty)}`,
               ephemeral: true,
             });
           }
@@ -860,6 +4062,7 @@ bot.on("interactionCreate", async (interaction) => {
           const id = newRequestId();
           const record = {
             id,
+            guildId: guild.id,
             status: "bounty_only",
             tribeName: tribe,
             ign: ign || "N/A",
@@ -870,30 +4073,41 @@ bot.on("interactionCreate", async (interaction) => {
             bounty: {
               active: true,
               startedAt: now,
-              endsAt: now + TWO_WEEKS_MS,
+              endsAt: now + bountyMs,
               startedBy: interaction.user.id,
               reason: reason || "Manual bounty created.",
+              tier: tierOpt || BOUNTY_TIERS[0],
+              reward,
             },
           };
 
-          requests[id] = record;
-          persist();
+          store.saveRequest(record);
+          recordAudit({
+            guildId: guild.id,
+            action: "bounty_added",
+            actorId: interaction.user.id,
+            req: record,
+            reason: reason || null,
+          });
           scheduleBountyExpiry(id);
 
           const announceCh = await safeFetchChannel(guild, state.announceChannelId);
           if (announceCh && isTextChannel(announceCh)) {
-            await announceCh.send(
+            await sendBountyAnnouncement(
+              announceCh,
+              record,
               `🎯 **BOUNTY ACTIVE** — **${escapeMd(record.tribeName)}** (IGN: **${escapeMd(
                 record.ign
               )}**, Server: **${escapeMd(record.serverType)}**) — ends ${fmtDiscordRelativeTime(
                 record.bounty.endsAt
-              )}.`
+              )}.\n${formatBountyTerms(record.bounty)}`
             );
           }
 
           return interaction.reply({
             content:
-              `✅ Bounty added for **${escapeMd(record.tribeName)}**. Ends ${fmtDiscordRelativeTime(record.bounty.endsAt)} (ID: \`${id}\`).`,
+              `✅ Bounty added for **${escapeMd(record.tribeName)}**. Ends ${fmtDiscordRelativeTime(record.bounty.endsAt)} (ID: \`${id}\`).` +
+              `\n${formatBountyTerms(record.bounty)}`,
             ephemeral: true,
           });
         }
@@ -910,23 +4124,23 @@ bot.on("interactionCreate", async (interaction) => {
           }
 
           let target = null;
-          if (id) target = requests[id] || null;
-          if (!target && tribe) target = getActiveBountyForTribe(tribe);
+          if (id) target = getGuildRequest(guild.id, id);
+          if (!target && tribe) target = getActiveBountyForTribe(guild.id, tribe);
 
           if (!target || !target.bounty || !target.bounty.active) {
             return interaction.reply({ content: "No active bounty found for that input.", ephemeral: true });
           }
 
-          const t = activeBountyTimeouts.get(target.id);
-          if (t) clearTimeout(t);
-          activeBountyTimeouts.delete(target.id);
+          scheduler.cancel(`bounty_expiry:${target.id}`);
 
+          const before = auditSnapshot(target);
           target.bounty.active = false;
           target.bounty.removedAt = Date.now();
           target.bounty.removedBy = interaction.user.id;
 
-          requests[target.id] = target;
-          persist();
+          store.saveRequest(target);
+          recordAudit({ guildId: guild.id, action: "bounty_removed", actorId: interaction.user.id, req: target, before });
+          scheduleReminders(target.id);
 
           const announceCh = await safeFetchChannel(guild, state.announceChannelId);
           if (announceCh && isTextChannel(announceCh)) {
@@ -934,6 +4148,7 @@ bot.on("interactionCreate", async (interaction) => {
               `🛑 **BOUNTY REMOVED** — **${escapeMd(target.tribeName)}** (ID: \`${target.id}\`).`
             );
           }
+          await closeBountyAnnouncement(guild, target);
 
           return interaction.reply({
             content: `✅ Removed bounty for **${escapeMd(target.tribeName)}** (ID: \`${target.id}\`).`,
@@ -947,25 +4162,148 @@ bot.on("interactionCreate", async (interaction) => {
         const guild = interaction.guild;
         if (!guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
 
-        const member = await guild.members.fetch(interaction.user.id).catch((e) => null);
-        const isAdminPerm =
-          member?.permissions?.has(PermissionsBitField.Flags.Administrator) ?? false;
-        const hasAdminRole = state.adminRoleId ? member?.roles?.cache?.has(state.adminRoleId) : false;
+        const group = interaction.options.getSubcommandGroup(false);
+        const sub = interaction.options.getSubcommand();
+
+        // Reading intel is its own capability; registry edits go with reviewing (duplicates surface on review)
+        const editsRegistry = sub === "rename" || group === "alias" || group === "member";
+        if (!(await authorize(interaction, editsRegistry ? "review" : "intel", state))) return;
 
-        if (!isAdminPerm && !hasAdminRole) {
-          return interaction.reply({ content: "Admins only.", ephemeral: true });
+        if (sub === "record") {
+          const id = interaction.options.getString("id", true).trim();
+          const archived = store.getArchivedRequest(id);
+          const record = getGuildRequest(guild.id, id) || (archived?.guildId === guild.id ? archived : null);
+          if (!record) {
+            return interaction.reply({ content: "No record found with that ID.", ephemeral: true });
+          }
+          return interaction.reply({ embeds: [buildRecordDetailEmbed(record)], ephemeral: true });
+        }
+
+        if (group === "alias" && sub === "remove") {
+          const alias = interaction.options.getString("alias", true).trim();
+          const tribe = store.resolveTribe(guild.id, alias);
+          if (!tribe) return interaction.reply({ content: "No tribe uses that name.", ephemeral: true });
+          if (normalizeTribeName(alias) === normalizeTribeName(tribe.name)) {
+            return interaction.reply({
+              content: "That's the tribe's canonical name. Use `/tribe rename` first.",
+              ephemeral: true,
+            });
+          }
+
+          const result = store.removeTribeAlias(guild.id, alias);
+          if (result === "in_use") {
+            return interaction.reply({
+              content: `Records were filed under **${escapeMd(alias)}**, so it stays an alias of **${escapeMd(tribe.name)}**.`,
+              ephemeral: true,
+            });
+          }
+
+          recordAudit({
+            guildId: guild.id,
+            action: "tribe_updated",
+            actorId: interaction.user.id,
+            tribeName: tribe.name,
+            before: tribeAuditSnapshot(tribe),
+            after: tribeAuditSnapshot(store.getTribe(tribe.id)),
+          });
+          return interaction.reply({
+            content: `✅ Removed alias **${escapeMd(alias)}** from **${escapeMd(tribe.name)}**.`,
+            ephemeral: true,
+          });
         }
 
-        const sub = interaction.options.getSubcommand();
         const tribe = interaction.options.getString("tribe", true).trim();
+        const registered = store.resolveTribe(guild.id, tribe);
+
+        if (sub === "rename" || group === "alias" || group === "member") {
+          if (!registered) return interaction.reply({ content: "No tribe uses that name.", ephemeral: true });
+        }
+
+        if (sub === "rename" || (group === "alias" && sub === "add")) {
+          const name = interaction.options.getString(sub === "rename" ? "name" : "alias", true).trim();
+          if (!name) return interaction.reply({ content: "Name can't be blank.", ephemeral: true });
+
+          const merged = store.transaction(() => {
+            const absorbed = store.addTribeAlias(registered.id, name);
+            if (sub === "rename") store.saveTribe({ ...store.getTribe(registered.id), name });
+            return absorbed;
+          });
+          const updated = store.getTribe(registered.id);
+
+          if (merged) {
+            recordAudit({
+              guildId: guild.id,
+              action: "tribe_merged",
+              actorId: interaction.user.id,
+              tribeName: updated.name,
+              reason: `${merged.name} (${merged.id}) merged into ${updated.name} (${updated.id})`,
+              before: tribeAuditSnapshot(registered),
+              after: tribeAuditSnapshot(updated),
+            });
+          } else {
+            recordAudit({
+              guildId: guild.id,
+              action: "tribe_updated",
+              actorId: interaction.user.id,
+              tribeName: updated.name,
+              before: tribeAuditSnapshot(registered),
+              after: tribeAuditSnapshot(updated),
+            });
+          }
+
+          const notes = [
+            sub === "rename"
+              ? `✅ **${escapeMd(registered.name)}** is now called **${escapeMd(updated.name)}**.`
+              : `✅ **${escapeMd(name)}** is now an alias of **${escapeMd(updated.name)}**.`,
+          ];
+          if (merged) {
+            notes.push(`🔗 Merged **${escapeMd(merged.name)}** (\`${merged.id}\`): its records, aliases and members moved over.`);
+            const now = Date.now();
+            const records = store.findRequests({ guildId: guild.id, tribeId: updated.id });
+            if (records.filter((r) => isApprovedAndActive(r, now)).length > 1) {
+              notes.push("⚠️ The merged tribe now has more than one active White Flag — review them with `/tribe status`.");
+            }
+          }
+          return interaction.reply({ content: notes.join("\n"), ephemeral: true });
+        }
+
+        if (group === "member") {
+          const user = interaction.options.getUser("user");
+          const ign = interaction.options.getString("ign")?.trim() || null;
+          if (!user && !ign) {
+            return interaction.reply({ content: "Provide a **user** and/or an **ign**.", ephemeral: true });
+          }
+
+          const userIds = new Set(registered.userIds || []);
+          let igns = [...(registered.igns || [])];
+          if (sub === "add") {
+            if (user) userIds.add(user.id);
+            if (ign && !igns.some((i) => i.toLowerCase() === ign.toLowerCase())) igns.push(ign);
+          } else {
+            if (user) userIds.delete(user.id);
+            if (ign) igns = igns.filter((i) => i.toLowerCase() !== ign.toLowerCase());
+          }
+
+          const updated = store.saveTribe({ ...registered, userIds: [...userIds], igns });
+          recordAudit({
+            guildId: guild.id,
+            action: "tribe_updated",
+            actorId: interaction.user.id,
+            tribeName: updated.name,
+            before: tribeAuditSnapshot(registered),
+            after: tribeAuditSnapshot(updated),
+          });
+
+          const embed = new EmbedBuilder()
+            .setTitle(`👥 Tribe Members — ${escapeMd(updated.name)}`)
+            .setDescription(buildTribeInfoLines(updated).join("\n"));
+          return interaction.reply({ embeds: [embed], ephemeral: true });
+        }
 
-        requests = readJson(REQUESTS_PATH, {});
-        const key = normalizeTribeName(tribe);
         const now = Date.now();
 
-        const entries = Object.values(requests)
-          .filter((r) => normalizeTribeName(r?.tribeName) === key)
-          .sort((a, b) => (b.requestedAt || 0) - (a.requestedAt || 0));
+        // Newest first
+        const entries = store.findRequests({ guildId: guild.id, tribeName: tribe });
 
         const activeWf = entries.find((r) => isApprovedAndActive(r, now)) || null;
         const activeB = entries.find((r) => hasActiveBounty(r, now)) || null;
@@ -975,7 +4313,7 @@ bot.on("interactionCreate", async (interaction) => {
 
           if (activeWf) {
             lines.push(
-              `🏳️ **White Flag:** ACTIVE — ends ${fmtDiscordRelativeTime(activeWf.approvedAt + SEVEN_DAYS_MS)} (ID: \`${activeWf.id}\`)`
+              `🏳️ **White Flag:** ACTIVE — ends ${fmtDiscordRelativeTime(getFlagEndsAt(activeWf))} (ID: \`${activeWf.id}\`)`
             );
           } else {
             lines.push("🏳️ **White Flag:** none active");
@@ -983,49 +4321,37 @@ bot.on("interactionCreate", async (interaction) => {
 
           if (activeB) {
             lines.push(
-              `🎯 **Bounty:** ACTIVE — ends ${fmtDiscordRelativeTime(activeB.bounty.endsAt)} (ID: \`${activeB.id}\`)`
+              `🎯 **Bounty:** ACTIVE — ends ${fmtDiscordRelativeTime(activeB.bounty.endsAt)} (ID: \`${activeB.id}\`)`,
+              `   ${formatBountyTerms(activeB.bounty)}`
             );
           } else {
             lines.push("🎯 **Bounty:** none active");
           }
 
+          if (registered) lines.push("", ...buildTribeInfoLines(registered));
+
           const embed = new EmbedBuilder()
-            .setTitle(`🔎 Tribe Status — ${escapeMd(tribe)}`)
+            .setTitle(`🔎 Tribe Status — ${escapeMd(registered?.name || tribe)}`)
             .setDescription(lines.join("\n"));
 
           return interaction.reply({ embeds: [embed], ephemeral: true });
         }
 
         if (sub === "history") {
-          if (entries.length === 0) {
-            return interaction.reply({ content: "No records found for that tribe.", ephemeral: true });
+          const page = (interaction.options.getInteger("page") || 1) - 1;
+          const seasonRef = interaction.options.getString("season");
+          const season = seasonRef ? store.findSeason(guild.id, seasonRef) : null;
+          if (seasonRef && !season) {
+            return interaction.reply({ content: "Unknown season. See `/season list`.", ephemeral: true });
           }
 
-          const recent = entries.slice(0, 10);
-          const lines = recent.map((r) => {
-            const server = escapeMd(r.serverType || r.cluster || "N/A");
-            const status = escapeMd(r.status || "unknown");
-            const when = r.requestedAt ? fmtDiscordRelativeTime(r.requestedAt) : "N/A";
-
-            const wfPart =
-              r.status === "approved" && r.approvedAt
-                ? ` — WF ends ${fmtDiscordRelativeTime(r.approvedAt + SEVEN_DAYS_MS)}`
-                : "";
-
-            const bountyPart = r.bounty
-              ? ` — Bounty ${r.bounty.active ? "ACTIVE" : "inactive"} (ends ${
-                  r.bounty.endsAt ? fmtDiscordRelativeTime(r.bounty.endsAt) : "N/A"
-                })`
-              : "";
-
-            return `• \`${r.id}\` — **${status}** — Server: **${server}** — requested ${when}${wfPart}${bountyPart}`;
-          });
-
-          const embed = new EmbedBuilder()
-            .setTitle(`📚 Tribe History — ${escapeMd(tribe)}`)
-            .setDescription(lines.join("\n").slice(0, 3900));
+          // The running season's records haven't been archived yet
+          const view = buildTribeHistoryPage(guild.id, tribe, page, season?.endedAt ? season : null);
+          if (!view) {
+            return interaction.reply({ content: "No records found for that tribe.", ephemeral: true });
+          }
 
-          return interaction.reply({ embeds: [embed], ephemeral: true });
+          return interaction.reply({ ...view, ephemeral: true });
         }
       }
 
@@ -1073,8 +4399,55 @@ bot.on("interactionCreate", async (interaction) => {
         });
       }
 
+      // Appeal (button in the denial / end-early DM, so there may be no guild)
+      if (interaction.customId.startsWith(CID.APPEAL_OPEN_PREFIX)) {
+        const req = store.getRequest(interaction.customId.slice(CID.APPEAL_OPEN_PREFIX.length));
+        const blocker = getAppealBlocker(req, interaction.user.id);
+        if (blocker) return interaction.reply({ content: blocker, ephemeral: true });
+        return interaction.showModal(buildAppealModal(req));
+      }
+
+      // Claim Bounty (button on the BOUNTY ACTIVE announcement)
+      if (interaction.customId.startsWith(CID.BOUNTY_CLAIM_PREFIX)) {
+        if (!interaction.guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        const req = getGuildRequest(interaction.guildId, interaction.customId.slice(CID.BOUNTY_CLAIM_PREFIX.length));
+        const blocker = getClaimBlocker(req, interaction.user.id);
+        if (blocker) return interaction.reply({ content: blocker, ephemeral: true });
+        return interaction.showModal(buildClaimModal(req));
+      }
+
+      // /whiteflags active|pending and /bounties active paging
+      if (interaction.customId.startsWith(CID.LIST_PAGE_PREFIX)) {
+        if (!interaction.guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        const query = parseListPageCustomId(interaction.customId);
+        if (!query) return interaction.reply({ content: "This list is out of date. Run the command again.", ephemeral: true });
+        if (!(await authorize(interaction, LIST_VIEWS[query.view].capability, state))) return;
+        return interaction.update(buildListPage(interaction.guild.id, query));
+      }
+
+      // /tribe history paging
+      if (interaction.customId.startsWith(CID.TRIBE_HISTORY_PAGE_PREFIX)) {
+        if (!interaction.guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        if (!(await authorize(interaction, "intel", state))) return;
+
+        const [pageRef, seasonRef, ...keyParts] = interaction.customId
+          .slice(CID.TRIBE_HISTORY_PAGE_PREFIX.length)
+          .split(":");
+        const page = Number(pageRef) || 0;
+        const season = seasonRef ? store.findSeason(interaction.guild.id, seasonRef) : null;
+
+        const view = buildTribeHistoryPage(interaction.guild.id, keyParts.join(":"), page, season);
+        if (!view) return interaction.reply({ content: "No records found for that tribe.", ephemeral: true });
+
+        return interaction.update(view);
+      }
+
       // Apply open -> show modal (only if rules accepted + no pending request)
-      if (interaction.customId === CID.APPLY_OPEN_25 || interaction.customId === CID.APPLY_OPEN_100) {
+      const applyServerKey = serverKeyFromCustomId(interaction.customId, CID.APPLY_OPEN_PREFIX);
+      if (applyServerKey) {
         if (!interaction.guild) {
           return interaction.reply({ content: "Guild only.", ephemeral: true });
         }
@@ -1085,13 +4458,15 @@ bot.on("interactionCreate", async (interaction) => {
           });
         }
 
-        const serverType =
-          interaction.customId === CID.APPLY_OPEN_25 ? "25x PVP" : "100x PVP Chaos";
-        const modalId =
-          interaction.customId === CID.APPLY_OPEN_25 ? CID.APPLY_MODAL_25 : CID.APPLY_MODAL_100;
+        const server = findServerType(state, applyServerKey);
+        if (!server) {
+          return interaction.reply({
+            content: "That server is no longer accepting applications.",
+            ephemeral: true,
+          });
+        }
 
-        requests = readJson(REQUESTS_PATH, {});
-        const pending = getPendingRequestForUser(interaction.user.id);
+        const pending = getPendingRequestForUser(interaction.guildId, interaction.user.id);
         if (pending) {
           return interaction.reply({
             content: "You already have a pending White Flag application. Please wait for admin review.",
@@ -1106,50 +4481,36 @@ bot.on("interactionCreate", async (interaction) => {
 
         if (!member.roles.cache.has(state.rulesAcceptedRoleId)) {
           return interaction.reply({
-            content: "You must read and accept the White Flag rules before submitting an application.",
-            ephemeral: true,
-          });
-        }
-
-        const modal = new ModalBuilder()
-          .setCustomId(modalId)
-          .setTitle(`White Flag Application — ${serverType}`);
-
-        const ign = new TextInputBuilder()
-          .setCustomId("ign")
-          .setLabel("IGN")
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true)
-          .setMaxLength(64);
-
-        const tribe = new TextInputBuilder()
-          .setCustomId("tribe")
-          .setLabel("Tribe Name")
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true)
-          .setMaxLength(64);
-
-        const map = new TextInputBuilder()
-          .setCustomId("map")
-          .setLabel("Map")
-          .setStyle(TextInputStyle.Short)
-          .setRequired(true)
-          .setMaxLength(64);
+            content: "You must read and accept the White Flag rules before submitting an application.",
+            ephemeral: true,
+          });
+        }
 
-        modal.addComponents(
-          new ActionRowBuilder().addComponents(ign),
-          new ActionRowBuilder().addComponents(tribe),
-          new ActionRowBuilder().addComponents(map)
-        );
+        // The tribe isn't typed yet; check the one this user last applied for (the modal re-checks)
+        const lastApplication = store
+          .findRequests({ guildId: interaction.guildId, requestedBy: interaction.user.id })
+          .find((r) => r.status !== "bounty_only");
+        if (lastApplication) {
+          const blocks = getEligibilityBlocks(interaction.guildId, lastApplication.tribeName, state);
+          if (blocks.length) {
+            return interaction.reply({ content: formatEligibilityBlocks(lastApplication.tribeName, blocks), ephemeral: true });
+          }
+        }
 
-        return interaction.showModal(modal);
+        return interaction.showModal(buildApplyModal(server));
       }
 
       // Admin actions
       if (
         interaction.customId.startsWith(CID.ADMIN_APPROVE_PREFIX) ||
         interaction.customId.startsWith(CID.ADMIN_DENY_PREFIX) ||
-        interaction.customId.startsWith(CID.ADMIN_END_EARLY_PREFIX)
+        interaction.customId.startsWith(CID.ADMIN_END_EARLY_PREFIX) ||
+        interaction.customId.startsWith(CID.ADMIN_EXTEND_PREFIX) ||
+        interaction.customId.startsWith(CID.APPEAL_UPHOLD_PREFIX) ||
+        interaction.customId.startsWith(CID.APPEAL_OVERTURN_PREFIX) ||
+        interaction.customId.startsWith(CID.CLAIM_VERIFY_PREFIX) ||
+        interaction.customId.startsWith(CID.CLAIM_REJECT_PREFIX) ||
+        interaction.customId.startsWith(CID.VIOLATION_DISMISS_PREFIX)
       ) {
         if (!interaction.guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
 
@@ -1161,25 +4522,133 @@ bot.on("interactionCreate", async (interaction) => {
           });
         }
 
-        // Permission check: must have admin role OR Administrator permission
-        const member = await interaction.guild.members
-          .fetch(interaction.user.id)
-          .catch(() => null);
-        const isAdminPerm =
-          member?.permissions?.has(PermissionsBitField.Flags.Administrator) ?? false;
-        const hasAdminRole = state.adminRoleId ? member?.roles?.cache?.has(state.adminRoleId) : false;
-
-        if (!isAdminPerm && !hasAdminRole) {
-          return interaction.reply({ content: "Admins only.", ephemeral: true });
+        // Approve / Deny / Extend / appeals are reviewing; raid alerts are decided by whoever may end early
+        const id = interaction.customId;
+        let capability = "review";
+        if (id.startsWith(CID.ADMIN_END_EARLY_PREFIX) || id.startsWith(CID.VIOLATION_DISMISS_PREFIX)) {
+          capability = "end_early";
+        } else if (id.startsWith(CID.CLAIM_VERIFY_PREFIX) || id.startsWith(CID.CLAIM_REJECT_PREFIX)) {
+          capability = "bounties";
         }
+        if (!(await authorize(interaction, capability, state))) return;
 
         const requestId = interaction.customId.split(":")[1];
-        requests = readJson(REQUESTS_PATH, {});
-        const req = requests[requestId];
+        const req = getGuildRequest(interaction.guildId, requestId);
         if (!req) {
           return interaction.reply({ content: "Request not found (maybe already handled).", ephemeral: true });
         }
 
+        // Raid alert: Dismiss closes it without touching the White Flag (End Early is the usual button)
+        if (interaction.customId.startsWith(CID.VIOLATION_DISMISS_PREFIX)) {
+          const violation = getViolation(req, interaction.customId.split(":")[2]);
+          if (!violation) return interaction.reply({ content: "Alert not found.", ephemeral: true });
+          if (violation.status !== "open") {
+            return interaction.reply({ content: `Already ${violation.status}.`, ephemeral: true });
+          }
+
+          violation.status = "dismissed";
+          violation.decidedBy = interaction.user.id;
+          violation.decidedAt = Date.now();
+          store.saveRequest(req);
+          recordAudit({
+            guildId: req.guildId,
+            action: "violation_dismissed",
+            actorId: interaction.user.id,
+            req,
+            reason: `Alert ${violation.id} (${violation.count} destroyed)`,
+          });
+
+          return interaction.update({
+            content: interaction.message.content,
+            embeds: [buildViolationEmbed(req, violation)],
+            components: [buildViolationRow(req, violation)],
+          });
+        }
+
+        // Bounty claim: Verify closes the bounty, Reject just closes the claim
+        if (
+          interaction.customId.startsWith(CID.CLAIM_VERIFY_PREFIX) ||
+          interaction.customId.startsWith(CID.CLAIM_REJECT_PREFIX)
+        ) {
+          const verify = interaction.customId.startsWith(CID.CLAIM_VERIFY_PREFIX);
+          const claim = getClaim(req, interaction.customId.split(":")[2]);
+          if (!claim) return interaction.reply({ content: "Claim not found.", ephemeral: true });
+          if (claim.status !== "pending") {
+            return interaction.reply({ content: `Already ${claim.status}.`, ephemeral: true });
+          }
+          if (verify && req.bounty.claimedBy) {
+            return interaction.reply({
+              content: `This bounty was already claimed by **${escapeMd(req.bounty.claimedBy.tribeName)}**. Reject this claim instead.`,
+              ephemeral: true,
+            });
+          }
+          if (verify && req.bounty.removedAt) {
+            return interaction.reply({ content: "This bounty was removed, so it can't be claimed.", ephemeral: true });
+          }
+          if (verify && !hasActiveBounty(req)) {
+            return interaction.reply({ content: "This bounty has expired, so it can't be claimed.", ephemeral: true });
+          }
+
+          const now = Date.now();
+          const before = auditSnapshot(req);
+          claim.status = verify ? "verified" : "rejected";
+          claim.reviewedBy = interaction.user.id;
+          claim.reviewedAt = now;
+
+          if (verify) {
+            const hunter = store.ensureTribe(req.guildId, claim.hunterTribe);
+            req.bounty.active = false;
+            req.bounty.claimedAt = now;
+            req.bounty.claimedBy = { tribeId: hunter.id, tribeName: hunter.name, userId: claim.userId, claimId: claim.id };
+          }
+
+          store.saveRequest(req);
+          recordAudit({
+            guildId: req.guildId,
+            action: verify ? "bounty_claimed" : "bounty_claim_rejected",
+            actorId: interaction.user.id,
+            req,
+            before,
+            reason: `${claim.hunterTribe} (claim ${claim.id} by ${claim.userId})`,
+          });
+
+          if (verify) {
+            scheduler.cancel(`bounty_expiry:${req.id}`);
+            scheduleReminders(req.id);
+          }
+
+          await interaction.update({
+            content: interaction.message.content,
+            embeds: [buildClaimEmbed(req, claim)],
+            components: [buildClaimReviewRow(req, claim)],
+          });
+
+          if (verify) {
+            await closeBountyAnnouncement(interaction.guild, req);
+            const announceCh = await safeFetchChannel(interaction.guild, state.announceChannelId);
+            if (announceCh && isTextChannel(announceCh)) {
+              await announceCh.send(
+                `🏆 **BOUNTY CLAIMED** — **${escapeMd(req.bounty.claimedBy.tribeName)}** collected the bounty on **${escapeMd(
+                  req.tribeName
+                )}**.\n${formatBountyTerms(req.bounty)}`
+              );
+            }
+          }
+
+          const user = await bot.users.fetch(claim.userId).catch(() => null);
+          if (user) {
+            user
+              .send(
+                verify
+                  ? `🏆 Your bounty claim on **${req.tribeName}** was verified. It counts for **${req.bounty.claimedBy.tribeName}** on the leaderboard.` +
+                    (req.bounty.reward ? ` An admin will hand out the reward: **${req.bounty.reward}**.` : "")
+                  : `❌ Your bounty claim on **${req.tribeName}** was rejected by the admins.`
+              )
+              .catch(() => null);
+          }
+          return;
+        }
+
         // Approve
         if (interaction.customId.startsWith(CID.ADMIN_APPROVE_PREFIX)) {
           if (req.status !== "pending") {
@@ -1187,46 +4656,35 @@ bot.on("interactionCreate", async (interaction) => {
           }
 
           // Enforce one active White Flag per tribe
-          const existingActive = getActiveApprovedForTribe(req.tribeName, requestId);
+          const existingActive = getActiveApprovedForTribe(interaction.guildId, req.tribeName, requestId);
           if (existingActive) {
             return interaction.reply({
               content:
                 `❌ Cannot approve. Tribe **${escapeMd(req.tribeName)}** already has an active White Flag ` +
-                `(ID: \`${existingActive.id}\`) ending ${fmtDiscordRelativeTime(existingActive.approvedAt + SEVEN_DAYS_MS)}.`,
+                `(ID: \`${existingActive.id}\`) ending ${fmtDiscordRelativeTime(getFlagEndsAt(existingActive))}.`,
               ephemeral: true,
             });
           }
 
+          const before = auditSnapshot(req);
           req.status = "approved";
           req.approvedAt = Date.now();
           req.approvedBy = interaction.user.id;
-          requests[requestId] = req;
-          persist();
+          req.flagDurationMs = getDurations(interaction.guildId, req.serverKey || req.serverType, state).flagMs;
+          req.endsAt = req.approvedAt + req.flagDurationMs;
+          req.adminChannelId = interaction.channelId;
+          req.adminMessageId = interaction.message.id;
+          store.saveRequest(req);
+          recordAudit({ guildId: req.guildId, action: "approved", actorId: interaction.user.id, req, before });
 
           scheduleExpiry(requestId);
+          runRconEvent(interaction.guild, req, "approved").catch((e) => console.error("RCON approve hook failed:", e));
 
-          // Update admin message components: disable approve/deny, add "End Early" button
-          const row = new ActionRowBuilder().addComponents(
-            new ButtonBuilder()
-              .setCustomId(`${CID.ADMIN_END_EARLY_PREFIX}${requestId}`)
-              .setLabel("🛑 End Early (Open Season)")
-              .setStyle(ButtonStyle.Danger),
-            new ButtonBuilder()
-              .setCustomId(`${CID.ADMIN_DENY_PREFIX}${requestId}`)
-              .setLabel("❌ Deny")
-              .setStyle(ButtonStyle.Secondary)
-              .setDisabled(true),
-            new ButtonBuilder()
-              .setCustomId(`${CID.ADMIN_APPROVE_PREFIX}${requestId}`)
-              .setLabel("✅ Approved")
-              .setStyle(ButtonStyle.Success)
-              .setDisabled(true)
-          );
-
+          // Update admin message: show the end time, disable approve/deny, add "End Early" / "Extend" buttons
           await interaction.update({
             content: interaction.message.content,
-            embeds: interaction.message.embeds,
-            components: [row],
+            embeds: [buildAdminReviewEmbed(req)],
+            components: [buildApprovedReviewRow(req)],
           });
 
           // Optionally DM user
@@ -1234,7 +4692,7 @@ bot.on("interactionCreate", async (interaction) => {
           if (user) {
             user
               .send(
-                `✅ Your White Flag request for **${req.tribeName}** (${req.serverType || req.cluster || "Server"}) was approved. Protection lasts 7 days from approval.`
+                `✅ Your White Flag request for **${req.tribeName}** (${req.serverType || req.cluster || "Server"}) was approved. Protection lasts ${formatDuration(req.flagDurationMs)} from approval.`
               )
               .catch(() => null);
           }
@@ -1242,50 +4700,163 @@ bot.on("interactionCreate", async (interaction) => {
           return;
         }
 
-        // Deny
-        if (interaction.customId.startsWith(CID.ADMIN_DENY_PREFIX)) {
-          if (req.status !== "pending") {
-            return interaction.reply({ content: `Already ${req.status}.`, ephemeral: true });
+        // Appeal decision
+        if (
+          interaction.customId.startsWith(CID.APPEAL_UPHOLD_PREFIX) ||
+          interaction.customId.startsWith(CID.APPEAL_OVERTURN_PREFIX)
+        ) {
+          if (req.appeal?.status !== "pending") {
+            return interaction.reply({ content: "This appeal was already decided.", ephemeral: true });
           }
-          req.status = "denied";
-          req.deniedAt = Date.now();
-          req.deniedBy = interaction.user.id;
-          requests[requestId] = req;
-          persist();
 
-          // Disable buttons
-          const row = new ActionRowBuilder().addComponents(
-            new ButtonBuilder()
-              .setCustomId(`${CID.ADMIN_DENY_PREFIX}${requestId}`)
-              .setLabel("❌ Denied")
-              .setStyle(ButtonStyle.Danger)
-              .setDisabled(true),
-            new ButtonBuilder()
-              .setCustomId(`${CID.ADMIN_APPROVE_PREFIX}${requestId}`)
-              .setLabel("✅ Approve")
-              .setStyle(ButtonStyle.Success)
-              .setDisabled(true)
-          );
+          const overturn = interaction.customId.startsWith(CID.APPEAL_OVERTURN_PREFIX);
+          const decided = req.status; // "denied" | "ended_early"
+          const now = Date.now();
+
+          if (overturn && decided === "ended_early") {
+            const otherActive = getActiveApprovedForTribe(interaction.guildId, req.tribeName, requestId);
+            if (otherActive) {
+              return interaction.reply({
+                content:
+                  `❌ Cannot reinstate: **${escapeMd(req.tribeName)}** already has another active White Flag ` +
+                  `(ID: \`${otherActive.id}\`). Uphold this appeal or end that flag first.`,
+                ephemeral: true,
+              });
+            }
+          }
+
+          if (overturn && decided === "denied") {
+            // Same rule as applying: one pending request per user
+            const otherPending = getPendingRequestForUser(interaction.guildId, req.requestedBy);
+            if (otherPending) {
+              return interaction.reply({
+                content:
+                  `❌ Cannot reopen: <@${req.requestedBy}> already has another pending request ` +
+                  `(ID: \`${otherPending.id}\`). Uphold this appeal or decide that request first.`,
+                ephemeral: true,
+              });
+            }
+          }
+
+          const before = auditSnapshot(req);
+
+          if (overturn && decided === "denied") {
+            // Back to the review queue
+            req.status = "pending";
+            req.reopenedAt = now;
+          }
+
+          if (overturn && decided === "ended_early") {
+            // Reinstate the flag for the time it had left, and cancel the automatic bounty
+            const remainingMs = Math.max(0, getFlagEndsAt(req) - req.endedEarlyAt);
+            if (req.bounty?.active) {
+              scheduler.cancel(`bounty_expiry:${requestId}`);
+              req.bounty.active = false;
+              req.bounty.removedAt = now;
+              req.bounty.removedBy = interaction.user.id;
+            }
+            if (remainingMs > 0) {
+              req.status = "approved";
+              req.endsAt = now + remainingMs;
+              req.reinstatedAt = now;
+            } else {
+              req.status = "expired";
+              req.expiredAt = now;
+            }
+          }
+
+          req.appeal = {
+            ...req.appeal,
+            status: overturn ? "overturned" : "upheld",
+            decidedBy: interaction.user.id,
+            decidedAt: now,
+          };
+          store.saveRequest(req);
+          recordAudit({
+            guildId: req.guildId,
+            action: overturn ? "appeal_overturned" : "appeal_upheld",
+            actorId: interaction.user.id,
+            req,
+            before,
+          });
+
+          if (req.status === "approved") scheduleExpiry(requestId);
+          else scheduleReminders(requestId);
+          if (req.bounty?.removedAt === now) await closeBountyAnnouncement(interaction.guild, req);
 
           await interaction.update({
             content: interaction.message.content,
-            embeds: interaction.message.embeds,
-            components: [row],
+            embeds: [buildAppealEmbed(req)],
+            components: [buildAppealRow(req)],
           });
 
-          const user = await bot.users.fetch(req.requestedBy).catch(() => null);
-          if (user) {
-            user
-              .send(
-                `❌ Your White Flag request for **${req.tribeName}** (${req.serverType || req.cluster || "Server"}) was denied. If you think this is a mistake, contact an admin.`
-              )
-              .catch(() => null);
+          // Original review message: Approve/Deny again, or End Early/Extend for a reinstated flag
+          if (req.status === "pending") {
+            const { flagMs } = getDurations(interaction.guildId, req.serverKey || req.serverType, state);
+            await refreshAdminReviewMessage(interaction.guild, req, [buildPendingReviewRow(req, flagMs)]);
+          } else if (req.status === "approved") {
+            await refreshAdminReviewMessage(interaction.guild, req, [buildApprovedReviewRow(req)]);
+          }
+
+          if (overturn && decided === "ended_early") {
+            const announceCh = await safeFetchChannel(interaction.guild, state.announceChannelId);
+            if (announceCh && isTextChannel(announceCh)) {
+              await announceCh.send(
+                `🏳️ **OPEN SEASON CANCELLED** — **${escapeMd(req.tribeName)}** (IGN: **${escapeMd(
+                  req.ign
+                )}**, Server: **${escapeMd(req.serverType || req.cluster || "N/A")}**) won their appeal. ` +
+                  (req.status === "approved"
+                    ? `White Flag reinstated until ${fmtDiscordRelativeTime(req.endsAt)}; the bounty is cancelled.`
+                    : "The bounty is cancelled.")
+              );
+            }
           }
 
+          let outcome = `⚖️ Your appeal for **${req.tribeName}** was reviewed: the decision stands.`;
+          if (overturn && decided === "denied") {
+            outcome = `⚖️ Your appeal for **${req.tribeName}** was accepted: your White Flag request is back in review.`;
+          } else if (overturn && req.status === "approved") {
+            outcome =
+              `⚖️ Your appeal for **${req.tribeName}** was accepted: your White Flag is reinstated until ` +
+              `${fmtDiscordDateTime(req.endsAt)} and the bounty is cancelled.`;
+          } else if (overturn) {
+            outcome = `⚖️ Your appeal for **${req.tribeName}** was accepted: the bounty is cancelled (the White Flag's time had already run out).`;
+          }
+
+          const user = await bot.users.fetch(req.requestedBy).catch(() => null);
+          if (user) user.send(outcome).catch(() => null);
+
           return;
         }
 
-        // End early -> Open Season ping
+        // Deny -> ask for a reason (handled on modal submit)
+        if (interaction.customId.startsWith(CID.ADMIN_DENY_PREFIX)) {
+          if (req.status !== "pending") {
+            return interaction.reply({ content: `Already ${req.status}.`, ephemeral: true });
+          }
+          return interaction.showModal(buildReasonModal("deny", req));
+        }
+
+        // Extend -> ask for hours
+        if (interaction.customId.startsWith(CID.ADMIN_EXTEND_PREFIX)) {
+          if (!isApprovedAndActive(req)) {
+            return interaction.reply({
+              content: `Cannot extend because status is **${req.status}**.`,
+              ephemeral: true,
+            });
+          }
+
+          // Approved before the review message was tracked: remember it now so the embed can be refreshed
+          if (!req.adminMessageId) {
+            req.adminChannelId = interaction.channelId;
+            req.adminMessageId = interaction.message.id;
+            store.saveRequest(req);
+          }
+
+          return interaction.showModal(buildExtendModal(req));
+        }
+
+        // End early -> ask for a reason (handled on modal submit)
         if (interaction.customId.startsWith(CID.ADMIN_END_EARLY_PREFIX)) {
           if (req.status !== "approved") {
             return interaction.reply({
@@ -1294,78 +4865,300 @@ bot.on("interactionCreate", async (interaction) => {
             });
           }
 
-          // Cancel timer
-          const t = activeTimeouts.get(requestId);
-          if (t) clearTimeout(t);
-          activeTimeouts.delete(requestId);
+          // Second admin: confirm the pending proposal with its reason (the proposer can't)
+          const proposal = getPendingEndEarlyProposal(req);
+          if (proposal) {
+            if (proposal.by === interaction.user.id) {
+              return interaction.reply({
+                content: `You proposed this. A different admin has to confirm it (before ${fmtDiscordRelativeTime(proposal.expiresAt)}).`,
+                ephemeral: true,
+              });
+            }
+            return endFlagEarly(interaction, req, { ...proposal, proposal });
+          }
+          return interaction.showModal(buildReasonModal("end", req));
+        }
+      }
+    }
+
+    // -------------------- Modal submit --------------------
+    if (interaction.type === InteractionType.ModalSubmit) {
+      // /rcon template
+      if (interaction.customId.startsWith(CID.RCON_TEMPLATE_MODAL_PREFIX)) {
+        if (!interaction.guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+        if (!(await authorize(interaction, "configure", state))) return;
+
+        const event = interaction.customId.slice(CID.RCON_TEMPLATE_MODAL_PREFIX.length);
+        if (!RCON_EVENTS[event]) return interaction.reply({ content: "Unknown event.", ephemeral: true });
+
+        const commands = String(interaction.fields.getTextInputValue("commands") || "")
+          .split(/\r?\n/)
+          .map((line) => line.trim())
+          .filter(Boolean);
+        if (commands.length > MAX_RCON_COMMANDS) {
+          return interaction.reply({ content: `❌ At most ${MAX_RCON_COMMANDS} commands per event.`, ephemeral: true });
+        }
+
+        const before = { [`templates.${event}`]: getRconTemplates(state)[event] };
+        state.rconTemplates = { ...getRconTemplates(state), [event]: commands };
+        saveGuildState(state);
+        recordAudit({
+          guildId: interaction.guildId,
+          action: "rcon_updated",
+          actorId: interaction.user.id,
+          before,
+          after: { [`templates.${event}`]: commands },
+        });
+        return interaction.reply({
+          content: commands.length
+            ? `✅ ${RCON_EVENTS[event]}: ${commands.length} command(s) will run on servers with RCON set.`
+            : `✅ ${RCON_EVENTS[event]}: no in-game commands.`,
+          ephemeral: true,
+        });
+      }
+
+      // Bounty claim -> admin channel for Verify / Reject
+      if (interaction.customId.startsWith(CID.CLAIM_MODAL_PREFIX)) {
+        if (!interaction.guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        const requestId = interaction.customId.slice(CID.CLAIM_MODAL_PREFIX.length);
+        const hunterTribe = interaction.fields.getTextInputValue("hunter_tribe").trim();
+        const { links: evidence, error } = parseEvidenceLinks(interaction.fields.getTextInputValue("evidence"));
+        if (error) return interaction.reply({ content: `❌ ${error}`, ephemeral: true });
+        if (!hunterTribe || evidence.length === 0) {
+          return interaction.reply({ content: "❌ Your tribe and at least one evidence link are required.", ephemeral: true });
+        }
+
+        let notes = "";
+        try {
+          notes = String(interaction.fields.getTextInputValue("notes") || "").trim();
+        } catch {
+          notes = "";
+        }
 
-          req.status = "ended_early";
-          req.endedEarlyAt = Date.now();
-          req.endedEarlyBy = interaction.user.id;
+        const adminCh = await safeFetchChannel(interaction.guild, state.adminChannelId);
+        if (!adminCh || !isTextChannel(adminCh)) {
+          return interaction.reply({ content: "Admin channel not found. Ask an admin to rerun /setup.", ephemeral: true });
+        }
 
-          // Start/refresh a 2-week bounty automatically
-          const nowB = Date.now();
-          req.bounty = {
-            active: true,
-            startedAt: nowB,
-            endsAt: nowB + TWO_WEEKS_MS,
-            startedBy: interaction.user.id,
-            reason: "White Flag ended early (Open Season).",
+        // Checked and recorded in one go so two submits can't both get in
+        const result = store.transaction(() => {
+          const req = getGuildRequest(interaction.guildId, requestId);
+          const blocker = getClaimBlocker(req, interaction.user.id, hunterTribe);
+          if (blocker) return { blocker };
+
+          const claims = req.bounty.claims || [];
+          const claim = {
+            id: `c${claims.length + 1}`,
+            hunterTribe,
+            evidence,
+            notes,
+            userId: interaction.user.id,
+            claimedAt: Date.now(),
+            status: "pending",
           };
-          requests[requestId] = req;
-          persist();
+          req.bounty.claims = [...claims, claim];
+          store.saveRequest(req);
+          recordAudit({
+            guildId: req.guildId,
+            action: "bounty_claim_submitted",
+            actorId: interaction.user.id,
+            req,
+            reason: `${hunterTribe} (claim ${claim.id})`,
+          });
+          return { req, claim };
+        });
+        if (result.blocker) return interaction.reply({ content: result.blocker, ephemeral: true });
 
-          scheduleBountyExpiry(requestId);
+        const { req, claim } = result;
+        const adminMsg = await adminCh.send({
+          content: `<@&${state.adminRoleId}> New bounty claim on **${escapeMd(req.tribeName)}**.`,
+          embeds: [buildClaimEmbed(req, claim)],
+          components: [buildClaimReviewRow(req, claim)],
+        });
 
-          // Announce Open Season (ping role)
-          const announceCh = await interaction.guild.channels
-            .fetch(state.announceChannelId)
-            .catch(() => null);
+        const latest = store.getRequest(req.id);
+        const saved = getClaim(latest, claim.id);
+        if (saved) {
+          saved.adminChannelId = adminCh.id;
+          saved.adminMessageId = adminMsg.id;
+          store.saveRequest(latest);
+        }
 
-          if (announceCh && isTextChannel(announceCh)) {
-            await announceCh.send(
-              `<@&${state.openSeasonRoleId}> 🚨 **OPEN SEASON** — White Flag ended early for **${escapeMd(
-                req.tribeName
-              )}** (IGN: **${escapeMd(req.ign)}**, Server: **${escapeMd(
-                req.serverType || req.cluster || "N/A"
-              )}**). 🎯 **BOUNTY ACTIVE** for 2 weeks — ends ${fmtDiscordRelativeTime(req.bounty.endsAt)}.`
-            );
+        return interaction.reply({
+          content: `✅ Claim submitted for **${escapeMd(req.tribeName)}**. Admins will review your evidence.`,
+          ephemeral: true,
+        });
+      }
+
+      // Appeal (may be submitted from a DM, so the guild comes from the record)
+      if (interaction.customId.startsWith(CID.APPEAL_MODAL_PREFIX)) {
+        const requestId = interaction.customId.slice(CID.APPEAL_MODAL_PREFIX.length);
+        const { reason, evidence, error } = readReasonModal(interaction);
+        if (error) return interaction.reply({ content: `❌ ${error}`, ephemeral: true });
+
+        // Claim the one appeal for this record
+        const claimed = store.transaction(() => {
+          const latest = store.getRequest(requestId);
+          const blocker = getAppealBlocker(latest, interaction.user.id);
+          if (blocker) return { error: blocker };
+
+          latest.appeal = { status: "pending", by: interaction.user.id, at: Date.now(), reason, evidence };
+          store.saveRequest(latest);
+          recordAudit({
+            guildId: latest.guildId,
+            action: "appealed",
+            actorId: interaction.user.id,
+            req: latest,
+            reason: auditReason(reason, evidence),
+          });
+          return { req: latest };
+        });
+        if (claimed.error) return interaction.reply({ content: claimed.error, ephemeral: true });
+
+        const req = claimed.req;
+        const appealState = getGuildState(req.guildId);
+        const guild = await safeFetchGuild(bot, req.guildId);
+        const adminCh = guild ? await safeFetchChannel(guild, appealState.adminChannelId) : null;
+        if (!adminCh || !isTextChannel(adminCh)) {
+          return interaction.reply({
+            content: "Your appeal was saved, but the admin channel is missing. Please let an admin know.",
+            ephemeral: true,
+          });
+        }
+
+        const appealMsg = await adminCh.send({
+          content: `<@&${appealState.adminRoleId}> New White Flag appeal.`,
+          embeds: [buildAppealEmbed(req)],
+          components: [buildAppealRow(req)],
+        });
+        // Re-read: an admin may have decided the appeal while the post was being sent
+        store.transaction(() => {
+          const latest = store.getRequest(req.id);
+          if (!latest?.appeal) return;
+          latest.appeal.channelId = adminCh.id;
+          latest.appeal.messageId = appealMsg.id;
+          store.saveRequest(latest);
+        });
+
+        return interaction.reply({
+          content: "✅ Appeal submitted. You'll get a DM when an admin decides.",
+          ephemeral: true,
+        });
+      }
+
+      // Admin modals (Extend / Deny / End Early)
+      if (
+        interaction.customId.startsWith(CID.EXTEND_MODAL_PREFIX) ||
+        interaction.customId.startsWith(CID.DENY_MODAL_PREFIX) ||
+        interaction.customId.startsWith(CID.END_EARLY_MODAL_PREFIX)
+      ) {
+        if (!interaction.guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
+
+        const endEarly = interaction.customId.startsWith(CID.END_EARLY_MODAL_PREFIX);
+        if (!(await authorize(interaction, endEarly ? "end_early" : "review", state))) return;
+
+        const requestId = interaction.customId.split(":")[1];
+
+        if (interaction.customId.startsWith(CID.EXTEND_MODAL_PREFIX)) {
+          const hours = Number(String(interaction.fields.getTextInputValue("hours") || "").trim());
+          await interaction.deferReply({ ephemeral: true }); // see /whiteflag extend
+          const { req, error } = extendFlag(interaction.guildId, requestId, hours, interaction.user.id);
+          if (error) return interaction.editReply({ content: `❌ ${error}` });
+
+          const change = await announceFlagExtension(interaction.guild, req, hours);
+          return interaction.editReply({
+            content: `✅ White Flag for **${escapeMd(req.tribeName)}** ${change}; now ends ${fmtDiscordDateTime(req.endsAt)}.`,
+          });
+        }
+
+        const req = getGuildRequest(interaction.guildId, requestId);
+        if (!req) {
+          return interaction.reply({ content: "Request not found (maybe already handled).", ephemeral: true });
+        }
+
+        const { reason, evidence, isPublic, error } = readReasonModal(interaction);
+        if (error) return interaction.reply({ content: `❌ ${error}`, ephemeral: true });
+
+        // Deny
+        if (interaction.customId.startsWith(CID.DENY_MODAL_PREFIX)) {
+          if (req.status !== "pending") {
+            return interaction.reply({ content: `Already ${req.status}.`, ephemeral: true });
           }
+          const before = auditSnapshot(req);
+          req.status = "denied";
+          req.deniedAt = Date.now();
+          req.deniedBy = interaction.user.id;
+          req.deniedReason = reason;
+          req.deniedEvidence = evidence;
+          store.saveRequest(req);
+          recordAudit({
+            guildId: req.guildId,
+            action: "denied",
+            actorId: interaction.user.id,
+            req,
+            before,
+            reason: auditReason(reason, evidence),
+          });
 
-          // Update admin message: disable end early
+          // Disable buttons
           const row = new ActionRowBuilder().addComponents(
             new ButtonBuilder()
-              .setCustomId(`${CID.ADMIN_END_EARLY_PREFIX}${requestId}`)
-              .setLabel("🛑 Ended Early")
+              .setCustomId(`${CID.ADMIN_DENY_PREFIX}${requestId}`)
+              .setLabel("❌ Denied")
               .setStyle(ButtonStyle.Danger)
+              .setDisabled(true),
+            new ButtonBuilder()
+              .setCustomId(`${CID.ADMIN_APPROVE_PREFIX}${requestId}`)
+              .setLabel("✅ Approve")
+              .setStyle(ButtonStyle.Success)
               .setDisabled(true)
           );
 
           await interaction.update({
             content: interaction.message.content,
-            embeds: interaction.message.embeds,
+            embeds: [buildAdminReviewEmbed(req)],
             components: [row],
           });
 
           const user = await bot.users.fetch(req.requestedBy).catch(() => null);
           if (user) {
             user
-              .send(
-                `🚨 An admin ended your White Flag early for **${req.tribeName}** (${req.serverType || req.cluster || "Server"}). Your tribe is now OPEN SEASON.`
-              )
+              .send({
+                content:
+                  `❌ Your White Flag request for **${req.tribeName}** (${req.serverType || req.cluster || "Server"}) was denied.\n` +
+                  `**Reason:** ${reason}\n` +
+                  "If you think this is a mistake, you can appeal once below (or with /appeal).",
+                components: [buildAppealButtonRow(req.id)],
+              })
               .catch(() => null);
           }
 
           return;
         }
+
+        // End early -> Open Season ping (or, in two-person mode, a proposal a second admin confirms)
+        if (req.status !== "approved") {
+          return interaction.reply({
+            content: `Cannot end early because status is **${req.status}**.`,
+            ephemeral: true,
+          });
+        }
+        if (getEndEarlyConfirm(state).required) {
+          const pending = getPendingEndEarlyProposal(req);
+          if (pending) {
+            return interaction.reply({
+              content: `<@${pending.by}> already proposed ending this early. Use **Confirm** on the review message instead.`,
+              ephemeral: true,
+            });
+          }
+          return proposeEndEarly(interaction, req, { reason, evidence, isPublic });
+        }
+        return endFlagEarly(interaction, req, { reason, evidence, isPublic });
       }
-    }
 
-    // -------------------- Modal submit --------------------
-    if (interaction.type === InteractionType.ModalSubmit) {
-      const is25 = interaction.customId === CID.APPLY_MODAL_25;
-      const is100 = interaction.customId === CID.APPLY_MODAL_100;
-      if (!is25 && !is100) return;
+      const modalServerKey = serverKeyFromCustomId(interaction.customId, CID.APPLY_MODAL_PREFIX);
+      if (!modalServerKey) return;
       if (!interaction.guild) return interaction.reply({ content: "Guild only.", ephemeral: true });
 
       if (!state.adminChannelId || !state.adminRoleId) {
@@ -1375,7 +5168,14 @@ bot.on("interactionCreate", async (interaction) => {
         });
       }
 
-      const serverType = is25 ? "25x PVP" : "100x PVP Chaos";
+      const server = findServerType(state, modalServerKey);
+      if (!server) {
+        return interaction.reply({
+          content: "That server is no longer accepting applications.",
+          ephemeral: true,
+        });
+      }
+      const serverType = server.label;
 
       // Re-check rules role gate
       const member = await interaction.guild.members
@@ -1388,17 +5188,35 @@ bot.on("interactionCreate", async (interaction) => {
         });
       }
 
-      const ign = interaction.fields.getTextInputValue("ign")?.trim();
-      const tribe = interaction.fields.getTextInputValue("tribe")?.trim();
-      const map = interaction.fields.getTextInputValue("map")?.trim();
+      const { answers, error } = collectFormAnswers(getFormFields(server), (id) =>
+        interaction.fields.getTextInputValue(id)
+      );
+      if (error) return interaction.reply({ content: error, ephemeral: true });
+
+      const answerFor = (id) => answers.find((a) => a.id === id);
+      const ign = answerFor("ign")?.value;
+      const tribe = answerFor("tribe")?.value;
+
+      if (!ign || !tribe) {
+        return interaction.reply({ content: "IGN and Tribe Name are required.", ephemeral: true });
+      }
 
-      if (!ign || !tribe || !map) {
-        return interaction.reply({ content: "All fields are required.", ephemeral: true });
+      // If the server type lists its maps, the answer must be one of them
+      const mapAnswer = answerFor("map");
+      if (mapAnswer && server.maps?.length) {
+        const known = server.maps.find((m) => m.toLowerCase() === mapAnswer.value.toLowerCase());
+        if (!known) {
+          return interaction.reply({
+            content: `Unknown map for **${escapeMd(serverType)}**. Choose one of: ${server.maps.map(escapeMd).join(", ")}`,
+            ephemeral: true,
+          });
+        }
+        mapAnswer.value = known;
       }
+      const map = mapAnswer?.value || "N/A";
 
       // Prevent duplicate pending requests (race-safe-ish)
-      requests = readJson(REQUESTS_PATH, {});
-      const pending = getPendingRequestForUser(interaction.user.id);
+      const pending = getPendingRequestForUser(interaction.guildId, interaction.user.id);
       if (pending) {
         return interaction.reply({
           content: "You already have a pending White Flag application. Please wait for admin review.",
@@ -1407,12 +5225,26 @@ bot.on("interactionCreate", async (interaction) => {
       }
 
       // Enforce one active White Flag per tribe (block submission too)
-      const existingActive = getActiveApprovedForTribe(tribe);
+      const existingActive = getActiveApprovedForTribe(interaction.guildId, tribe);
       if (existingActive) {
         return interaction.reply({
           content:
             `❌ That tribe already has an active White Flag (ID: \`${existingActive.id}\`) ` +
-            `ending ${fmtDiscordRelativeTime(existingActive.approvedAt + SEVEN_DAYS_MS)}.`,
+            `ending ${fmtDiscordRelativeTime(getFlagEndsAt(existingActive))}.`,
+          ephemeral: true,
+        });
+      }
+
+      const eligibilityBlocks = getEligibilityBlocks(interaction.guildId, tribe, state);
+      if (eligibilityBlocks.length) {
+        return interaction.reply({ content: formatEligibilityBlocks(tribe, eligibilityBlocks), ephemeral: true });
+      }
+
+      // Before saving: a pending request no admin can see would block the user from applying again
+      const adminCh = await interaction.guild.channels.fetch(state.adminChannelId).catch(() => null);
+      if (!adminCh || !isTextChannel(adminCh)) {
+        return interaction.reply({
+          content: "Admin channel not found. Ask an admin to rerun /setup.",
           ephemeral: true,
         });
       }
@@ -1420,44 +5252,35 @@ bot.on("interactionCreate", async (interaction) => {
       const requestId = newRequestId();
       const req = {
         id: requestId,
+        guildId: interaction.guildId,
         status: "pending",
         ign,
         tribeName: tribe,
         cluster: serverType,   // kept for backwards compatibility with older data
         serverType,            // explicit
+        serverKey: server.key,
         map,
+        answers, // [{ id, label, value }] as asked at submit time
         requestedBy: interaction.user.id,
         requestedAt: Date.now(),
       };
 
-      requests[requestId] = req;
-      persist();
-
-      const adminCh = await interaction.guild.channels.fetch(state.adminChannelId).catch(() => null);
-      if (!adminCh || !isTextChannel(adminCh)) {
-        return interaction.reply({
-          content: "Admin channel not found. Ask an admin to rerun /setup.",
-          ephemeral: true,
-        });
-      }
+      store.saveRequest(req);
+      recordTribeMembers(req);
 
-      const row = new ActionRowBuilder().addComponents(
-        new ButtonBuilder()
-          .setCustomId(`${CID.ADMIN_APPROVE_PREFIX}${requestId}`)
-          .setLabel("✅ Approve (Start 7 Days)")
-          .setStyle(ButtonStyle.Success),
-        new ButtonBuilder()
-          .setCustomId(`${CID.ADMIN_DENY_PREFIX}${requestId}`)
-          .setLabel("❌ Deny")
-          .setStyle(ButtonStyle.Danger)
-      );
+      const row = buildPendingReviewRow(req, getDurations(interaction.guildId, server.key, state).flagMs);
 
       // Ping admin role on submission
-      await adminCh.send({
+      const adminMsg = await adminCh.send({
         content: `<@&${state.adminRoleId}> New White Flag application received.`,
         embeds: [buildAdminReviewEmbed(req)],
         components: [row],
       });
+      req.adminChannelId = adminCh.id;
+      req.adminMessageId = adminMsg.id;
+      store.saveRequest(req);
+      recordAudit({ guildId: req.guildId, action: "submitted", actorId: interaction.user.id, req });
+      runGameLookup(interaction.guild, req.id).catch((e) => console.error("Game server lookup failed:", e));
 
       return interaction.reply({
         content: `✅ Submitted for **${serverType}**! Admins have been notified.`,
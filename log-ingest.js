@@ -0,0 +1,151 @@
+// log-ingest.js
+// Feeds ARK tribe log text into the bot from outside Discord. Two sources, both configured by env
+// (see index.js), because they point at the bot's host rather than at anything in a guild:
+//
+// - Watched files: each file is polled and only lines appended after the bot starts are read.
+//   A file that shrinks (rotated / truncated) is read again from the top.
+// - Webhook: POST the raw log text to /tribe-log/<guildId> with "Authorization: Bearer <token>".
+//   Each guild has its own token, so a token only ever feeds the guild it was issued for.
+//   Answers 200 with the JSON summary onText returns, 401 for a bad token (or a guild without one),
+//   413 past MAX_BODY_BYTES.
+//
+// Text is handed over in whole lines; parsing and matching are up to the caller.
+//
+// createLogIngest({ onText: async (guildId, text, source) => summary })
+//   -> { watchFile(guildId, filePath), listen({ port, tokens: { [guildId]: token } }), stop() }
+
+const fs = require("fs");
+const http = require("http");
+const crypto = require("crypto");
+const { StringDecoder } = require("string_decoder");
+
+const FILE_POLL_MS = 2000;
+const MAX_BODY_BYTES = 1024 * 1024;
+// Bytes handed over at once; a file that grew by more than this is read in several batches
+const MAX_READ_BYTES = 1024 * 1024;
+
+function tokensMatch(given, expected) {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(String(expected || ""));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function createLogIngest({ onText }) {
+  const watched = []; // { filePath, listener }
+  let server = null;
+
+  function deliver(guildId, text, source) {
+    return Promise.resolve()
+      .then(() => onText(guildId, text, source))
+      .catch((e) => {
+        console.error(`Log ingest (${source}) failed:`, e);
+        return null;
+      });
+  }
+
+  function watchFile(guildId, filePath) {
+    let offset = null; // set from the file size on the first poll, so old lines are skipped
+    let partial = "";
+    // Holds back the bytes of a character split across two reads
+    let decoder = new StringDecoder("utf8");
+    let reading = false;
+
+    async function readNew() {
+      if (reading) return;
+      reading = true;
+      try {
+        let { size } = await fs.promises.stat(filePath);
+        if (offset === null || size < offset) {
+          // First look: start at the end. Shrunk: rotated or truncated, start over.
+          offset = offset === null ? size : 0;
+          partial = "";
+          decoder = new StringDecoder("utf8");
+        }
+        if (size <= offset) return;
+
+        const handle = await fs.promises.open(filePath, "r");
+        try {
+          // Keep going until caught up: no change event comes for what's already on disk, and
+          // events that fire while this runs are skipped (see `reading`)
+          while (offset < size) {
+            const length = Math.min(size - offset, MAX_READ_BYTES);
+            const buf = Buffer.alloc(length);
+            const { bytesRead } = await handle.read(buf, 0, length, offset);
+            if (bytesRead === 0) break;
+            offset += bytesRead;
+            const text = partial + decoder.write(buf.subarray(0, bytesRead));
+            const cut = text.lastIndexOf("\n");
+            partial = cut === -1 ? text : text.slice(cut + 1);
+            if (cut !== -1) await deliver(guildId, text.slice(0, cut), `file:${filePath}`);
+            if (offset >= size) ({ size } = await handle.stat());
+          }
+        } finally {
+          await handle.close();
+        }
+      } catch (e) {
+        if (e.code !== "ENOENT") console.error(`Log ingest: can't read ${filePath}:`, e);
+      } finally {
+        reading = false;
+      }
+    }
+
+    const listener = () => {
+      readNew();
+    };
+    fs.watchFile(filePath, { interval: FILE_POLL_MS }, listener);
+    watched.push({ filePath, listener });
+    readNew();
+  }
+
+  function listen({ port, tokens }) {
+    if (!Object.values(tokens || {}).some(Boolean)) throw new Error("log ingest: the webhook needs a token");
+
+    server = http.createServer((req, res) => {
+      const send = (status, body) => {
+        res.writeHead(status, { "Content-Type": "application/json" });
+        res.end(JSON.stringify(body));
+      };
+
+      const match = /^\/tribe-log\/(\d+)\/?$/.exec(req.url || "");
+      if (req.method !== "POST" || !match) return send(404, { error: "POST /tribe-log/<guildId>" });
+
+      const auth = String(req.headers.authorization || "");
+      const expected = Object.hasOwn(tokens, match[1]) ? tokens[match[1]] : null;
+      if (!expected || !tokensMatch(auth.replace(/^Bearer\s+/i, ""), expected)) {
+        return send(401, { error: "bad token" });
+      }
+
+      const chunks = [];
+      let size = 0;
+      req.on("data", (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          send(413, { error: `body over ${MAX_BODY_BYTES} bytes` });
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on("end", async () => {
+        if (size > MAX_BODY_BYTES) return;
+        const summary = await deliver(match[1], Buffer.concat(chunks).toString("utf8"), "webhook");
+        send(summary ? 200 : 500, summary || { error: "ingest failed" });
+      });
+    });
+
+    return new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, () => resolve(server.address().port));
+    });
+  }
+
+  function stop() {
+    for (const w of watched.splice(0)) fs.unwatchFile(w.filePath, w.listener);
+    if (server) server.close();
+    server = null;
+  }
+
+  return { watchFile, listen, stop };
+}
+
+module.exports = { createLogIngest };
@@ -0,0 +1,175 @@
+// rcon.js
+// Source RCON client for the White Flag bot (the admin protocol ARK and most Source-style servers speak).
+//
+// Wire format (little-endian), see https://developer.valvesoftware.com/wiki/Source_RCON_Protocol:
+//   int32 size | int32 id | int32 type | body (UTF-8) \0 | \0      (size counts everything after itself)
+//
+// - The password is sent as an AUTH packet; the server answers AUTH_RESPONSE with our id, or -1 if wrong.
+//   Some servers send an empty RESPONSE_VALUE first, which is skipped.
+// - A command's response can span several packets with the command's id. There's no end marker that every
+//   server honours, so a response is complete once no more packets arrive for a short idle time.
+// - One command at a time per connection; runRconCommands() is the usual entry point.
+//
+// createRconClient({ host, port, password, timeoutMs }) -> { connect, send, close }
+// runRconCommands({ host, port, password }, commands, { timeoutMs }) -> response text per command
+
+const net = require("net");
+
+const SERVERDATA_AUTH = 3;
+const SERVERDATA_AUTH_RESPONSE = 2;
+const SERVERDATA_EXECCOMMAND = 2;
+
+const DEFAULT_TIMEOUT_MS = 5000;
+const RESPONSE_IDLE_MS = 250;
+// Servers split long responses into 4096-byte bodies; anything far bigger means we lost framing
+const MAX_PACKET_SIZE = 64 * 1024;
+
+function encodePacket(id, type, body) {
+  const payload = Buffer.from(String(body), "utf8");
+  const buf = Buffer.alloc(14 + payload.length); // trailing \0\0 come from alloc
+  buf.writeInt32LE(10 + payload.length, 0);
+  buf.writeInt32LE(id, 4);
+  buf.writeInt32LE(type, 8);
+  payload.copy(buf, 12);
+  return buf;
+}
+
+// Returns a function to feed socket chunks into; onPacket({ id, type, body }) runs per whole packet
+function createPacketReader(onPacket) {
+  let pending = Buffer.alloc(0);
+  return (chunk) => {
+    pending = Buffer.concat([pending, chunk]);
+    while (pending.length >= 4) {
+      const size = pending.readInt32LE(0);
+      if (size < 10 || size > MAX_PACKET_SIZE) throw new Error(`rcon: bad packet size ${size}`);
+      if (pending.length < size + 4) break;
+      onPacket({
+        id: pending.readInt32LE(4),
+        type: pending.readInt32LE(8),
+        body: pending.toString("utf8", 12, size + 2),
+      });
+      pending = pending.subarray(size + 4);
+    }
+  };
+}
+
+function createRconClient({ host, port, password, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  let socket = null;
+  let nextId = 1;
+  // The request in flight: { id, auth, parts, resolve, reject, timer, idle }
+  let waiting = null;
+
+  function finish(err, value) {
+    if (!waiting) return;
+    const w = waiting;
+    waiting = null;
+    clearTimeout(w.timer);
+    clearTimeout(w.idle);
+    if (err) w.reject(err);
+    else w.resolve(value);
+  }
+
+  function onPacket(p) {
+    if (!waiting) return;
+    if (waiting.auth) {
+      if (p.type !== SERVERDATA_AUTH_RESPONSE) return;
+      if (p.id === -1) finish(new Error("rcon: wrong password"));
+      else finish(null);
+      return;
+    }
+    if (p.id !== waiting.id) return; // e.g. a late reply to a command that already timed out
+
+    waiting.parts.push(p.body);
+    clearTimeout(waiting.idle);
+    waiting.idle = setTimeout(() => finish(null, waiting.parts.join("")), RESPONSE_IDLE_MS);
+  }
+
+  function request(type, body, { auth = false } = {}) {
+    if (!socket) return Promise.reject(new Error("rcon: not connected"));
+    if (waiting) return Promise.reject(new Error("rcon: a command is already running"));
+
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      waiting = {
+        id,
+        auth,
+        parts: [],
+        resolve,
+        reject,
+        idle: null,
+        timer: setTimeout(() => finish(new Error(`rcon: no response within ${timeoutMs}ms`)), timeoutMs),
+      };
+      socket.write(encodePacket(id, type, body));
+    });
+  }
+
+  // Open the connection and authenticate; rejects on connection errors or a wrong password
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const s = net.createConnection({ host, port });
+      const timer = setTimeout(() => {
+        s.destroy();
+        reject(new Error(`rcon: couldn't connect to ${host}:${port} within ${timeoutMs}ms`));
+      }, timeoutMs);
+
+      const read = createPacketReader(onPacket);
+      s.on("data", (chunk) => {
+        try {
+          read(chunk);
+        } catch (e) {
+          finish(e);
+          s.destroy();
+        }
+      });
+      s.on("error", (e) => {
+        clearTimeout(timer);
+        reject(e); // no-op once connected
+        finish(e);
+      });
+      s.on("close", () => {
+        socket = null;
+        finish(new Error("rcon: connection closed"));
+      });
+      s.once("connect", () => {
+        clearTimeout(timer);
+        socket = s;
+        resolve();
+      });
+    }).then(() => request(SERVERDATA_AUTH, password, { auth: true }));
+  }
+
+  // Run one command; resolves with the response text
+  function send(command) {
+    return request(SERVERDATA_EXECCOMMAND, command);
+  }
+
+  function close() {
+    if (socket) socket.destroy();
+    socket = null;
+  }
+
+  return { connect, send, close };
+}
+
+// Connect, run each command in order, disconnect. Stops at the first failure.
+async function runRconCommands(config, commands, { timeoutMs } = {}) {
+  const client = createRconClient({ ...config, timeoutMs });
+  try {
+    await client.connect();
+    const responses = [];
+    for (const command of commands) responses.push(await client.send(command));
+    return responses;
+  } finally {
+    client.close();
+  }
+}
+
+module.exports = {
+  SERVERDATA_AUTH,
+  SERVERDATA_AUTH_RESPONSE,
+  SERVERDATA_EXECCOMMAND,
+  encodePacket,
+  createPacketReader,
+  createRconClient,
+  runRconCommands,
+};
@@ -0,0 +1,82 @@
+// scheduler.js
+// Persistent job queue for the White Flag bot.
+//
+// Every time-based event (flag expiry, bounty expiry, reminders) is a row in the jobs table
+// (storage.js) with a due-at time. One polling loop runs whatever has come due.
+//
+// - Jobs live on disk, so nothing needs rescheduling after a restart, and there is no
+//   setTimeout delay cap. Jobs that came due while the bot was offline run on the first tick.
+// - Jobs are keyed (e.g. "flag_expiry:<requestId>"): scheduling the same key again moves it.
+// - A job is deleted only after its handler finishes, so handlers must be safe to run twice
+//   (a crash mid-handler runs it again on the next start). Failed jobs are retried a few times.
+//
+// createScheduler({ store, handlers: { [kind]: async (job, { late }) => {} } })
+//   -> { schedule, cancel, cancelForRequest, tick, start, stop }
+
+const DEFAULT_POLL_MS = 15 * 1000;
+const RETRY_DELAY_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+function createScheduler({ store, handlers, pollMs = DEFAULT_POLL_MS, now = Date.now }) {
+  let interval = null;
+  let running = false;
+
+  function schedule(key, kind, dueAt, { guildId = null, requestId = null, payload = {} } = {}) {
+    if (!handlers[kind]) throw new Error(`scheduler: no handler for job kind "${kind}"`);
+    if (!Number.isFinite(dueAt)) throw new Error(`scheduler: job ${key} needs a numeric dueAt`);
+    store.upsertJob({ key, kind, guildId, requestId, dueAt, payload });
+  }
+
+  function cancel(key) {
+    store.deleteJob(key);
+  }
+
+  function cancelForRequest(requestId, kind = null) {
+    store.deleteJobs({ requestId, kind });
+  }
+
+  // Run every due job once; returns how many ran. Overlapping ticks are skipped.
+  async function tick() {
+    if (running) return 0;
+    running = true;
+
+    let ran = 0;
+    try {
+      const startedAt = now();
+      for (const job of store.listDueJobs(startedAt)) {
+        const handler = handlers[job.kind];
+        try {
+          if (!handler) throw new Error(`no handler for job kind "${job.kind}"`);
+          // "late" = came due while the bot was offline (or the loop was stalled)
+          await handler(job, { late: startedAt - job.dueAt > pollMs * 2 });
+          store.completeJob(job.key, job.dueAt);
+          ran++;
+        } catch (e) {
+          console.error(`Job ${job.key} failed (attempt ${job.attempts + 1}/${MAX_ATTEMPTS}):`, e);
+          if (job.attempts + 1 >= MAX_ATTEMPTS) store.completeJob(job.key, job.dueAt);
+          else store.retryJob(job.key, now() + RETRY_DELAY_MS);
+        }
+      }
+    } finally {
+      running = false;
+    }
+    return ran;
+  }
+
+  // Run a catch-up tick now, then poll
+  function start() {
+    if (interval) return;
+    const run = () => tick().catch((e) => console.error("Scheduler tick failed:", e));
+    run();
+    interval = setInterval(run, pollMs);
+  }
+
+  function stop() {
+    if (interval) clearInterval(interval);
+    interval = null;
+  }
+
+  return { schedule, cancel, cancelForRequest, tick, start, stop };
+}
+
+module.exports = { createScheduler };
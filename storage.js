@@ -0,0 +1,801 @@
+// storage.js
+// SQLite storage for the White Flag bot (better-sqlite3).
+//
+// - One row per guild config (guild_state) and one row per request (requests).
+// - Each request row keeps the full record as JSON in `data`, plus indexed columns
+//   (guild, status, tribe key, requester, bounty) so lookups don't scan every record.
+// - better-sqlite3 is synchronous, so a transaction() callback runs start to finish
+//   without another interaction interleaving writes.
+// - Time-based work (expiry, reminders) lives in the jobs table; scheduler.js polls it.
+// - audit_events is append-only (triggers reject UPDATE / DELETE).
+// - Tribes are registry entries (tribes) with any number of names (tribe_aliases). Every request
+//   points at one (requests.tribe_id); lookups by tribe name resolve through the aliases.
+// - Ending a season (wipe) moves the guild's requests into request_archive under that season.
+//
+// Schema changes go in MIGRATIONS (applied in order, tracked with PRAGMA user_version).
+// An entry is SQL, or a function(db) for changes that need JS (e.g. re-keying rows).
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+// Expiry jobs for running flags/bounties that don't have one yet (records from before the
+// jobs table existed, or imported from JSON). Flags without endsAt fall back to approvedAt + 7 days.
+const BACKFILL_EXPIRY_JOBS_SQL = `
+  INSERT OR IGNORE INTO jobs (key, kind, guild_id, request_id, due_at)
+  SELECT 'flag_expiry:' || id, 'flag_expiry', guild_id, id,
+         COALESCE(
+           json_extract(data, '$.endsAt'),
+           json_extract(data, '$.approvedAt') + COALESCE(json_extract(data, '$.flagDurationMs'), 604800000)
+         )
+  FROM requests
+  WHERE status = 'approved' AND json_extract(data, '$.approvedAt') IS NOT NULL;
+
+  INSERT OR IGNORE INTO jobs (key, kind, guild_id, request_id, due_at)
+  SELECT 'bounty_expiry:' || id, 'bounty_expiry', guild_id, id, bounty_ends_at
+  FROM requests
+  WHERE bounty_active = 1 AND bounty_ends_at IS NOT NULL;
+`;
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE guild_state (
+    guild_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE requests (
+    id TEXT PRIMARY KEY,
+    guild_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    tribe_key TEXT NOT NULL,
+    requested_by TEXT,
+    requested_at INTEGER,
+    bounty_active INTEGER NOT NULL DEFAULT 0,
+    bounty_ends_at INTEGER,
+    data TEXT NOT NULL
+  );
+
+  CREATE INDEX idx_requests_tribe ON requests (guild_id, tribe_key);
+  CREATE INDEX idx_requests_user ON requests (guild_id, requested_by, status);
+  CREATE INDEX idx_requests_status ON requests (guild_id, status);
+  CREATE INDEX idx_requests_bounty ON requests (bounty_active, bounty_ends_at);
+  `,
+  `
+  CREATE TABLE jobs (
+    key TEXT PRIMARY KEY,
+    kind TEXT NOT NULL,
+    guild_id TEXT,
+    request_id TEXT,
+    due_at INTEGER NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    payload TEXT NOT NULL DEFAULT '{}'
+  );
+
+  CREATE INDEX idx_jobs_due ON jobs (due_at);
+  CREATE INDEX idx_jobs_request ON jobs (request_id, kind);
+  ${BACKFILL_EXPIRY_JOBS_SQL}
+  `,
+  `
+  CREATE TABLE audit_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    at INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    actor_id TEXT,
+    request_id TEXT,
+    tribe_key TEXT,
+    tribe_name TEXT,
+    reason TEXT,
+    before TEXT,
+    after TEXT
+  );
+
+  CREATE INDEX idx_audit_time ON audit_events (guild_id, at);
+  CREATE INDEX idx_audit_tribe ON audit_events (guild_id, tribe_key, at);
+  CREATE INDEX idx_audit_actor ON audit_events (guild_id, actor_id, at);
+
+  CREATE TRIGGER audit_events_no_update BEFORE UPDATE ON audit_events
+  BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END;
+  CREATE TRIGGER audit_events_no_delete BEFORE DELETE ON audit_events
+  BEGIN SELECT RAISE(ABORT, 'audit_events is append-only'); END;
+  `,
+  (db) => {
+    db.exec(`
+      CREATE TABLE tribes (
+        id TEXT PRIMARY KEY,
+        guild_id TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE tribe_aliases (
+        guild_id TEXT NOT NULL,
+        alias_key TEXT NOT NULL,
+        alias TEXT NOT NULL,
+        tribe_id TEXT NOT NULL REFERENCES tribes (id) ON DELETE CASCADE,
+        PRIMARY KEY (guild_id, alias_key)
+      );
+
+      CREATE INDEX idx_tribes_guild ON tribes (guild_id);
+      CREATE INDEX idx_tribe_aliases_tribe ON tribe_aliases (tribe_id);
+
+      ALTER TABLE requests ADD COLUMN tribe_id TEXT;
+      CREATE INDEX idx_requests_tribe_id ON requests (guild_id, tribe_id);
+    `);
+
+    // Re-key every record (normalizeTribeName used to leave whitespace runs alone) and register
+    // one tribe per distinct name, oldest first so the first spelling seen becomes canonical
+    const rows = db.prepare("SELECT id, guild_id, requested_at, data FROM requests ORDER BY requested_at").all();
+    const update = db.prepare("UPDATE requests SET tribe_key = ?, tribe_id = ?, data = ? WHERE id = ?");
+    for (const row of rows) {
+      const req = JSON.parse(row.data);
+      req.tribeId = ensureTribeId(db, row.guild_id, req.tribeName, row.requested_at || Date.now());
+      update.run(normalizeTribeName(req.tribeName), req.tribeId, JSON.stringify(req), row.id);
+    }
+  },
+  `
+  CREATE TABLE seasons (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    guild_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    started_at INTEGER NOT NULL,
+    ended_at INTEGER,
+    data TEXT NOT NULL DEFAULT '{}'
+  );
+
+  CREATE TABLE request_archive (
+    id TEXT PRIMARY KEY,
+    season_id INTEGER NOT NULL REFERENCES seasons (id),
+    guild_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    tribe_key TEXT NOT NULL,
+    tribe_id TEXT,
+    requested_by TEXT,
+    requested_at INTEGER,
+    data TEXT NOT NULL
+  );
+
+  CREATE INDEX idx_seasons_guild ON seasons (guild_id, started_at);
+  CREATE INDEX idx_request_archive_tribe ON request_archive (guild_id, season_id, tribe_id);
+  `,
+];
+
+// Tribe names are indexed by this key (tribe_key column)
+function normalizeTribeName(name) {
+  return String(name || "")
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, " ");
+}
+
+// -------------------- Tribe registry (shared with migrations) --------------------
+function newTribeId() {
+  return `t-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function lookupTribeId(db, guildId, name) {
+  const row = db
+    .prepare("SELECT tribe_id FROM tribe_aliases WHERE guild_id = ? AND alias_key = ?")
+    .get(guildId, normalizeTribeName(name));
+  return row ? row.tribe_id : null;
+}
+
+// Tribe ID for a name; registers a new tribe (with this spelling as its canonical name) if no alias matches
+function ensureTribeId(db, guildId, name, createdAt = Date.now()) {
+  const existing = lookupTribeId(db, guildId, name);
+  if (existing) return existing;
+
+  const id = newTribeId();
+  const display = String(name || "").trim().replace(/\s+/g, " ");
+  const tribe = { id, guildId, name: display, igns: [], userIds: [], createdAt };
+  db.prepare("INSERT INTO tribes (id, guild_id, data) VALUES (?, ?, ?)").run(id, guildId, JSON.stringify(tribe));
+  db.prepare("INSERT INTO tribe_aliases (guild_id, alias_key, alias, tribe_id) VALUES (?, ?, ?, ?)").run(
+    guildId,
+    normalizeTribeName(name),
+    display,
+    id
+  );
+  return id;
+}
+
+function migrate(db) {
+  const current = db.pragma("user_version", { simple: true });
+  for (let v = current; v < MIGRATIONS.length; v++) {
+    db.transaction(() => {
+      const step = MIGRATIONS[v];
+      if (typeof step === "function") step(db);
+      else db.exec(step);
+      db.pragma(`user_version = ${v + 1}`);
+    })();
+  }
+}
+
+// Open (or create) the database at dbPath and apply pending migrations
+function openStore(dbPath) {
+  fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  const db = new Database(dbPath);
+  db.pragma("journal_mode = WAL");
+  db.pragma("foreign_keys = ON");
+  migrate(db);
+
+  const stmts = {
+    getGuildState: db.prepare("SELECT data FROM guild_state WHERE guild_id = ?"),
+    saveGuildState: db.prepare(
+      `INSERT INTO guild_state (guild_id, data) VALUES (@guildId, @data)
+       ON CONFLICT (guild_id) DO UPDATE SET data = excluded.data`
+    ),
+    listGuildIds: db.prepare("SELECT guild_id FROM guild_state"),
+    getRequest: db.prepare("SELECT data FROM requests WHERE id = ?"),
+    saveRequest: db.prepare(
+      `INSERT INTO requests
+         (id, guild_id, status, tribe_key, tribe_id, requested_by, requested_at, bounty_active, bounty_ends_at, data)
+       VALUES
+         (@id, @guildId, @status, @tribeKey, @tribeId, @requestedBy, @requestedAt, @bountyActive, @bountyEndsAt, @data)
+       ON CONFLICT (id) DO UPDATE SET
+         guild_id = excluded.guild_id,
+         status = excluded.status,
+         tribe_key = excluded.tribe_key,
+         tribe_id = excluded.tribe_id,
+         requested_by = excluded.requested_by,
+         requested_at = excluded.requested_at,
+         bounty_active = excluded.bounty_active,
+         bounty_ends_at = excluded.bounty_ends_at,
+         data = excluded.data`
+    ),
+    countRequests: db.prepare("SELECT COUNT(*) AS n FROM requests"),
+    getTribe: db.prepare("SELECT data FROM tribes WHERE id = ?"),
+    saveTribe: db.prepare("UPDATE tribes SET data = @data WHERE id = @id"),
+    listTribes: db.prepare("SELECT data FROM tribes WHERE guild_id = ?"),
+    listTribeAliases: db.prepare("SELECT alias FROM tribe_aliases WHERE tribe_id = ? ORDER BY alias"),
+    getTribeAlias: db.prepare("SELECT * FROM tribe_aliases WHERE guild_id = ? AND alias_key = ?"),
+    addTribeAlias: db.prepare(
+      "INSERT INTO tribe_aliases (guild_id, alias_key, alias, tribe_id) VALUES (@guildId, @aliasKey, @alias, @tribeId)"
+    ),
+    countRequestsByTribeKey: db.prepare("SELECT COUNT(*) AS n FROM requests WHERE guild_id = ? AND tribe_key = ?"),
+    deleteTribeAlias: db.prepare("DELETE FROM tribe_aliases WHERE guild_id = ? AND alias_key = ?"),
+    upsertJob: db.prepare(
+      `INSERT INTO jobs (key, kind, guild_id, request_id, due_at, attempts, payload)
+       VALUES (@key, @kind, @guildId, @requestId, @dueAt, 0, @payload)
+       ON CONFLICT (key) DO UPDATE SET
+         kind = excluded.kind,
+         guild_id = excluded.guild_id,
+         request_id = excluded.request_id,
+         due_at = excluded.due_at,
+         attempts = 0,
+         payload = excluded.payload`
+    ),
+    deleteJob: db.prepare("DELETE FROM jobs WHERE key = ?"),
+    completeJob: db.prepare("DELETE FROM jobs WHERE key = ? AND due_at = ?"),
+    retryJob: db.prepare("UPDATE jobs SET due_at = ?, attempts = attempts + 1 WHERE key = ?"),
+    listDueJobs: db.prepare("SELECT * FROM jobs WHERE due_at <= ? ORDER BY due_at LIMIT ?"),
+    appendAuditEvent: db.prepare(
+      `INSERT INTO audit_events
+         (guild_id, at, action, actor_id, request_id, tribe_key, tribe_name, reason, before, after)
+       VALUES
+         (@guildId, @at, @action, @actorId, @requestId, @tribeKey, @tribeName, @reason, @before, @after)`
+    ),
+  };
+
+  function parseRow(row) {
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  function getGuildState(guildId) {
+    return parseRow(stmts.getGuildState.get(guildId));
+  }
+
+  function saveGuildState(guildId, data) {
+    stmts.saveGuildState.run({ guildId, data: JSON.stringify(data) });
+  }
+
+  function listGuildIds() {
+    return stmts.listGuildIds.all().map((r) => r.guild_id);
+  }
+
+  function getRequest(id) {
+    return parseRow(stmts.getRequest.get(id));
+  }
+
+  // New records are linked to their tribe here (registering the tribe if its name is new)
+  function saveRequest(req) {
+    if (!req?.id || !req?.guildId) throw new Error("saveRequest: record needs id and guildId");
+    if (!req.tribeId) req.tribeId = ensureTribeId(db, req.guildId, req.tribeName, req.requestedAt);
+    stmts.saveRequest.run({
+      id: req.id,
+      guildId: req.guildId,
+      status: req.status || "unknown",
+      tribeKey: normalizeTribeName(req.tribeName),
+      tribeId: req.tribeId,
+      requestedBy: req.requestedBy || null,
+      requestedAt: typeof req.requestedAt === "number" ? req.requestedAt : null,
+      bountyActive: req.bounty?.active === true ? 1 : 0,
+      bountyEndsAt: typeof req.bounty?.endsAt === "number" ? req.bounty.endsAt : null,
+      data: JSON.stringify(req),
+    });
+    return req;
+  }
+
+  /**
+   * findRequests({ guildId, status, tribeName, tribeId, requestedBy, bountyActive })
+   * Every filter is optional; results are newest first.
+   * tribeName matches every record of the tribe that name (or alias) belongs to.
+   */
+  function findRequests(filter = {}) {
+    const where = [];
+    const params = {};
+
+    if (filter.guildId) {
+      where.push("guild_id = @guildId");
+      params.guildId = filter.guildId;
+    }
+    if (filter.status) {
+      const statuses = Array.isArray(filter.status) ? filter.status : [filter.status];
+      where.push(`status IN (${statuses.map((_, i) => `@status${i}`).join(", ")})`);
+      statuses.forEach((s, i) => (params[`status${i}`] = s));
+    }
+    if (filter.tribeName !== undefined) {
+      where.push(
+        "tribe_id = (SELECT tribe_id FROM tribe_aliases WHERE guild_id = requests.guild_id AND alias_key = @tribeKey)"
+      );
+      params.tribeKey = normalizeTribeName(filter.tribeName);
+    }
+    if (filter.tribeId) {
+      where.push("tribe_id = @tribeId");
+      params.tribeId = filter.tribeId;
+    }
+    if (filter.requestedBy) {
+      where.push("requested_by = @requestedBy");
+      params.requestedBy = filter.requestedBy;
+    }
+    if (filter.bountyActive !== undefined) {
+      where.push("bounty_active = @bountyActive");
+      params.bountyActive = filter.bountyActive ? 1 : 0;
+    }
+
+    const sql =
+      "SELECT data FROM requests" +
+      (where.length ? ` WHERE ${where.join(" AND ")}` : "") +
+      " ORDER BY requested_at DESC";
+
+    return db.prepare(sql).all(params).map(parseRow);
+  }
+
+  // Canonical tribe names whose name or an alias contains a partial name, most recently active first; for autocomplete
+  function listTribeNames(guildId, query = "", limit = 25) {
+    return db
+      .prepare(
+        `SELECT json_extract(t.data, '$.name') AS name,
+                (SELECT MAX(requested_at) FROM requests r WHERE r.tribe_id = t.id) AS last_seen
+         FROM tribes t
+         WHERE t.guild_id = @guildId
+           AND EXISTS (
+             SELECT 1 FROM tribe_aliases a WHERE a.tribe_id = t.id AND a.alias_key LIKE @like ESCAPE '\\'
+           )
+         ORDER BY last_seen DESC
+         LIMIT @limit`
+      )
+      .all({
+        guildId,
+        like: `%${normalizeTribeName(query).replace(/[\\%_]/g, "\\$&")}%`,
+        limit,
+      })
+      .map((r) => r.name)
+      .filter(Boolean);
+  }
+
+  function countRequests() {
+    return stmts.countRequests.get().n;
+  }
+
+  // -------------------- Tribes --------------------
+  // A tribe is { id, guildId, name, igns, userIds, createdAt } plus its aliases (every name, canonical included)
+  function withAliases(tribe) {
+    return tribe ? { ...tribe, aliases: stmts.listTribeAliases.all(tribe.id).map((r) => r.alias) } : null;
+  }
+
+  function getTribe(id) {
+    return withAliases(parseRow(stmts.getTribe.get(id)));
+  }
+
+  // The tribe a name or alias belongs to, or null if nobody has used it yet
+  function resolveTribe(guildId, name) {
+    const id = lookupTribeId(db, guildId, name);
+    return id ? getTribe(id) : null;
+  }
+
+  function ensureTribe(guildId, name) {
+    return getTribe(ensureTribeId(db, guildId, name));
+  }
+
+  function saveTribe(tribe) {
+    const data = { ...tribe };
+    delete data.aliases;
+    stmts.saveTribe.run({ id: tribe.id, data: JSON.stringify(data) });
+    return tribe;
+  }
+
+  function listTribes(guildId) {
+    return stmts.listTribes.all(guildId).map((row) => withAliases(parseRow(row)));
+  }
+
+  /**
+   * Make `alias` a name of tribe `tribeId`. If the alias already names another tribe, that tribe is
+   * merged in (its records, aliases and members move over). Returns the merged-away tribe or null.
+   */
+  function addTribeAlias(tribeId, alias) {
+    const target = getTribe(tribeId);
+    if (!target) throw new Error(`addTribeAlias: unknown tribe ${tribeId}`);
+
+    const aliasKey = normalizeTribeName(alias);
+    const existing = stmts.getTribeAlias.get(target.guildId, aliasKey);
+    if (!existing) {
+      stmts.addTribeAlias.run({ guildId: target.guildId, aliasKey, alias: String(alias).trim().replace(/\s+/g, " "), tribeId });
+      return null;
+    }
+    if (existing.tribe_id === tribeId) return null;
+
+    const source = getTribe(existing.tribe_id);
+    return transaction(() => {
+      // Re-file the records the way saveRequest() does, so tribe_id, tribe_key and data agree
+      for (const table of ["requests", "request_archive"]) {
+        const update = db.prepare(`UPDATE ${table} SET tribe_id = @tribeId, tribe_key = @tribeKey, data = @data WHERE id = @id`);
+        for (const row of db.prepare(`SELECT id, data FROM ${table} WHERE tribe_id = ?`).all(source.id)) {
+          const req = { ...JSON.parse(row.data), tribeId };
+          update.run({ id: row.id, tribeId, tribeKey: normalizeTribeName(req.tribeName), data: JSON.stringify(req) });
+        }
+      }
+      db.prepare("UPDATE tribe_aliases SET tribe_id = ? WHERE tribe_id = ?").run(tribeId, source.id);
+      saveTribe({
+        ...target,
+        igns: [...new Set([...(target.igns || []), ...(source.igns || [])])],
+        userIds: [...new Set([...(target.userIds || []), ...(source.userIds || [])])],
+      });
+      db.prepare("DELETE FROM tribes WHERE id = ?").run(source.id);
+      return source;
+    });
+  }
+
+  /**
+   * Remove an alias. Names that records were filed under stay, so a record's name always
+   * resolves to its tribe. Returns "removed", "missing" or "in_use".
+   */
+  function removeTribeAlias(guildId, alias) {
+    const aliasKey = normalizeTribeName(alias);
+    if (stmts.countRequestsByTribeKey.get(guildId, aliasKey).n > 0) return "in_use";
+    return stmts.deleteTribeAlias.run(guildId, aliasKey).changes > 0 ? "removed" : "missing";
+  }
+
+  // -------------------- Seasons --------------------
+  // A season is { id, guildId, name, startedAt, endedAt, archived }; endedAt null = running
+  function parseSeasonRow(row) {
+    if (!row) return null;
+    return {
+      ...JSON.parse(row.data),
+      id: row.id,
+      guildId: row.guild_id,
+      name: row.name,
+      startedAt: row.started_at,
+      endedAt: row.ended_at,
+    };
+  }
+
+  function getActiveSeason(guildId) {
+    return parseSeasonRow(
+      db.prepare("SELECT * FROM seasons WHERE guild_id = ? AND ended_at IS NULL ORDER BY id DESC LIMIT 1").get(guildId)
+    );
+  }
+
+  // By name (case-insensitive) or ID
+  function findSeason(guildId, ref) {
+    const text = String(ref || "").trim();
+    return parseSeasonRow(
+      db
+        .prepare("SELECT * FROM seasons WHERE guild_id = ? AND (lower(name) = lower(?) OR id = ?) ORDER BY id DESC LIMIT 1")
+        .get(guildId, text, /^\d+$/.test(text) ? Number(text) : -1)
+    );
+  }
+
+  // Newest first
+  function listSeasons(guildId) {
+    return db.prepare("SELECT * FROM seasons WHERE guild_id = ? ORDER BY started_at DESC, id DESC").all(guildId).map(parseSeasonRow);
+  }
+
+  function startSeason(guildId, name, startedAt = Date.now()) {
+    const { lastInsertRowid } = db
+      .prepare("INSERT INTO seasons (guild_id, name, started_at) VALUES (?, ?, ?)")
+      .run(guildId, name, startedAt);
+    return parseSeasonRow(db.prepare("SELECT * FROM seasons WHERE id = ?").get(Number(lastInsertRowid)));
+  }
+
+  /**
+   * End a season: move every request of the guild into request_archive under it and drop the
+   * guild's scheduled jobs (expiry, reminders). Returns the ended season (with `archived` count).
+   */
+  function endSeason(seasonId, endedAt = Date.now()) {
+    return db.transaction(() => {
+      const season = parseSeasonRow(db.prepare("SELECT * FROM seasons WHERE id = ?").get(seasonId));
+      if (!season) throw new Error(`endSeason: unknown season ${seasonId}`);
+
+      const { changes: archived } = db
+        .prepare(
+          `INSERT INTO request_archive
+             (id, season_id, guild_id, status, tribe_key, tribe_id, requested_by, requested_at, data)
+           SELECT id, @seasonId, guild_id, status, tribe_key, tribe_id, requested_by, requested_at, data
+           FROM requests WHERE guild_id = @guildId`
+        )
+        .run({ seasonId, guildId: season.guildId });
+      db.prepare("DELETE FROM requests WHERE guild_id = ?").run(season.guildId);
+      db.prepare("DELETE FROM jobs WHERE guild_id = ?").run(season.guildId);
+      db.prepare("UPDATE seasons SET ended_at = ?, data = json_set(data, '$.archived', ?) WHERE id = ?").run(
+        endedAt,
+        archived,
+        seasonId
+      );
+
+      return { ...season, endedAt, archived };
+    })();
+  }
+
+  function parseArchiveRow(row) {
+    return row ? { ...JSON.parse(row.data), seasonId: row.season_id } : null;
+  }
+
+  function getArchivedRequest(id) {
+    return parseArchiveRow(db.prepare("SELECT * FROM request_archive WHERE id = ?").get(id));
+  }
+
+  /**
+   * findArchivedRequests({ guildId, seasonId, tribeName }) — newest first.
+   * tribeName resolves through the registry like findRequests().
+   */
+  function findArchivedRequests(filter = {}) {
+    const where = ["guild_id = @guildId", "season_id = @seasonId"];
+    const params = { guildId: filter.guildId, seasonId: filter.seasonId };
+
+    if (filter.tribeName !== undefined) {
+      where.push(
+        "tribe_id = (SELECT tribe_id FROM tribe_aliases WHERE guild_id = request_archive.guild_id AND alias_key = @tribeKey)"
+      );
+      params.tribeKey = normalizeTribeName(filter.tribeName);
+    }
+
+    return db
+      .prepare(`SELECT * FROM request_archive WHERE ${where.join(" AND ")} ORDER BY requested_at DESC`)
+      .all(params)
+      .map(parseArchiveRow);
+  }
+
+  // -------------------- Jobs (see scheduler.js) --------------------
+  function upsertJob({ key, kind, guildId = null, requestId = null, dueAt, payload = {} }) {
+    stmts.upsertJob.run({ key, kind, guildId, requestId, dueAt, payload: JSON.stringify(payload) });
+  }
+
+  function deleteJob(key) {
+    stmts.deleteJob.run(key);
+  }
+
+  // Delete jobs for a request, optionally only one kind
+  function deleteJobs({ requestId, kind = null }) {
+    if (kind) db.prepare("DELETE FROM jobs WHERE request_id = ? AND kind = ?").run(requestId, kind);
+    else db.prepare("DELETE FROM jobs WHERE request_id = ?").run(requestId);
+  }
+
+  // Delete a job that has run, unless it was rescheduled (due_at moved) in the meantime
+  function completeJob(key, dueAt) {
+    stmts.completeJob.run(key, dueAt);
+  }
+
+  function retryJob(key, dueAt) {
+    stmts.retryJob.run(dueAt, key);
+  }
+
+  function listDueJobs(now, limit = 100) {
+    return stmts.listDueJobs.all(now, limit).map((row) => ({
+      key: row.key,
+      kind: row.kind,
+      guildId: row.guild_id,
+      requestId: row.request_id,
+      dueAt: row.due_at,
+      attempts: row.attempts,
+      payload: JSON.parse(row.payload),
+    }));
+  }
+
+  // Make sure every running flag/bounty has an expiry job; returns how many were added
+  function backfillExpiryJobs() {
+    const before = db.prepare("SELECT COUNT(*) AS n FROM jobs").get().n;
+    db.exec(BACKFILL_EXPIRY_JOBS_SQL);
+    return db.prepare("SELECT COUNT(*) AS n FROM jobs").get().n - before;
+  }
+
+  // -------------------- Audit events --------------------
+  function parseAuditRow(row) {
+    return {
+      id: row.id,
+      guildId: row.guild_id,
+      at: row.at,
+      action: row.action,
+      actorId: row.actor_id,
+      requestId: row.request_id,
+      tribeName: row.tribe_name,
+      reason: row.reason,
+      before: row.before ? JSON.parse(row.before) : null,
+      after: row.after ? JSON.parse(row.after) : null,
+    };
+  }
+
+  // Append one event; returns it with its id
+  function appendAuditEvent(evt) {
+    if (!evt?.guildId || !evt?.action) throw new Error("appendAuditEvent: event needs guildId and action");
+    const row = {
+      guildId: evt.guildId,
+      at: typeof evt.at === "number" ? evt.at : Date.now(),
+      action: evt.action,
+      actorId: evt.actorId || null,
+      requestId: evt.requestId || null,
+      tribeKey: evt.tribeName ? normalizeTribeName(evt.tribeName) : null,
+      tribeName: evt.tribeName || null,
+      reason: evt.reason || null,
+      before: evt.before == null ? null : JSON.stringify(evt.before),
+      after: evt.after == null ? null : JSON.stringify(evt.after),
+    };
+    const { lastInsertRowid } = stmts.appendAuditEvent.run(row);
+    return { ...evt, id: Number(lastInsertRowid), at: row.at };
+  }
+
+  /**
+   * findAuditEvents({ guildId, tribeName, actorId, from, to, limit })
+   * from / to are inclusive epoch ms. Results are oldest first.
+   */
+  function findAuditEvents(filter = {}) {
+    const where = ["guild_id = @guildId"];
+    const params = { guildId: filter.guildId, limit: filter.limit || 10000 };
+
+    if (filter.tribeName) {
+      // Events are keyed by the name used at the time; match every name of the tribe
+      where.push(
+        `(tribe_key = @tribeKey OR tribe_key IN (
+           SELECT alias_key FROM tribe_aliases WHERE tribe_id = (
+             SELECT tribe_id FROM tribe_aliases WHERE guild_id = @guildId AND alias_key = @tribeKey
+           )
+         ))`
+      );
+      params.tribeKey = normalizeTribeName(filter.tribeName);
+    }
+    if (filter.actorId) {
+      where.push("actor_id = @actorId");
+      params.actorId = filter.actorId;
+    }
+    if (typeof filter.from === "number") {
+      where.push("at >= @from");
+      params.from = filter.from;
+    }
+    if (typeof filter.to === "number") {
+      where.push("at <= @to");
+      params.to = filter.to;
+    }
+
+    // Newest `limit` events, returned in chronological order
+    return db
+      .prepare(
+        `SELECT * FROM (
+           SELECT * FROM audit_events WHERE ${where.join(" AND ")} ORDER BY id DESC LIMIT @limit
+         ) ORDER BY id`
+      )
+      .all(params)
+      .map(parseAuditRow);
+  }
+
+  // Runs fn inside a transaction and returns its result (rolls back if it throws)
+  function transaction(fn) {
+    return db.transaction(fn)();
+  }
+
+  function close() {
+    db.close();
+  }
+
+  return {
+    db,
+    getGuildState,
+    saveGuildState,
+    listGuildIds,
+    getRequest,
+    saveRequest,
+    findRequests,
+    listTribeNames,
+    countRequests,
+    getTribe,
+    resolveTribe,
+    ensureTribe,
+    saveTribe,
+    listTribes,
+    addTribeAlias,
+    removeTribeAlias,
+    getActiveSeason,
+    findSeason,
+    listSeasons,
+    startSeason,
+    endSeason,
+    getArchivedRequest,
+    findArchivedRequests,
+    upsertJob,
+    deleteJob,
+    deleteJobs,
+    completeJob,
+    retryJob,
+    listDueJobs,
+    backfillExpiryJobs,
+    appendAuditEvent,
+    findAuditEvents,
+    transaction,
+    close,
+  };
+}
+
+// -------------------- Legacy JSON import --------------------
+// Unlike the old readJson(), a file that exists but can't be parsed is an error,
+// never an empty object.
+function readJsonStrict(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  const raw = fs.readFileSync(filePath, "utf8");
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`${filePath} is not valid JSON: ${e.message}`);
+  }
+}
+
+/**
+ * Import data/state.json + data/requests.json into the store in one transaction.
+ *
+ * Understands both layouts:
+ * - single-guild: state = { guildId, ... }, requests = { [id]: request }
+ * - per-guild:    state = { guilds: { [guildId]: {...} } }, requests = { [guildId]: { [id]: request } }
+ *
+ * Returns { guilds, requests } counts. Throws (and imports nothing) on unreadable files.
+ */
+function importLegacyJson(store, { statePath, requestsPath, defaultGuildId = null }) {
+  const rawState = readJsonStrict(statePath) || {};
+  const rawRequests = readJsonStrict(requestsPath) || {};
+
+  let guilds = {};
+  if (rawState.guilds && typeof rawState.guilds === "object") {
+    guilds = rawState.guilds;
+  } else if (Object.keys(rawState).length > 0) {
+    const legacyGuildId = rawState.guildId || defaultGuildId;
+    if (!legacyGuildId) throw new Error(`${statePath} has no guildId; pass GUILD_ID to import it.`);
+    guilds = { [legacyGuildId]: { ...rawState, guildId: legacyGuildId } };
+  }
+
+  const isFlat = Object.values(rawRequests).some(
+    (v) => v && typeof v === "object" && typeof v.id === "string"
+  );
+  let byGuild = rawRequests;
+  if (isFlat) {
+    const legacyGuildId = Object.keys(guilds)[0] || defaultGuildId;
+    if (!legacyGuildId) throw new Error(`${requestsPath} has no guild to belong to; pass GUILD_ID.`);
+    byGuild = { [legacyGuildId]: rawRequests };
+  }
+
+  return store.transaction(() => {
+    let guildCount = 0;
+    let requestCount = 0;
+
+    for (const [guildId, data] of Object.entries(guilds)) {
+      store.saveGuildState(guildId, { ...data, guildId });
+      guildCount++;
+    }
+    for (const [guildId, records] of Object.entries(byGuild)) {
+      for (const [id, r] of Object.entries(records || {})) {
+        store.saveRequest({ ...r, id: r.id || id, guildId: r.guildId || guildId });
+        requestCount++;
+      }
+    }
+    store.backfillExpiryJobs();
+
+    return { guilds: guildCount, requests: requestCount };
+  });
+}
+
+module.exports = { openStore, importLegacyJson, normalizeTribeName };
@@ -0,0 +1,89 @@
+// Parsers in ark.js against captured RCON output (test/fixtures)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  parseListPlayers,
+  parseGameLog,
+  findPlayerTribe,
+  findLastSeen,
+  findDestructionEvents,
+} = require("../ark");
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, "fixtures", name), "utf8");
+const gameLog = parseGameLog(fixture("gamelog.txt"));
+
+test("parseListPlayers reads index, name and ID per player", () => {
+  assert.deepEqual(parseListPlayers(fixture("listplayers.txt")), [
+    { index: 0, name: "Bob", id: "76561198000000001" },
+    { index: 1, name: "Bobby Tables", id: "76561198000000002" },
+    { index: 2, name: "Al Smith", id: "0002a1b2c3d4e5f6a7b8c9d0e1f2a3b4" },
+  ]);
+});
+
+test("parseListPlayers returns nothing for an empty server", () => {
+  assert.deepEqual(parseListPlayers(fixture("listplayers-empty.txt")), []);
+  assert.deepEqual(parseListPlayers(""), []);
+});
+
+test("parseGameLog reads tribe and join / leave lines and skips the rest", () => {
+  assert.deepEqual(
+    gameLog.map((e) => e.kind),
+    ["tribe", "join", "join", "leave", "tribe", "tribe", "tribe", "tribe"]
+  );
+});
+
+test("parseGameLog strips RichColor markup from tribe log messages", () => {
+  assert.deepEqual(gameLog[0], {
+    kind: "tribe",
+    at: Date.UTC(2026, 9, 18, 10, 0, 0),
+    tribeName: "Dino Kings",
+    tribeId: "1111111111",
+    message: "Bob demolished a 'Wooden Wall'!",
+  });
+});
+
+test("parseGameLog reads timestamps as UTC and leaves untimed lines at null", () => {
+  assert.deepEqual(gameLog[1], { kind: "join", at: Date.UTC(2026, 9, 18, 11, 0, 0), name: "Bob" });
+  const untimed = gameLog.find((e) => e.kind === "tribe" && e.tribeName === "Raiders");
+  assert.equal(untimed.at, null);
+  assert.equal(untimed.message, "Zed destroyed their 'Metal Wall (Locked)' (Dino Kings)!");
+});
+
+test("findPlayerTribe matches whole names only", () => {
+  // "Bobby Tables" appears in a newer line, but isn't Bob
+  assert.deepEqual(findPlayerTribe(gameLog, "Bob"), {
+    tribeName: "Dino Kings",
+    tribeId: "1111111111",
+    at: Date.UTC(2026, 9, 18, 10, 0, 0),
+  });
+  assert.equal(findPlayerTribe(gameLog, "bobby tables").tribeName, "Bobby Crew");
+  assert.equal(findPlayerTribe(gameLog, "Bo"), null);
+  assert.equal(findPlayerTribe(gameLog, ""), null);
+});
+
+test("findLastSeen returns the newest join / leave for the exact name", () => {
+  assert.equal(findLastSeen(gameLog, "bob"), Date.UTC(2026, 9, 18, 12, 0, 0));
+  assert.equal(findLastSeen(gameLog, "Bobby Tables"), Date.UTC(2026, 9, 18, 11, 30, 0));
+  assert.equal(findLastSeen(gameLog, "Nobody"), null);
+});
+
+test("findDestructionEvents picks out \"destroyed their\" lines", () => {
+  assert.deepEqual(findDestructionEvents(gameLog), [
+    {
+      tribeName: "Raiders",
+      tribeId: "2222222222",
+      at: null,
+      structure: "Metal Wall (Locked)",
+      message: "Zed destroyed their 'Metal Wall (Locked)' (Dino Kings)!",
+    },
+    {
+      tribeName: "Dino Kings",
+      tribeId: "1111111111",
+      at: Date.UTC(2026, 9, 18, 15, 0, 0),
+      structure: "Stone Foundation",
+      message: "Carl destroyed their 'Stone Foundation' (Raiders)!",
+    },
+  ]);
+});
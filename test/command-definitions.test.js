@@ -0,0 +1,92 @@
+// Command registration against a fake REST client ({ get, put } like discord.js REST)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildCommands, diffCommands, formatCommandDiff, registerCommands } = require("../command-definitions");
+
+// What Discord sends back for a PUT body: ids and versions added, defaults spelled out
+function echo(commands) {
+  const fillOption = (opt) => ({
+    ...opt,
+    required: opt.required ?? false,
+    description_localizations: null,
+    name_localizations: null,
+    ...(opt.options ? { options: opt.options.map(fillOption) } : {}),
+  });
+  return commands.map((cmd, i) => ({
+    id: String(1000 + i),
+    application_id: "app",
+    version: "1",
+    type: 1,
+    default_member_permissions: null,
+    dm_permission: true,
+    nsfw: false,
+    ...cmd,
+    options: (cmd.options || []).map(fillOption),
+  }));
+}
+
+function fakeRest(remote) {
+  const calls = { get: [], put: [] };
+  return {
+    calls,
+    get: async (route) => {
+      calls.get.push(route);
+      return remote;
+    },
+    put: async (route, { body }) => {
+      calls.put.push({ route, body });
+      return body;
+    },
+  };
+}
+
+test("skipIfUnchanged skips the PUT when Discord echoes the same commands back", async () => {
+  const rest = fakeRest(echo(buildCommands()));
+  const result = await registerCommands({ rest, clientId: "app", guildId: "g1", skipIfUnchanged: true });
+
+  assert.equal(result.registered, false);
+  assert.equal(formatCommandDiff(result.diff), "no changes");
+  assert.deepEqual(rest.calls.get, ["/applications/app/guilds/g1/commands"]);
+  assert.equal(rest.calls.put.length, 0);
+});
+
+test("without skipIfUnchanged the commands are always PUT", async () => {
+  const rest = fakeRest([]);
+  const result = await registerCommands({ rest, clientId: "app" });
+
+  assert.deepEqual(result, { registered: true, diff: null });
+  assert.equal(rest.calls.get.length, 0);
+  assert.equal(rest.calls.put[0].route, "/applications/app/commands");
+  assert.deepEqual(rest.calls.put[0].body, buildCommands());
+});
+
+test("a command missing on Discord is PUT and reported as added", async () => {
+  const rest = fakeRest(echo(buildCommands().filter((c) => c.name !== "tribe")));
+  const result = await registerCommands({ rest, clientId: "app", skipIfUnchanged: true });
+
+  assert.equal(result.registered, true);
+  assert.equal(formatCommandDiff(result.diff), "added: tribe");
+  assert.equal(rest.calls.put.length, 1);
+});
+
+test("added, removed and changed options show up in the diff", () => {
+  const local = buildCommands();
+  const remote = echo(local);
+
+  const rules = remote.find((c) => c.name === "rules");
+  rules.options = [{ type: 3, name: "lang", description: "Language" }]; // an option we no longer define
+  const bounty = remote.find((c) => c.name === "bounty");
+  const add = bounty.options.find((o) => o.name === "add");
+  add.options = add.options.filter((o) => o.name !== "reason"); // reason is new locally
+  const tribe = remote.find((c) => c.name === "tribe");
+  tribe.options.find((o) => o.name === "history").options.find((o) => o.name === "page").min_value = 0;
+  remote.push({ id: "9", name: "legacy", description: "Old command", type: 1, options: [] });
+
+  const diff = diffCommands(local, remote);
+  assert.deepEqual(diff, { added: [], removed: ["legacy"], changed: ["rules", "bounty", "tribe"], unchanged: false });
+  assert.equal(formatCommandDiff(diff), "removed: legacy; changed: rules, bounty, tribe");
+});
+
+test("formatCommandDiff reports a full PUT when nothing was compared", () => {
+  assert.equal(formatCommandDiff(null), "full PUT");
+});
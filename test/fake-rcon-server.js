@@ -0,0 +1,59 @@
+// A local stand-in for a game server's RCON port, for rcon.js tests.
+//
+// startFakeRconServer({ password, emptyBeforeAuth, reply }) -> Promise<{ port, commands, close }>
+//   reply(command) -> string (one packet), string[] (one packet each), Buffer (written as-is) or null (no answer)
+//   emptyBeforeAuth: send an empty RESPONSE_VALUE ahead of the AUTH_RESPONSE, like some servers do
+
+const net = require("net");
+const {
+  SERVERDATA_AUTH,
+  SERVERDATA_AUTH_RESPONSE,
+  encodePacket,
+  createPacketReader,
+} = require("../rcon");
+
+const SERVERDATA_RESPONSE_VALUE = 0;
+
+function startFakeRconServer({ password = "secret", emptyBeforeAuth = false, reply = () => "" } = {}) {
+  const commands = [];
+  const sockets = new Set();
+
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    socket.on(
+      "data",
+      createPacketReader((p) => {
+        if (p.type === SERVERDATA_AUTH) {
+          if (emptyBeforeAuth) socket.write(encodePacket(p.id, SERVERDATA_RESPONSE_VALUE, ""));
+          socket.write(encodePacket(p.body === password ? p.id : -1, SERVERDATA_AUTH_RESPONSE, ""));
+          return;
+        }
+
+        commands.push(p.body);
+        const answer = reply(p.body);
+        if (answer === null) return;
+        if (Buffer.isBuffer(answer)) return socket.write(answer);
+        const parts = Array.isArray(answer) ? answer : [answer];
+        // One write, so the packets may arrive in a single chunk or split anywhere
+        socket.write(Buffer.concat(parts.map((body) => encodePacket(p.id, SERVERDATA_RESPONSE_VALUE, body))));
+      })
+    );
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () =>
+      resolve({
+        port: server.address().port,
+        commands,
+        close: () =>
+          new Promise((done) => {
+            for (const s of sockets) s.destroy();
+            server.close(done);
+          }),
+      })
+    );
+  });
+}
+
+module.exports = { startFakeRconServer };
@@ -0,0 +1,63 @@
+// rcon.js against a local fake RCON server
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { createRconClient, runRconCommands } = require("../rcon");
+const { startFakeRconServer } = require("./fake-rcon-server");
+
+async function withServer(options, fn) {
+  const server = await startFakeRconServer(options);
+  try {
+    await fn({ host: "127.0.0.1", port: server.port, password: "secret" }, server);
+  } finally {
+    await server.close();
+  }
+}
+
+test("logs in and runs each command in order", () =>
+  withServer({ reply: (command) => `ran ${command}` }, async (config, server) => {
+    const responses = await runRconCommands(config, ["ListPlayers", "ServerChat hi"]);
+    assert.deepEqual(responses, ["ran ListPlayers", "ran ServerChat hi"]);
+    assert.deepEqual(server.commands, ["ListPlayers", "ServerChat hi"]);
+  }));
+
+test("rejects a wrong password (AUTH_RESPONSE id -1)", () =>
+  withServer({}, async (config, server) => {
+    await assert.rejects(runRconCommands({ ...config, password: "nope" }, ["ListPlayers"]), /wrong password/);
+    assert.deepEqual(server.commands, []);
+  }));
+
+test("skips the empty RESPONSE_VALUE some servers send before AUTH_RESPONSE", () =>
+  withServer({ emptyBeforeAuth: true, reply: () => "ok" }, async (config) => {
+    assert.deepEqual(await runRconCommands(config, ["SaveWorld"]), ["ok"]);
+  }));
+
+test("joins a response split across packets once the server goes quiet", () =>
+  withServer({ reply: () => ["0. Bob, 1\n", "1. Al, 2\n", "2. Zed, 3\n"] }, async (config) => {
+    assert.deepEqual(await runRconCommands(config, ["ListPlayers"]), ["0. Bob, 1\n1. Al, 2\n2. Zed, 3\n"]);
+  }));
+
+test("rejects a packet with a bad size", () => {
+  const bad = Buffer.alloc(12);
+  bad.writeInt32LE(4, 0); // smaller than id + type + two terminators
+  return withServer({ reply: () => bad }, async (config) => {
+    await assert.rejects(runRconCommands(config, ["ListPlayers"]), /bad packet size 4/);
+  });
+});
+
+test("times out when the server never answers", () =>
+  withServer({ reply: () => null }, async (config) => {
+    const client = createRconClient({ ...config, timeoutMs: 300 });
+    try {
+      await client.connect();
+      await assert.rejects(client.send("ListPlayers"), /no response within 300ms/);
+    } finally {
+      client.close();
+    }
+  }));
+
+test("rejects when nothing listens on the port", async () => {
+  const server = await startFakeRconServer();
+  const { port } = server;
+  await server.close();
+  await assert.rejects(runRconCommands({ host: "127.0.0.1", port, password: "secret" }, ["ListPlayers"]));
+});
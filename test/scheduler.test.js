@@ -0,0 +1,107 @@
+// scheduler.js against an in-memory store, with a hand-driven clock
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { openStore } = require("../storage");
+const { createScheduler } = require("../scheduler");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function setup(handlers) {
+  const store = openStore(":memory:");
+  const clock = { now: 1_000_000 };
+  const scheduler = createScheduler({ store, handlers, now: () => clock.now });
+  return { store, clock, scheduler, jobs: () => store.db.prepare("SELECT key, due_at, attempts FROM jobs").all() };
+}
+
+test("runs only jobs that are due and deletes them once done", async () => {
+  const ran = [];
+  const { clock, scheduler, jobs } = setup({ ping: async (job, { late }) => ran.push([job.key, job.payload, late]) });
+  scheduler.schedule("ping:a", "ping", clock.now - 10, { payload: { n: 1 } });
+  scheduler.schedule("ping:b", "ping", clock.now + HOUR_MS);
+
+  assert.equal(await scheduler.tick(), 1);
+  assert.deepEqual(ran, [["ping:a", { n: 1 }, false]]);
+  assert.deepEqual(jobs().map((j) => j.key), ["ping:b"]);
+});
+
+test("marks jobs that came due long before the tick as late", async () => {
+  const lates = [];
+  const { clock, scheduler } = setup({ ping: async (_job, { late }) => lates.push(late) });
+  scheduler.schedule("ping:a", "ping", clock.now - HOUR_MS);
+
+  await scheduler.tick();
+  assert.deepEqual(lates, [true]);
+});
+
+test("scheduling the same key again moves the job instead of adding one", () => {
+  const { clock, scheduler, jobs } = setup({ ping: async () => {} });
+  scheduler.schedule("ping:a", "ping", clock.now + HOUR_MS);
+  scheduler.schedule("ping:a", "ping", clock.now + 2 * HOUR_MS);
+
+  assert.deepEqual(jobs(), [{ key: "ping:a", due_at: clock.now + 2 * HOUR_MS, attempts: 0 }]);
+});
+
+test("retries a failing job a minute later and drops it after the fifth attempt", async (t) => {
+  t.mock.method(console, "error", () => {});
+  let calls = 0;
+  const { clock, scheduler, jobs } = setup({
+    boom: async () => {
+      calls++;
+      throw new Error("Discord is down");
+    },
+  });
+  scheduler.schedule("boom:a", "boom", clock.now);
+
+  await scheduler.tick();
+  assert.deepEqual(jobs(), [{ key: "boom:a", due_at: clock.now + 60 * 1000, attempts: 1 }]);
+  assert.equal(await scheduler.tick(), 0); // not due again yet
+  assert.equal(calls, 1);
+
+  for (let i = 0; i < 10; i++) {
+    clock.now += 60 * 1000;
+    await scheduler.tick();
+  }
+  assert.equal(calls, 5);
+  assert.deepEqual(jobs(), []);
+});
+
+test("drops a stale job whose kind no longer has a handler after its retries", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const { store, clock, scheduler, jobs } = setup({ ping: async () => {} });
+  store.upsertJob({ key: "old_kind:a", kind: "old_kind", dueAt: clock.now });
+
+  for (let i = 0; i < 5; i++) {
+    await scheduler.tick();
+    clock.now += 60 * 1000;
+  }
+  assert.deepEqual(jobs(), []);
+});
+
+test("keeps a job that was rescheduled while its handler ran", async () => {
+  const { clock, scheduler, jobs } = setup({
+    ping: async (job) => scheduler.schedule(job.key, "ping", clock.now + HOUR_MS),
+  });
+  scheduler.schedule("ping:a", "ping", clock.now);
+
+  await scheduler.tick();
+  assert.deepEqual(jobs(), [{ key: "ping:a", due_at: clock.now + HOUR_MS, attempts: 0 }]);
+});
+
+test("cancelForRequest drops one kind or every job of a request", () => {
+  const { clock, scheduler, jobs } = setup({ expiry: async () => {}, reminder: async () => {} });
+  scheduler.schedule("expiry:r1", "expiry", clock.now, { requestId: "r1" });
+  scheduler.schedule("reminder:24:r1", "reminder", clock.now, { requestId: "r1" });
+  scheduler.schedule("reminder:1:r1", "reminder", clock.now, { requestId: "r1" });
+  scheduler.schedule("expiry:r2", "expiry", clock.now, { requestId: "r2" });
+
+  scheduler.cancelForRequest("r1", "reminder");
+  assert.deepEqual(jobs().map((j) => j.key).sort(), ["expiry:r1", "expiry:r2"]);
+  scheduler.cancelForRequest("r1");
+  assert.deepEqual(jobs().map((j) => j.key), ["expiry:r2"]);
+});
+
+test("refuses jobs without a handler or a due time", () => {
+  const { scheduler } = setup({ ping: async () => {} });
+  assert.throws(() => scheduler.schedule("x:a", "x", 1), /no handler/);
+  assert.throws(() => scheduler.schedule("ping:a", "ping", NaN), /numeric dueAt/);
+});
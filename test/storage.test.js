@@ -0,0 +1,195 @@
+// storage.js: migrations, the tribe registry and seasons, against SQLite (in memory where possible)
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { openStore } = require("../storage");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The schema as the first SQLite release left it (user_version 1), before jobs, audit, tribes and seasons
+const LEGACY_SCHEMA = `
+  CREATE TABLE guild_state (guild_id TEXT PRIMARY KEY, data TEXT NOT NULL);
+  CREATE TABLE requests (
+    id TEXT PRIMARY KEY,
+    guild_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    tribe_key TEXT NOT NULL,
+    requested_by TEXT,
+    requested_at INTEGER,
+    bounty_active INTEGER NOT NULL DEFAULT 0,
+    bounty_ends_at INTEGER,
+    data TEXT NOT NULL
+  );
+  PRAGMA user_version = 1;
+`;
+
+function withLegacyDb(rows, fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "whiteflag-test-"));
+  const dbPath = path.join(dir, "whiteflag.db");
+  try {
+    const legacy = new Database(dbPath);
+    legacy.exec(LEGACY_SCHEMA);
+    const insert = legacy.prepare(
+      `INSERT INTO requests (id, guild_id, status, tribe_key, requested_by, requested_at, bounty_active, bounty_ends_at, data)
+       VALUES (@id, @guildId, @status, @tribeKey, @requestedBy, @requestedAt, @bountyActive, @bountyEndsAt, @data)`
+    );
+    for (const r of rows) {
+      insert.run({
+        id: r.id,
+        guildId: r.guildId,
+        status: r.status,
+        tribeKey: r.tribeName.toLowerCase(), // the old key kept whitespace runs
+        requestedBy: r.requestedBy,
+        requestedAt: r.requestedAt,
+        bountyActive: r.bounty?.active ? 1 : 0,
+        bountyEndsAt: r.bounty?.endsAt ?? null,
+        data: JSON.stringify(r),
+      });
+    }
+    legacy.close();
+    fn(dbPath);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function request(id, fields = {}) {
+  return { id, guildId: "g1", status: "pending", tribeName: "Dino Kings", requestedBy: "u1", requestedAt: 1000, ...fields };
+}
+
+test("migrates a legacy database: expiry jobs, tribes and re-keyed records", () => {
+  const legacyRows = [
+    request("r1", { tribeName: "Dino  Kings", status: "approved", requestedAt: 1000, approvedAt: 2000 }),
+    request("r2", { tribeName: "dino kings", status: "approved", requestedAt: 3000, approvedAt: 4000, endsAt: 9000 }),
+    request("r3", { tribeName: "Raiders", status: "bounty_only", requestedAt: 5000, bounty: { active: true, endsAt: 8000 } }),
+    request("r4", { tribeName: "Raiders", status: "denied", requestedAt: 6000 }),
+  ];
+
+  withLegacyDb(legacyRows, (dbPath) => {
+    const store = openStore(dbPath);
+    try {
+      assert.equal(store.db.pragma("user_version", { simple: true }), 5);
+
+      const jobs = store.db.prepare("SELECT key, kind, request_id, due_at FROM jobs ORDER BY key").all();
+      assert.deepEqual(jobs, [
+        { key: "bounty_expiry:r3", kind: "bounty_expiry", request_id: "r3", due_at: 8000 },
+        { key: "flag_expiry:r1", kind: "flag_expiry", request_id: "r1", due_at: 2000 + 7 * DAY_MS },
+        { key: "flag_expiry:r2", kind: "flag_expiry", request_id: "r2", due_at: 9000 },
+      ]);
+
+      // Both spellings are one tribe, named after the oldest record, with the whitespace run collapsed
+      const dinoKings = store.resolveTribe("g1", "DINO KINGS");
+      assert.equal(dinoKings.name, "Dino Kings");
+      assert.deepEqual(store.findRequests({ guildId: "g1", tribeName: "dino kings" }).map((r) => r.id), ["r2", "r1"]);
+      assert.equal(store.getRequest("r1").tribeId, dinoKings.id);
+      assert.deepEqual(
+        store.db.prepare("SELECT DISTINCT tribe_key FROM requests WHERE tribe_id = ?").all(dinoKings.id),
+        [{ tribe_key: "dino kings" }]
+      );
+      assert.notEqual(store.resolveTribe("g1", "raiders").id, dinoKings.id);
+    } finally {
+      store.close();
+    }
+
+    // Opening again applies nothing twice
+    const reopened = openStore(dbPath);
+    try {
+      assert.equal(reopened.listTribes("g1").length, 2);
+      assert.equal(reopened.db.prepare("SELECT COUNT(*) AS n FROM jobs").get().n, 3);
+    } finally {
+      reopened.close();
+    }
+  });
+});
+
+test("saveRequest files new names as new tribes and known names (any spelling) under theirs", () => {
+  const store = openStore(":memory:");
+  store.saveRequest(request("r1", { tribeName: "Dino Kings" }));
+  store.saveRequest(request("r2", { tribeName: "  dino   KINGS " }));
+  store.saveRequest(request("r3", { tribeName: "Raiders" }));
+
+  assert.equal(store.getRequest("r1").tribeId, store.getRequest("r2").tribeId);
+  assert.notEqual(store.getRequest("r1").tribeId, store.getRequest("r3").tribeId);
+  assert.deepEqual(store.listTribes("g1").map((t) => t.name).sort(), ["Dino Kings", "Raiders"]);
+});
+
+test("an alias that names another tribe merges it, keeping both tribes' records and members", () => {
+  const store = openStore(":memory:");
+  const season = store.startSeason("g1", "S1", 0);
+  store.saveRequest(request("old", { tribeName: "DK", requestedAt: 500 }));
+  store.endSeason(season.id, 600);
+  store.saveRequest(request("r1", { tribeName: "Dino Kings", requestedAt: 1000 }));
+  store.saveRequest(request("r2", { tribeName: "DK", requestedAt: 2000 }));
+
+  const target = store.resolveTribe("g1", "Dino Kings");
+  const source = store.resolveTribe("g1", "DK");
+  store.saveTribe({ ...target, igns: ["Bob"], userIds: ["u1"] });
+  store.saveTribe({ ...source, igns: ["Al"], userIds: ["u1", "u2"] });
+
+  const merged = store.addTribeAlias(target.id, "dk");
+  assert.equal(merged.id, source.id);
+  assert.equal(store.getTribe(source.id), null);
+
+  const tribe = store.getTribe(target.id);
+  assert.deepEqual(tribe.aliases, ["DK", "Dino Kings"]);
+  assert.deepEqual(tribe.igns, ["Bob", "Al"]);
+  assert.deepEqual(tribe.userIds, ["u1", "u2"]);
+
+  // Either name finds every record, live and archived; each keeps the name it was filed under
+  for (const name of ["Dino Kings", "DK"]) {
+    assert.deepEqual(store.findRequests({ guildId: "g1", tribeName: name }).map((r) => r.id), ["r2", "r1"]);
+    assert.deepEqual(store.findArchivedRequests({ guildId: "g1", seasonId: season.id, tribeName: name }).map((r) => r.id), ["old"]);
+  }
+  assert.equal(store.getRequest("r2").tribeId, target.id);
+  assert.deepEqual(store.db.prepare("SELECT tribe_id, tribe_key FROM requests WHERE id = 'r2'").get(), {
+    tribe_id: target.id,
+    tribe_key: "dk",
+  });
+  assert.equal(store.getArchivedRequest("old").tribeId, target.id);
+
+  // A name records were filed under can't be removed
+  assert.equal(store.removeTribeAlias("g1", "DK"), "in_use");
+});
+
+test("ending a season archives the guild's records and drops its jobs only", () => {
+  const store = openStore(":memory:");
+  store.saveRequest(request("r1"));
+  store.saveRequest(request("r2", { guildId: "g2" }));
+  store.upsertJob({ key: "flag_expiry:r1", kind: "flag_expiry", guildId: "g1", requestId: "r1", dueAt: 5000 });
+  store.upsertJob({ key: "flag_expiry:r2", kind: "flag_expiry", guildId: "g2", requestId: "r2", dueAt: 5000 });
+
+  const season = store.startSeason("g1", "Season 1", 100);
+  assert.equal(store.getActiveSeason("g1").id, season.id);
+
+  const ended = store.endSeason(season.id, 2000);
+  assert.equal(ended.archived, 1);
+  assert.equal(ended.endedAt, 2000);
+  assert.equal(store.getActiveSeason("g1"), null);
+  assert.equal(store.getRequest("r1"), null);
+  assert.equal(store.getArchivedRequest("r1").seasonId, season.id);
+  assert.ok(store.getRequest("r2"));
+  assert.deepEqual(store.listDueJobs(10000).map((j) => j.key), ["flag_expiry:r2"]);
+});
+
+test("completeJob leaves a job alone once it was moved to a new due time", () => {
+  const store = openStore(":memory:");
+  store.upsertJob({ key: "k", kind: "ping", dueAt: 1000 });
+  store.upsertJob({ key: "k", kind: "ping", dueAt: 2000 });
+
+  store.completeJob("k", 1000);
+  assert.deepEqual(store.listDueJobs(5000).map((j) => [j.key, j.dueAt]), [["k", 2000]]);
+  store.completeJob("k", 2000);
+  assert.deepEqual(store.listDueJobs(5000), []);
+});
+
+test("the audit trail is append-only", () => {
+  const store = openStore(":memory:");
+  const event = store.appendAuditEvent({ guildId: "g1", action: "setup", actorId: "u1", after: { a: 1 } });
+
+  assert.throws(() => store.db.prepare("UPDATE audit_events SET action = 'x' WHERE id = ?").run(event.id), /append-only/);
+  assert.throws(() => store.db.prepare("DELETE FROM audit_events WHERE id = ?").run(event.id), /append-only/);
+  assert.deepEqual(store.findAuditEvents({ guildId: "g1" }).map((e) => [e.action, e.after]), [["setup", { a: 1 }]]);
+});